@@ -13,9 +13,11 @@ gas_projects_clean = $(subst /.clasp.json,-clean,$(clasp_files))
 lib_header_file =
 lib_trailer_file =
 lib_filter = 's/([[()\?\!\&\|,.;= +\-\*\t\t\n])(async|await)([() \t\n])/\1\3/g'
-lib_files = lib/OAuth2.gs lib/UrlFetchJsonClient.js lib/GeminiRestClient.js lib/SlackWebClient.js lib/CalendarListClient.js \
-    lib/CalendarClient.js lib/MeetClient.js lib/DirectoryClient.js lib/PersonioAuthV1.js lib/PersonioClientV1.js lib/DriveClientV1.js lib/GmailClientV1.js lib/SheetUtil.js \
-    lib/TriggerUtil.js lib/Util.js lib/PeopleTime.js
+lib_files = lib/OAuth2.gs lib/UrlFetchJsonClient.js lib/LlmClient.js lib/GeminiRestClient.js lib/AnthropicRestClient.js \
+    lib/OpenAiRestClient.js lib/SlackWebClient.js lib/CalendarListClient.js \
+    lib/CalendarClient.js lib/MeetClient.js lib/DirectoryClient.js lib/PersonioAuthV1.js lib/PersonioClientV1.js \
+    lib/PersonioAuthV2.js lib/PersonioClientV2.js lib/DriveClientV1.js lib/GmailClientV1.js lib/SheetUtil.js \
+    lib/TriggerUtil.js lib/JobRunner.js lib/Util.js lib/PeopleTime.js
 
 .PHONY: all
 all: $(gas_projects)    ## Assemble and push all project using existing .clasp.json files (assumes all projects have been pushed before)
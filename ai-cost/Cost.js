@@ -3,6 +3,9 @@
  *
  * Supported sources: anthropic, claude-code, openai
  *
+ * Record types: usage (tokens), cost (USD). Other scripts may append rows of record type attribution (ie. source
+ * meetings), which attribute tokens already contained in the usage rows, to be excluded from totals.
+ *
  * Script Properties:
  *   AiCost.anthropicAdminKey  Anthropic admin API key (for anthropic + claude-code sources)
  *   AiCost.openaiAdminKey     OpenAI admin API key (for openai source)
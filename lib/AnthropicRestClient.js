@@ -0,0 +1,41 @@
+/** A simple Anthropic Messages API client for document summarization. */
+class AnthropicRestClient extends LlmClient {
+
+    constructor(apiKey, model) {
+        super('anthropic', apiKey, model);
+    }
+
+    /** The model used if none is specified. */
+    static get DEFAULT_MODEL() {
+        return 'claude-sonnet-4-5';
+    }
+
+    async generate_(text) {
+        const requestBody = {
+            model: this._model,
+            max_tokens: 8192,
+            messages: [{
+                role: 'user',
+                content: text
+            }]
+        };
+
+        const result = await this.postJson_('https://api.anthropic.com/v1/messages', {
+            'x-api-key': this._apiKey,
+            'anthropic-version': '2023-06-01'
+        }, requestBody);
+
+        const textBlocks = (result.content || []).filter(block => block.type === 'text');
+        if (textBlocks.length === 0) {
+            throw new Error('No response from Anthropic API');
+        }
+
+        const usage = result.usage || {};
+        return {
+            text: textBlocks.map(block => block.text).join(''),
+            inputTokens: usage.input_tokens,
+            outputTokens: usage.output_tokens,
+            cacheReadTokens: usage.cache_read_input_tokens
+        };
+    }
+}
@@ -20,6 +20,12 @@ class CalendarClient extends UrlFetchJsonClient {
     }
 
 
+    /** Override UrlFetchJsonClient.getBatchUrl() to enable batch requests. */
+    getBatchUrl() {
+        return 'https://www.googleapis.com/batch/calendar/v3';
+    }
+
+
     async insert(calendarId, event) {
         return await this.postJson(`https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events`, event);
     }
@@ -30,6 +36,38 @@ class CalendarClient extends UrlFetchJsonClient {
     }
 
 
+    /** Insert multiple events using batch requests.
+     *
+     * @return {Array<{code: number, result: Object, error: Error}>} The inserted events (result) or errors, in order.
+     */
+    async batchInsert(calendarId, events) {
+        return await this.batch(events.map(event => ({
+            method: 'post',
+            url: `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events`,
+            payload: event
+        })));
+    }
+
+
+    /** Update multiple events (with their id member set) using batch requests.
+     *
+     * @return {Array<{code: number, result: Object, error: Error}>} The updated events (result) or errors, in order.
+     */
+    async batchUpdate(calendarId, events) {
+        return await this.batch(events.map(event => ({
+            method: 'put',
+            url: `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events/${event.id}`,
+            payload: event
+        })));
+    }
+
+
+    /** Get a calendar setting of the user (ie. "timezone"), returns the Setting resource with its value member. */
+    async getSetting(setting) {
+        return await this.getJson(`https://www.googleapis.com/calendar/v3/users/me/settings/${setting}`);
+    }
+
+
     async get(calendarId, eventId, params) {
         const query = params ? CalendarClient.buildQuery(params) : '';
         return await this.getJson(`https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events/${eventId}${query}`);
@@ -53,4 +91,24 @@ class CalendarClient extends UrlFetchJsonClient {
 
         return events;
     }
+
+
+    /** List the instances (occurrences) of a recurring event, including exceptions like cancelled instances if requested. */
+    async instances(calendarId, eventId, params) {
+        const events = [];
+        const queryParams = {
+            ...params,
+            pageToken: undefined
+        };
+        do {
+            const query = CalendarClient.buildQuery(queryParams);
+            const list = await this.getJson(`https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events/${eventId}/instances${query}`);
+
+            queryParams.pageToken = list.nextPageToken;
+            events.push(...list.items);
+        }
+        while (queryParams.pageToken);
+
+        return events;
+    }
 }
@@ -20,6 +20,12 @@ class CalendarListClient extends UrlFetchJsonClient {
     }
 
 
+    /** Override UrlFetchJsonClient.getBatchUrl() to enable batch requests. */
+    getBatchUrl() {
+        return 'https://www.googleapis.com/batch/calendar/v3';
+    }
+
+
     async insert(calendarListItem) {
         return await this.postJson('https://www.googleapis.com/calendar/v3/users/me/calendarList', calendarListItem);
     }
@@ -32,6 +38,31 @@ class CalendarListClient extends UrlFetchJsonClient {
     }
 
 
+    /** Insert multiple calendar list items using batch requests.
+     *
+     * @return {Array<{code: number, result: Object, error: Error}>} The inserted items (result) or errors, in order.
+     */
+    async batchInsert(calendarListItems) {
+        return await this.batch(calendarListItems.map(calendarListItem => ({
+            method: 'post',
+            url: 'https://www.googleapis.com/calendar/v3/users/me/calendarList',
+            payload: calendarListItem
+        })));
+    }
+
+
+    /** Delete multiple calendars from the calendar list using batch requests.
+     *
+     * @return {Array<{code: number, result: Object, error: Error}>} The results (errors), in order.
+     */
+    async batchDelete(calendarIds) {
+        return await this.batch(calendarIds.map(calendarId => ({
+            method: 'delete',
+            url: `https://www.googleapis.com/calendar/v3/users/me/calendarList/${calendarId}`
+        })));
+    }
+
+
     async list() {
         const calendars = [];
         const params = {
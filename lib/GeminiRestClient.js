@@ -1,23 +1,22 @@
 /** A simple Google Gemini REST API client for document summarization. */
-class GeminiRestClient {
+class GeminiRestClient extends LlmClient {
 
-    constructor(apiKey) {
-        this._apiKey = apiKey;
+    constructor(apiKey, model) {
+        super('gemini', apiKey, model);
     }
 
-    /** Summarize a Google Doc by its content.
-     *
-     * @param docContent The text content of the document
-     * @param prompt The prompt to use for summarization
-     * @return {Promise<string>} The summarized content
-     */
-    async summarizeText(docContent, prompt) {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-image:generateContent?key=${this._apiKey}`;
-        
+    /** The model used if none is specified. */
+    static get DEFAULT_MODEL() {
+        return 'gemini-3-pro-image';
+    }
+
+    async generate_(text) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${this._model}:generateContent?key=${this._apiKey}`;
+
         const requestBody = {
             contents: [{
                 parts: [{
-                    text: `${prompt}\n\nDocument content:\n${docContent}`
+                    text: text
                 }]
             }],
             generationConfig: {
@@ -28,45 +27,20 @@ class GeminiRestClient {
             }
         };
 
-        const options = {
-            method: 'post',
-            contentType: 'application/json',
-            payload: JSON.stringify(requestBody),
-            muteHttpExceptions: true
-        };
-
-        const response = await UrlFetchApp.fetch(url, options);
-        const responseCode = response.getResponseCode();
-        
-        if (responseCode < 200 || responseCode >= 300) {
-            throw new Error(`Gemini API request failed with code ${responseCode}: ${response.getContentText()}`);
-        }
+        const result = await this.postJson_(url, {}, requestBody);
 
-        const result = JSON.parse(response.getContentText());
-        
         if (!result.candidates || result.candidates.length === 0) {
             throw new Error('No response from Gemini API');
         }
 
-        return result.candidates[0].content.parts[0].text;
-    }
-
-    /** Read and summarize a Google Doc.
-     *
-     * @param docId The ID of the Google Doc
-     * @param prompt The prompt to use for summarization
-     * @param driveClient A DriveClientV1 instance with access to the document
-     * @return {Promise<string>} The summarized content
-     */
-    async summarizeGoogleDoc(docId, prompt, driveClient) {
-        // Resolve file ID in case the file was moved (shortcut redirect)
-        const resolvedDocId = await driveClient.resolveFileId(docId);
-
-        // Export the Google Doc as plain text
-        const exportUrl = `https://www.googleapis.com/drive/v3/files/${resolvedDocId}/export?mimeType=text/plain&supportsAllDrives=true`;
-        const docContent = (await driveClient.fetch(exportUrl)).getContentText();
-
-        return await this.summarizeText(docContent, prompt);
+        const usage = result.usageMetadata || {};
+        const cachedTokens = usage.cachedContentTokenCount || 0;
+        return {
+            text: result.candidates[0].content.parts[0].text,
+            inputTokens: (usage.promptTokenCount || 0) - cachedTokens,
+            // thinking tokens are billed as output
+            outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+            cacheReadTokens: cachedTokens
+        };
     }
 }
-
@@ -8,11 +8,42 @@ const nativeModule = module;
 module = {exports: {}};
 
 
+/** URL prefix rewrites applied by UrlFetchApp, see UrlFetchApp.addUrlRewrite(). */
+const _UrlFetchApp_urlRewrites = [];
+
+
 /** Simple replacement for GAS UrlFetchApp. Requires a fetch() implementation to be present. */
 class UrlFetchApp {
+
+    /** Redirect all requests for URLs starting with prefix to another base URL (for example a local fake API).
+     *
+     * @param {string} prefix The URL prefix to replace, for example 'https://www.googleapis.com/calendar'.
+     * @param {string} replacement The replacement for the prefix, for example 'http://127.0.0.1:8080/calendar'.
+     */
+    static addUrlRewrite(prefix, replacement) {
+        _UrlFetchApp_urlRewrites.push([prefix, replacement]);
+    }
+
+    /** Remove all URL rewrites. */
+    static clearUrlRewrites() {
+        _UrlFetchApp_urlRewrites.length = 0;
+    }
+
     static async fetch(url, options) {
         try {
+            const rewrite = _UrlFetchApp_urlRewrites.find(([prefix]) => url.startsWith(prefix));
+            const finalUrl = rewrite ? rewrite[1] + url.substring(rewrite[0].length) : url;
+
             // fixup some API differences (thanks Google)
+            options = {...options};
+            if (options.method) {
+                options.method = options.method.toUpperCase();
+            }
+            if (options.payload && typeof options.payload === 'object') {
+                // like UrlFetchApp, send objects as form data
+                options.payload = new URLSearchParams(options.payload).toString();
+                options.contentType = options.contentType || 'application/x-www-form-urlencoded';
+            }
             if (options.contentType) {
                 options.headers = {...options.headers, ['Content-Type']: options.contentType};
             }
@@ -21,14 +52,15 @@ class UrlFetchApp {
                 options.payload = undefined;
             }
 
-            const r = await fetch(url, options);
+            const r = await fetch(finalUrl, options);
             const text = await r.text();
+            const headers = Object.fromEntries(r.headers.entries());
             r.getResponseCode = () => r.status;
             r.getContentText = () => text;
-            r.getHeaders = () => r.headers;
+            r.getHeaders = () => headers;
             return r;
         } catch (e) {
-            e.response = {getResponseCode: () => 0, getResponseText: () => null};
+            e.response = {getResponseCode: () => 0, getContentText: () => null, getHeaders: () => ({})};
             throw e;
         }
     }
@@ -56,6 +88,10 @@ class ScriptProperties {
         return this.store[key];
     }
 
+    deleteProperty(key) {
+        delete this.store[key];
+    }
+
     getProperties() {
         return {...this.store};
     }
@@ -135,3 +171,22 @@ class CacheService {
         return _CacheService_scriptCache;
     }
 }
+
+
+/** Simple replacement for GAS Utilities (only the parts used by the library).
+ *
+ * In GAS, sleep() blocks. Here it returns a Promise instead, so callers must await it.
+ */
+class Utilities {
+    static sleep(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+}
+
+
+/** Simple replacement for GAS Logger, supports format strings like '%s'. */
+class Logger {
+    static log(format, ...args) {
+        console.log(format, ...args);
+    }
+}
@@ -0,0 +1,133 @@
+/** Default maximum runtime of a single job execution.
+ *
+ * 4:50 minutes (hard Apps Script kill comes at 6:00 minutes),
+ * stay under 5 min. to ensure termination before the next instance starts if operating at 5 min. trigger delay.
+ */
+const JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES = 290 * 1000;
+
+
+/** Runs a long job over a list of items (like employees) in multiple executions.
+ *
+ * Items are processed in a deterministic order (sorted by key). The key of the last completed item is persisted as
+ * cursor in the script properties after each item, so the next execution resumes right after it, ensuring full coverage
+ * even if a single execution can't handle all items before the runtime limit.
+ *
+ * Handlers may additionally checkpoint partial progress of an item (like the last visited page or event), which is
+ * passed back to the handler when that item is resumed.
+ */
+class JobRunner {
+
+    /** Construct job runner instance.
+     *
+     * @param {string} cursorKey The script property to persist the cursor at, no cursor is persisted if empty.
+     * @param {number} maxRuntimeMillies Stop processing items after this many milliseconds since epoch.
+     * @param {Date} epoch The start time of this execution.
+     */
+    constructor(cursorKey, maxRuntimeMillies = JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES, epoch = new Date()) {
+        this.cursorKey = cursorKey;
+        this.deadlineTs = +epoch + maxRuntimeMillies;
+        this.currentKey = undefined;
+    }
+
+
+    /** Get the timestamp (in ms since 1970) after which no further items are started. */
+    getDeadline() {
+        return this.deadlineTs;
+    }
+
+
+    /** Check if the runtime limit of this execution has been reached. */
+    isTimeUp() {
+        return Date.now() >= this.deadlineTs;
+    }
+
+
+    /** Get the persisted cursor.
+     *
+     * @return {{key: string, state: *}|null} The key of the last (partially) processed item and its checkpoint state.
+     */
+    getCursor() {
+        const cursor = this.cursorKey ? PropertiesService.getScriptProperties().getProperty(this.cursorKey) : null;
+        return cursor ? JSON.parse(cursor) : null;
+    }
+
+
+    /** Forget the persisted cursor, the next execution starts with the first item. */
+    reset() {
+        if (this.cursorKey) {
+            PropertiesService.getScriptProperties().deleteProperty(this.cursorKey);
+        }
+    }
+
+
+    /** Persist partial progress of the item currently being processed.
+     *
+     * If the handler returns false afterwards, the item is resumed with this state in the next execution.
+     *
+     * @param {*} state JSON serializable checkpoint state, like the ID of the last processed event.
+     */
+    checkpoint(state) {
+        if (this.currentKey === undefined) {
+            throw new Error('Checkpoints are only supported while processing an item');
+        }
+        this.putCursor_({key: this.currentKey, state: state});
+    }
+
+
+    /** Process items, starting after the item completed last.
+     *
+     * Wraps around to the first item after the last one, processing each item at most once per execution.
+     *
+     * @param {Array<*>} items The items to process.
+     * @param {function(*): string} getKey Get the unique key of an item (determines processing order).
+     * @param {function(*, *): Promise<boolean>} handler Called for each item with the item and the checkpoint state
+     *                                                     (if resumed), must return false if the item was not completed.
+     * @return {Promise<boolean>} True if all items were processed, false if processing was stopped early.
+     */
+    async run(items, getKey, handler) {
+        const sortedItems = items
+            .map(item => ({key: String(getKey(item)), item: item}))
+            .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+        // resume a partially processed item or continue after the last completed one
+        const cursor = this.getCursor();
+        let startIndex = 0;
+        if (cursor) {
+            const isPartial = cursor.state !== undefined && cursor.state !== null;
+            startIndex = sortedItems.findIndex(({key}) => isPartial ? key >= cursor.key : key > cursor.key);
+            startIndex = startIndex < 0 ? 0 : startIndex;
+            Logger.log('Resuming job after item %s at item %s of %s', cursor.key, '' + (startIndex + 1), '' + sortedItems.length);
+        }
+
+        for (let i = 0; i < sortedItems.length; ++i) {
+            if (this.isTimeUp()) {
+                Logger.log('Stopped job before item %s of %s due to runtime limit', '' + (i + 1), '' + sortedItems.length);
+                return false;
+            }
+
+            const {key, item} = sortedItems[(startIndex + i) % sortedItems.length];
+            const state = cursor && cursor.key === key ? cursor.state : undefined;
+            this.currentKey = key;
+            try {
+                if (await handler(item, state === null ? undefined : state) === false) {
+                    Logger.log('Stopped job while processing item %s', key);
+                    return false;
+                }
+            } finally {
+                this.currentKey = undefined;
+            }
+
+            this.putCursor_({key: key});
+        }
+
+        return true;
+    }
+
+
+    /** Persist the cursor (if enabled). */
+    putCursor_(cursor) {
+        if (this.cursorKey) {
+            PropertiesService.getScriptProperties().setProperty(this.cursorKey, JSON.stringify(cursor));
+        }
+    }
+}
@@ -0,0 +1,164 @@
+/** Base class for LLM REST API clients used for document summarization.
+ *
+ * Implementations provide generate_() and report input tokens excluding cache reads. The token usage of all requests
+ * made by an instance is collected and available via getUsage(), for example to report the cost of summaries.
+ */
+class LlmClient {
+
+    /** Create a client for an LLM provider.
+     *
+     * @param {string} provider The provider name, one of LlmClient.PROVIDERS.
+     * @param {string} apiKey The API key.
+     * @param {string} model The model to use (optional, falls back to the provider's default model).
+     */
+    constructor(provider, apiKey, model) {
+        this._provider = provider;
+        this._apiKey = apiKey;
+        this._model = model || this.constructor.DEFAULT_MODEL;
+        this._usage = {inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, requests: 0};
+    }
+
+    /** The supported providers. */
+    static get PROVIDERS() {
+        return ['gemini', 'anthropic', 'openai'];
+    }
+
+    /** Create a client for the specified provider.
+     *
+     * @param {string} provider The provider name, one of LlmClient.PROVIDERS (default: 'gemini').
+     * @param {string} apiKey The API key.
+     * @param {string} model The model to use (optional).
+     * @return {LlmClient} The client.
+     */
+    static create(provider, apiKey, model) {
+        switch ((provider || 'gemini').toLowerCase()) {
+            case 'gemini':
+                return new GeminiRestClient(apiKey, model);
+            case 'anthropic':
+                return new AnthropicRestClient(apiKey, model);
+            case 'openai':
+                return new OpenAiRestClient(apiKey, model);
+            default:
+                throw new Error(`Unsupported LLM provider "${provider}", expected one of: ${LlmClient.PROVIDERS.join(', ')}`);
+        }
+    }
+
+    /** Get the provider name. */
+    getProvider() {
+        return this._provider;
+    }
+
+    /** Get the model used for requests. */
+    getModel() {
+        return this._model;
+    }
+
+    /** Get the token usage accumulated over all requests of this client.
+     *
+     * @return {{provider: string, model: string, inputTokens: number, outputTokens: number, cacheReadTokens: number, requests: number}}
+     */
+    getUsage() {
+        return {provider: this._provider, model: this._model, ...this._usage};
+    }
+
+    /** Summarize a document by its content.
+     *
+     * @param docContent The text content of the document
+     * @param prompt The prompt to use for summarization
+     * @return {Promise<string>} The summarized content
+     */
+    async summarizeText(docContent, prompt) {
+        return await this.complete_(`${prompt}\n\nDocument content:\n${docContent}`);
+    }
+
+    /** Read and summarize a Google Doc.
+     *
+     * @param docId The ID of the Google Doc
+     * @param prompt The prompt to use for summarization
+     * @param driveClient A DriveClientV1 instance with access to the document
+     * @return {Promise<string>} The summarized content
+     */
+    async summarizeGoogleDoc(docId, prompt, driveClient) {
+        return await this.summarizeText(await LlmClient.readGoogleDoc(docId, driveClient), prompt);
+    }
+
+    /** Extract structured data from a document as JSON.
+     *
+     * The prompt must describe the expected JSON, which may be wrapped in a markdown code block by the model.
+     *
+     * @param docContent The text content of the document
+     * @param prompt The prompt describing the data to extract
+     * @return {Promise<*>} The parsed JSON value
+     */
+    async extractJson(docContent, prompt) {
+        const text = await this.complete_(`${prompt}\n\nRespond with JSON only.\n\nDocument content:\n${docContent}`);
+        const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            throw new Error(`${this._provider} response is not valid JSON: ${e.message}`);
+        }
+    }
+
+    /** Read the content of a Google Doc as plain text.
+     *
+     * @param docId The ID of the Google Doc
+     * @param driveClient A DriveClientV1 instance with access to the document
+     * @return {Promise<string>} The text content
+     */
+    static async readGoogleDoc(docId, driveClient) {
+        // Resolve file ID in case the file was moved (shortcut redirect)
+        const resolvedDocId = await driveClient.resolveFileId(docId);
+
+        // Export the Google Doc as plain text
+        const exportUrl = `https://www.googleapis.com/drive/v3/files/${resolvedDocId}/export?mimeType=text/plain&supportsAllDrives=true`;
+        return (await driveClient.fetch(exportUrl)).getContentText();
+    }
+
+    /** Generate a response to a single user message, collecting the token usage. */
+    async complete_(text) {
+        const result = await this.generate_(text);
+
+        this._usage.inputTokens += result.inputTokens || 0;
+        this._usage.outputTokens += result.outputTokens || 0;
+        this._usage.cacheReadTokens += result.cacheReadTokens || 0;
+        this._usage.requests++;
+
+        return result.text;
+    }
+
+    /** Generate a response to a single user message.
+     *
+     * @param {string} text The message text.
+     * @return {Promise<{text: string, inputTokens: number, outputTokens: number, cacheReadTokens: number}>} The response text and token usage.
+     */
+    async generate_(text) {
+        throw new Error(`generate_() not implemented for LLM provider ${this._provider}`);
+    }
+
+    /** POST a JSON request to the provider's API and return the parsed response.
+     *
+     * @param {string} url The request URL.
+     * @param {Object} headers Additional request headers (authentication).
+     * @param {Object} requestBody The request body.
+     * @return {Promise<Object>} The parsed response.
+     */
+    async postJson_(url, headers, requestBody) {
+        const options = {
+            method: 'post',
+            contentType: 'application/json',
+            headers: headers,
+            payload: JSON.stringify(requestBody),
+            muteHttpExceptions: true
+        };
+
+        const response = await UrlFetchApp.fetch(url, options);
+        const responseCode = response.getResponseCode();
+
+        if (responseCode < 200 || responseCode >= 300) {
+            throw new Error(`${this._provider} API request failed with code ${responseCode}: ${response.getContentText()}`);
+        }
+
+        return JSON.parse(response.getContentText());
+    }
+}
@@ -0,0 +1,41 @@
+/** A simple OpenAI Chat Completions API client for document summarization. */
+class OpenAiRestClient extends LlmClient {
+
+    constructor(apiKey, model) {
+        super('openai', apiKey, model);
+    }
+
+    /** The model used if none is specified. */
+    static get DEFAULT_MODEL() {
+        return 'gpt-5.1';
+    }
+
+    async generate_(text) {
+        const requestBody = {
+            model: this._model,
+            max_completion_tokens: 8192,
+            messages: [{
+                role: 'user',
+                content: text
+            }]
+        };
+
+        const result = await this.postJson_('https://api.openai.com/v1/chat/completions', {
+            Authorization: `Bearer ${this._apiKey}`
+        }, requestBody);
+
+        if (!result.choices || result.choices.length === 0 || !result.choices[0].message?.content) {
+            throw new Error('No response from OpenAI API');
+        }
+
+        const usage = result.usage || {};
+        const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+        return {
+            text: result.choices[0].message.content,
+            // prompt tokens include cached tokens, report them separately
+            inputTokens: (usage.prompt_tokens || 0) - cachedTokens,
+            outputTokens: usage.completion_tokens,
+            cacheReadTokens: cachedTokens
+        };
+    }
+}
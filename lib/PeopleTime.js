@@ -2,16 +2,17 @@
  * without having to pull in Joda Time or similar libs and building complex constructs.
  */
 class PeopleTime {
-    constructor(year, month, day, hour, tzOffset) {
+    constructor(year, month, day, hour, tzOffset, minute = 0) {
         this.year = year;
         this.month = month;
         this.day = day;
         this.hour = hour;
+        this.minute = minute;
         this.tzOffset = tzOffset;
     }
 
     toString() {
-        return this.toISODate() + 'T' + ('' + this.hour).padStart(2, '0') + ':00:00';
+        return this.toISODate() + 'T' + ('' + this.hour).padStart(2, '0') + ':' + ('' + this.minute).padStart(2, '0') + ':00';
     }
 
     ['util.inspect.custom'](depth) {
@@ -30,7 +31,7 @@ class PeopleTime {
 
     /** Convert to ISO8601 timestamp at the given time-zone offset. */
     toISOString() {
-        const hours = Math.abs(Math.round(this.tzOffset / (60 * 60 * 1000)));
+        const hours = Math.floor(Math.abs(this.tzOffset) / (60 * 60 * 1000));
         const minutes = Math.abs(Math.round((this.tzOffset % (60 * 60 * 1000)) / (60 * 1000)));
         if (hours || minutes) {
             return this.toString() + (this.tzOffset < 0 ? '-' : '+')
@@ -50,10 +51,11 @@ class PeopleTime {
      *       as it will not adjust the timezone offset (for now).
      */
     addHours_(hours) {
-        const date = new Date(Date.UTC(this.year, this.month - 1, this.day, this.hour, 0, 0, 0)
+        const date = new Date(Date.UTC(this.year, this.month - 1, this.day, this.hour, this.minute, 0, 0)
             + (hours * 60 * 60 * 1000));
 
-        return new PeopleTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), this.tzOffset);
+        return new PeopleTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), this.tzOffset,
+            date.getUTCMinutes());
     }
 
     /** Convert from 00:00 to 24:00 on the previous day.
@@ -84,22 +86,25 @@ class PeopleTime {
      *
      * @param {boolean} isEndOfEvent Does this PeopleTime describe the end of an event (true) or the start (false)?
      * @param {boolean} halfDaysAllowed Are half-days allowed in this context?
+     * @param {number} midday The (fractional) hour splitting the day into halves, like the middle of the working hours.
      *
      * @return {PeopleTime} This or a new PeopleTime instance guaranteed to be normalized according to the specified inputs.
      */
-    normalizeHalfDay(isEndOfEvent, halfDaysAllowed) {
+    normalizeHalfDay(isEndOfEvent, halfDaysAllowed, midday = 12) {
         // ensure new normalized instance
         let normal = isEndOfEvent ? this.switchHour0ToHour24() : this;
-        normal = normal === this ? new PeopleTime(this.year, this.month, this.day, this.hour, this.tzOffset) : normal;
+        normal = normal === this ? new PeopleTime(this.year, this.month, this.day, this.hour, this.tzOffset, this.minute) : normal;
+        const time = normal.getFractionalHour();
+        normal.minute = 0;
 
         if (isEndOfEvent) {
-            if (normal.hour > 12 || !halfDaysAllowed) {
+            if (time > midday || !halfDaysAllowed) {
                 normal.hour = 24;
             } else {
                 normal.hour = 12;
             }
         } else {
-            if (normal.hour < 12 || !halfDaysAllowed) {
+            if (time < midday || !halfDaysAllowed) {
                 normal.hour = 0;
             } else {
                 normal.hour = 12;
@@ -116,7 +121,33 @@ class PeopleTime {
 
     /** Does this PeopleTime instance refer to the same point in time as the other? */
     equals(other) {
-        return other && this.year === other.year && this.month === other.month && this.day === other.day && this.hour === other.hour;
+        return other && this.year === other.year && this.month === other.month && this.day === other.day && this.hour === other.hour
+            && this.minute === other.minute;
+    }
+
+    /** Get the point in time in milliseconds since 1970 (taking the time-zone offset into account). */
+    getTime() {
+        return Date.UTC(this.year, this.month - 1, this.day, this.hour, this.minute, 0, 0) - this.tzOffset;
+    }
+
+    /** Returns a new PeopleTime instance with the same local date-time, but at the offset of the specified time-zone.
+     *
+     * The offset is determined for this local date-time (not for the current one), so it is correct across DST switches.
+     *
+     * @param {string} timeZone Named time-zone like "Europe/Berlin".
+     */
+    withTimeZone(timeZone) {
+        const localMillies = Date.UTC(this.year, this.month - 1, this.day, this.hour, this.minute, 0, 0);
+        // the offset at the UTC point in time with the same wall-clock time is a guess, which is corrected once
+        const guessedOffset = Util.getNamedTimeZoneOffset(timeZone, new Date(localMillies));
+        const offset = Util.getNamedTimeZoneOffset(timeZone, new Date(localMillies - guessedOffset));
+
+        return new PeopleTime(this.year, this.month, this.day, this.hour, offset, this.minute);
+    }
+
+    /** Get the time of day in hours, including minutes as fraction (ie. 13.5 for 13:30). */
+    getFractionalHour() {
+        return this.hour + this.minute / 60;
     }
 
     /** Is the hour in the first or second half of the day? .*/
@@ -124,12 +155,26 @@ class PeopleTime {
         return this.hour < 12;
     }
 
+    /** Get a PeopleTime instance describing the local date-time of a point in time in the specified time-zone.
+     *
+     * @param {Date} date The point in time.
+     * @param {string} timeZone Named time-zone like "Europe/Berlin".
+     */
+    static fromDate(date, timeZone) {
+        const offset = Util.getNamedTimeZoneOffset(timeZone, date);
+        const local = new Date(+date + offset);
+
+        return new PeopleTime(local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate(), local.getUTCHours(), offset,
+            local.getUTCMinutes());
+    }
+
     /** Get a PeopleTime instance from a ISO8601 timestamp like (ie. "2016-05-13" or "2018-09-24T20:15:13.123+01:00".
      * @param {string} ts The ISO8601 timestamp to convert to PeopleTime (lossy).
      * @param {number} hour Hour override. Will override the hour component if present, may be undefined.
      * @param {number} tzOffset Timezone offset override in milliseconds. Will override the parsed offset if present, may be undefined.
      *
      * @return {PeopleTime} A people time instance with a local datetime matching the timestamps and hour override's.
+     *                      Minutes are kept (unless the hour is overridden), seconds are dropped.
      */
     static fromISO8601(ts, hour = undefined, tzOffset = undefined) {
         // we care about local date-time
@@ -139,6 +184,7 @@ class PeopleTime {
 
         const dateAndTime = ts.trim().split('T');
         const h = hour != null ? hour : (dateAndTime[1] ? Math.round(+(dateAndTime[1].substring(0, 2))) : 0);
+        const min = hour == null && dateAndTime[1] && dateAndTime[1][2] === ':' ? Math.round(+(dateAndTime[1].substring(3, 5))) : 0;
         const ymd = dateAndTime[0].split('-');
         const year = Math.round(+ymd[0]);
         const month = Math.round(+ymd[1]);
@@ -147,10 +193,11 @@ class PeopleTime {
 
         // test for NaN and invalid values
         if (!(year + month + day + h) || month <= 0 || month > 12 || day <= 0 || day > 31 || h < 0 || h > 24 ||
+            !(min >= 0 && min < 60) || (h === 24 && min) ||
             offset == null || offset < -12 * 60 * 60 * 1000 || offset > 14 * 60 * 60 * 1000) {
             throw new Error('Invalid ISO8601 timestamp, hour override or tzOffset specified: ts=' + ts + ', hour=' + hour + ', tzOffset=' + tzOffset);
         }
 
-        return new PeopleTime(year, month, day, h, offset);
+        return new PeopleTime(year, month, day, h, offset, min);
     }
 }
@@ -0,0 +1,46 @@
+/** Authenticated Service for Personio API v2 (OAuth2 client credentials flow).
+ *
+ * Supports getAccessToken() just like OAuth2.
+ */
+class PersonioAuthV2 extends UrlFetchJsonClient {
+
+    constructor(clientId, clientSecret, baseUrl = undefined) {
+        super();
+
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.baseUrl = baseUrl || PERSONIO_API_V2_BASE_URL;
+        this.accessToken = null;
+        this.expiresAt = 0;
+    }
+
+
+    /** Get a valid access token
+     *
+     * Requests an access token for this instance's clientId and clientSecret, if there is no valid one.
+     */
+    async getAccessToken() {
+
+        // renew a minute early, to avoid using tokens expiring during a request
+        if (!this.accessToken || Date.now() >= this.expiresAt - 60 * 1000) {
+            const document = await this.fetchJson(this.baseUrl + '/auth/token', {
+                method: 'post',
+                contentType: 'application/x-www-form-urlencoded',
+                payload: UrlFetchJsonClient.buildQuery({
+                    grant_type: 'client_credentials',
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret
+                }).substring(1)
+            });
+
+            if (!document || !document.access_token) {
+                throw new Error('No access token received from Personio');
+            }
+
+            this.accessToken = document.access_token;
+            this.expiresAt = Date.now() + (+document.expires_in || 0) * 1000;
+        }
+
+        return this.accessToken;
+    }
+}
@@ -22,15 +22,21 @@ class PersonioClientV1 extends UrlFetchJsonClient {
     }
 
 
-    /** Override UrlFetchJsonClient.fetch() to grab the next access token from the response. */
+    /** Override UrlFetchJsonClient.fetch() to ensure only the Personio API endpoint can be contacted. */
     async fetch(url, params) {
-
         const absoluteUrl = this.baseUrl + (url || '').replace(this.baseUrl, '');
+        return await super.fetch(absoluteUrl, params);
+    }
+
+
+    /** Override UrlFetchJsonClient.fetchOnce() to grab the next access token from each response (also when retrying). */
+    async fetchOnce(url, params) {
+
         let response = undefined;
         let error = undefined;
         try
         {
-            response = await super.fetch(absoluteUrl, params);
+            response = await super.fetchOnce(url, params);
         }
         catch (e)
         {
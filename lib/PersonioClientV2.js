@@ -0,0 +1,190 @@
+/** The Personio API v2 prefix. */
+const PERSONIO_API_V2_BASE_URL = 'https://api.personio.de/v2';
+
+/** Maximum page sizes of the v2 list endpoints (they differ per endpoint). */
+const PERSONIO_V2_MAX_PAGE_SIZE = {
+    persons: 50,
+    'absence-periods': 100,
+    'absence-types': 100
+};
+
+
+/** A Personio API v2 person.
+ *
+ * @typedef {Object} PersonioPersonV2
+ * @property {string} id The person ID.
+ * @property {string} email The (work) email address.
+ * @property {string} first_name First name.
+ * @property {string} last_name Last name.
+ * @property {string} preferred_name Preferred name (may be empty).
+ * @property {string} status Status, for example 'ACTIVE' or 'INACTIVE'.
+ * @property {string} created_at ISO8601 creation timestamp.
+ * @property {string} updated_at ISO8601 last update timestamp.
+ * @property {Array<Object>} custom_attributes Custom attributes, objects with id, type and value fields.
+ */
+
+/** A Personio API v2 employment (a person may have multiple).
+ *
+ * @typedef {Object} PersonioEmploymentV2
+ * @property {string} id The employment ID.
+ * @property {string} status Status, for example 'ACTIVE', 'ONBOARDING' or 'INACTIVE'.
+ * @property {{id: string}} supervisor The supervisor (a person).
+ * @property {{id: string}} office The office.
+ * @property {{id: string}} org_units The departments and teams.
+ * @property {string} position Position/job title.
+ * @property {string} start_date ISO8601 start date.
+ * @property {string} end_date ISO8601 end date (may be null).
+ */
+
+/** A Personio API v2 absence period.
+ *
+ * @typedef {Object} PersonioAbsencePeriodV2
+ * @property {string} id The absence period ID.
+ * @property {{id: string}} person The absent person.
+ * @property {{id: string}} absence_type The absence type.
+ * @property {{date_time: string, type: string}} starts_from Start, type is 'FIRST_HALF', 'SECOND_HALF' or 'TIME'.
+ * @property {{date_time: string, type: string}} ends_at End, type is 'FIRST_HALF', 'SECOND_HALF' or 'TIME'.
+ * @property {string} timezone The IANA timezone of the absence.
+ * @property {string} approval_status Approval status, for example 'APPROVED', 'PENDING' or 'REJECTED'.
+ * @property {string} comment The comment (may be empty).
+ * @property {string} created_at ISO8601 creation timestamp.
+ * @property {string} updated_at ISO8601 last update timestamp.
+ */
+
+
+/** Simple wrapper around UrlFetchApp that performs authenticated requests against Personio API v2.
+ *
+ * Intended to replace PersonioClientV1 one script at a time.
+ */
+class PersonioClientV2 extends UrlFetchJsonClient {
+
+    constructor(service, baseUrl = undefined) {
+        super(service);
+        this.baseUrl = baseUrl || PERSONIO_API_V2_BASE_URL;
+    }
+
+
+    /** Get a client authenticated with the specified API credentials. */
+    static withApiCredentials(clientId, clientSecret) {
+        return new PersonioClientV2(new PersonioAuthV2(clientId, clientSecret));
+    }
+
+
+    /** Override UrlFetchJsonClient.fetch() to ensure only the Personio API endpoint can be contacted. */
+    async fetch(url, params) {
+        const absoluteUrl = this.baseUrl + (url || '').replace(this.baseUrl, '');
+        return await super.fetch(absoluteUrl, {
+            ...params,
+            headers: {
+                Accept: 'application/json',
+                ...(params || {}).headers
+            }
+        });
+    }
+
+
+    /** Fetch JSON from a Personio API v2 list endpoint.
+     *
+     * Will automatically follow the cursor to query all remaining pages, unless a cursor is specified.
+     *
+     * @param url Absolute or relative URL below Personio API endpoint.
+     * @param options Additional fetch parameters (same as UrlFetchApp.fetch()'s second parameter).
+     * @return {Array<Object>} The concatenated "_data" members of all pages.
+     */
+    async getPersonioJson(url, options) {
+        const params = PersonioClientV2.parseQuery(url);
+        const path = url.split('?')[0];
+        const isSinglePage = params.cursor !== undefined;
+        if (params.limit === undefined) {
+            const maxPageSize = PERSONIO_V2_MAX_PAGE_SIZE[path.replace(this.baseUrl, '').split('/').filter(p => !!p)[0]];
+            params.limit = maxPageSize !== undefined ? '' + maxPageSize : undefined;
+        }
+
+        let data = [];
+        do {
+            const finalUrl = path + PersonioClientV2.buildQuery(params);
+            const document = await this.getJson(finalUrl, options);
+            if (!document || !Array.isArray(document._data)) {
+                throw new Error('Response for ' + finalUrl + ' from Personio doesn\'t contain data');
+            }
+
+            data = data.concat(document._data);
+
+            const nextHref = document._meta?.links?.next?.href;
+            params.cursor = nextHref ? PersonioClientV2.parseQuery(nextHref).cursor : undefined;
+        }
+        while (params.cursor && !isSinglePage);
+
+        return data;
+    }
+
+
+    /** List persons.
+     *
+     * @param {Object} filter Optional query parameters, for example {email: 'jonas@giantswarm.io'} or {'updated_at.gte': '2024-01-01T00:00:00'}.
+     * @return {Array<PersonioPersonV2>} The persons.
+     */
+    async listPersons(filter) {
+        return await this.getPersonioJson('/persons' + PersonioClientV2.buildQuery(filter || {}));
+    }
+
+
+    /** Get a single person by ID.
+     *
+     * @param {string} personId The person ID.
+     * @return {PersonioPersonV2} The person.
+     */
+    async getPerson(personId) {
+        return await this.getJson(`/persons/${encodeURIComponent(personId)}`);
+    }
+
+
+    /** List the employments of a person.
+     *
+     * @param {string} personId The person ID.
+     * @return {Array<PersonioEmploymentV2>} The employments.
+     */
+    async listEmployments(personId) {
+        return await this.getPersonioJson(`/persons/${encodeURIComponent(personId)}/employments`);
+    }
+
+
+    /** List absence types.
+     *
+     * @return {Array<Object>} The absence types, objects with id, name, category and unit fields.
+     */
+    async listAbsenceTypes() {
+        return await this.getPersonioJson('/absence-types');
+    }
+
+
+    /** List absence periods.
+     *
+     * @param {Object} filter Optional query parameters, for example {'person.id': '123', 'starts_from.gte': '2024-01-01T00:00:00'}.
+     * @return {Array<PersonioAbsencePeriodV2>} The absence periods.
+     */
+    async listAbsencePeriods(filter) {
+        return await this.getPersonioJson('/absence-periods' + PersonioClientV2.buildQuery(filter || {}));
+    }
+
+
+    /** Create an absence period.
+     *
+     * @param {Object} absencePeriod The absence period to create, requires person, absence_type, starts_from and ends_at.
+     * @return {{id: string}} The created absence period's ID.
+     */
+    async createAbsencePeriod(absencePeriod) {
+        return await this.postJson('/absence-periods', absencePeriod);
+    }
+
+
+    /** Delete an absence period.
+     *
+     * @param {string} absencePeriodId The ID of the absence period to delete.
+     */
+    async deleteAbsencePeriod(absencePeriodId) {
+        return await this.fetchJson(`/absence-periods/${encodeURIComponent(absencePeriodId)}`, {
+            method: 'delete'
+        });
+    }
+}
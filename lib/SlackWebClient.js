@@ -1,10 +1,74 @@
-/** A simple Slack WebAPI client. */
+/** Base URL of the Slack Web API. */
 const SLACK_API_URL = 'https://slack.com/api/';
 
-class SlackWebClient {
+
+/** Error of a failed Slack Web API call, with the Slack error code (for example "channel_not_found") as member error. */
+class SlackApiError extends Error {
+
+    constructor(method, error, response) {
+        super(`Slack API call ${method} failed: ${error}`);
+        this.name = 'SlackApiError';
+        this.method = method;
+        this.error = error;
+        this.response = response;
+    }
+}
+
+
+/** Error of a Slack Web API call still rate limited after all retries, with the requested delay (in seconds) as member retryAfter. */
+class SlackRateLimitError extends SlackApiError {
+
+    constructor(method, retryAfter, response) {
+        super(method, 'ratelimited', response);
+        this.name = 'SlackRateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+
+/** Slack Web API client authenticated with a bot token.
+ *
+ * Rate limited calls (429) are retried honouring Retry-After (see UrlFetchJsonClient), failed calls throw SlackApiError.
+ */
+class SlackWebClient extends UrlFetchJsonClient {
 
     constructor(botToken) {
-        this._botToken = botToken;
+        super({getAccessToken: () => botToken});
+    }
+
+    /** Call a Slack Web API method.
+     *
+     * Not all methods accept JSON arguments, so these are sent form encoded unless requested otherwise.
+     *
+     * @param {string} method The API method, for example 'chat.postMessage'.
+     * @param {Object} args The arguments, undefined or null values are omitted.
+     * @param {boolean} json Send the arguments as JSON (required for structured arguments like blocks).
+     * @return {Promise<Object>} The successful response.
+     * @throws {SlackApiError} If the call failed, SlackRateLimitError if it was still rate limited after all retries.
+     */
+    async call(method, args = {}, json = false) {
+        const payload = Object.fromEntries(Object.entries(args).filter(([key, value]) => value !== undefined && value !== null));
+
+        let response;
+        try {
+            response = json
+                ? await this.postJson(SLACK_API_URL + method, payload)
+                : await this.fetchJson(SLACK_API_URL + method, {method: 'post', payload: payload});
+        } catch (e) {
+            const code = e.response?.getResponseCode();
+            if (code === 429) {
+                const retryAfter = UrlFetchJsonClient.getHeader_(e.response.getHeaders(), 'Retry-After');
+                throw new SlackRateLimitError(method, retryAfter !== undefined ? +retryAfter : undefined, e.response);
+            } else if (code) {
+                throw new SlackApiError(method, 'http_' + code, e.response);
+            }
+            throw e;
+        }
+
+        if (!response?.ok) {
+            throw new SlackApiError(method, response?.error || 'invalid_response', response);
+        }
+        return response;
     }
 
     /** Get all channels the app is a member of. */
@@ -12,57 +76,66 @@ class SlackWebClient {
         let channels = [];
         let nextCursor = null;
         do {
-            const options = {
-                method: 'post',
-                contentType: 'application/x-www-form-urlencoded',
-                payload: {
-                    token: this._botToken,
-                    limit: 100,
-                    cursor: nextCursor,
-                    types: 'public_channel,private_channel',
-                    exclude_archived: true
-                }
-            };
-            const response = await UrlFetchApp.fetch(`${SLACK_API_URL}users.conversations`, options);
-            const channelResponse = JSON.parse(response.getContentText());
-            if (!channelResponse.ok) {
-                throw new Error('Failed to enumerate Slack channels');
-            }
+            const channelResponse = await this.call('users.conversations', {
+                limit: 100,
+                cursor: nextCursor,
+                types: 'public_channel,private_channel',
+                exclude_archived: true
+            });
 
             channels = channels.concat(channelResponse.channels);
 
-            nextCursor = channelResponse.response_metadata.next_cursor;
+            nextCursor = channelResponse.response_metadata?.next_cursor;
         }
         while (nextCursor);
 
         return channels;
     }
 
-    /** Post a message to a single channel. */
-    async postMessage(channelId, text, blocks) {
-        const payload = {
+    /** Post a message to a single channel, or as a reply to a thread if threadTs is specified. */
+    async postMessage(channelId, text, blocks, threadTs) {
+        return await this.call('chat.postMessage', {
             channel: channelId,
-            text: text
-        };
+            text: text,
+            blocks: blocks,
+            thread_ts: threadTs
+        }, true);
+    }
 
-        if (blocks) {
-            payload.blocks = blocks;
-        }
+    /** Replace the text and blocks of a message posted before, identified by channel and timestamp. */
+    async updateMessage(channelId, ts, text, blocks) {
+        return await this.call('chat.update', {
+            channel: channelId,
+            ts: ts,
+            text: text,
+            blocks: blocks
+        }, true);
+    }
 
-        const options = {
-            method: 'post',
-            contentType: 'application/json; charset=utf-8',
-            headers: {
-                Authorization: `Bearer ${this._botToken}`
-            },
-            payload: JSON.stringify(payload)
-        };
-        const response = await UrlFetchApp.fetch(`${SLACK_API_URL}chat.postMessage`, options);
-        const postMessageResponse = JSON.parse(response.getContentText());
-        if (!postMessageResponse.ok) {
-            throw new Error('Failed to post message to Slack channel ' + channelId + ': ' + postMessageResponse.error);
-        }
-        return postMessageResponse;
+    /** Post a message to a channel, visible only to the specified user (a member of the channel). */
+    async postEphemeral(channelId, userId, text, blocks, threadTs) {
+        return await this.call('chat.postEphemeral', {
+            channel: channelId,
+            user: userId,
+            text: text,
+            blocks: blocks,
+            thread_ts: threadTs
+        }, true);
+    }
+
+    /** Open (or resume) a direct message conversation with one or more users.
+     *
+     * @param {string|Array<string>} userIds The user ID(s), up to 8 for a group conversation.
+     * @return {Promise<string>} The conversation's channel ID.
+     */
+    async openConversation(userIds) {
+        const openResponse = await this.call('conversations.open', {users: [].concat(userIds).join(',')}, true);
+        return openResponse.channel.id;
+    }
+
+    /** Send a direct message to a user. */
+    async postDirectMessage(userId, text, blocks) {
+        return await this.postMessage(await this.openConversation(userId), text, blocks);
     }
 
     /** Broadcast message to all channels the app has been added to. */
@@ -73,20 +146,47 @@ class SlackWebClient {
         }
     }
 
-    /** Look up a user by their email address. */
+    /** Upload a file and share it in a channel (or thread).
+     *
+     * @param {string} channelId The channel to share the file in.
+     * @param {string} filename The file name.
+     * @param {string|Blob} content The file content, text (UTF-8) or a Blob.
+     * @param {{title: string, initialComment: string, threadTs: string}} options Optional title, message and thread.
+     * @return {Promise<Object>} The uploaded file object.
+     */
+    async uploadFile(channelId, filename, content, options = {}) {
+        // length in bytes, of the UTF-8 encoded text
+        const length = typeof content === 'string' ? unescape(encodeURIComponent(content)).length : content.getBytes().length;
+        const uploadResponse = await this.call('files.getUploadURLExternal', {filename: filename, length: length});
+
+        await this.fetch(uploadResponse.upload_url, {
+            method: 'post',
+            contentType: 'application/octet-stream',
+            payload: content
+        });
+
+        const completeResponse = await this.call('files.completeUploadExternal', {
+            files: [{id: uploadResponse.file_id, title: options.title || filename}],
+            channel_id: channelId,
+            initial_comment: options.initialComment,
+            thread_ts: options.threadTs
+        }, true);
+        return completeResponse.files[0];
+    }
+
+    /** Look up a user by their email address.
+     *
+     * @return {Promise<Object|null>} The user, or null if there is no user with this email.
+     */
     async lookupByEmail(email) {
-        const options = {
-            method: 'get',
-            contentType: 'application/x-www-form-urlencoded',
-            headers: {
-                Authorization: `Bearer ${this._botToken}`
+        try {
+            const lookupResponse = await this.call('users.lookupByEmail', {email: email});
+            return lookupResponse.user;
+        } catch (e) {
+            if (e instanceof SlackApiError && e.error === 'users_not_found') {
+                return null;
             }
-        };
-        const response = await UrlFetchApp.fetch(`${SLACK_API_URL}users.lookupByEmail?email=${encodeURIComponent(email)}`, options);
-        const lookupResponse = JSON.parse(response.getContentText());
-        if (!lookupResponse.ok) {
-            return null; // User not found or other error
+            throw e;
         }
-        return lookupResponse.user;
     }
 }
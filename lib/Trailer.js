@@ -2,7 +2,13 @@
 module.exports = {
     ...module.exports,
     UrlFetchJsonClient: UrlFetchJsonClient,
+    LlmClient: LlmClient,
+    GeminiRestClient: GeminiRestClient,
+    AnthropicRestClient: AnthropicRestClient,
+    OpenAiRestClient: OpenAiRestClient,
     SlackWebClient: SlackWebClient,
+    SlackApiError: SlackApiError,
+    SlackRateLimitError: SlackRateLimitError,
     CalendarClient: CalendarClient,
     CalendarListClient: CalendarListClient,
     MeetClient: MeetClient,
@@ -12,9 +18,20 @@ module.exports = {
     PeopleTime: PeopleTime,
     PersonioAuthV1: PersonioAuthV1,
     PersonioClientV1: PersonioClientV1,
+    PersonioAuthV2: PersonioAuthV2,
+    PersonioClientV2: PersonioClientV2,
     SheetUtil: SheetUtil,
     TriggerUtil: TriggerUtil,
-    Util: Util
+    JobRunner: JobRunner,
+    JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES: JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES,
+    Util: Util,
+    // replacements for GAS APIs, to run scripts on NodeJS (ie. in tests)
+    UrlFetchApp: UrlFetchApp,
+    PropertiesService: PropertiesService,
+    LockService: LockService,
+    CacheService: CacheService,
+    Utilities: Utilities,
+    Logger: Logger
 };
 
 // merge exports
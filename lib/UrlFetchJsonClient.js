@@ -1,3 +1,25 @@
+/** Default retry behaviour of UrlFetchJsonClient, see UrlFetchJsonClient.setRetryOptions().
+ *
+ * Rate limited requests (429) are always retried, other retryable failures only for idempotent methods
+ * (a failed POST may still have been processed by the server).
+ */
+const URL_FETCH_DEFAULT_RETRY_OPTIONS = {
+    /** Maximum number of retries after the initial attempt (0 disables retrying). */
+    maxRetries: 3,
+    /** Delay before the first retry (in ms), doubled for each further retry. */
+    initialDelay: 1000,
+    /** Maximum delay between attempts (in ms), longer Retry-After requests fail immediately. */
+    maxDelay: 32000,
+    /** HTTP status codes to retry. */
+    retryCodes: [429, 500, 502, 503, 504],
+    /** HTTP methods which are safe to retry after server errors and network failures. */
+    idempotentMethods: ['get', 'head', 'put', 'delete', 'options']
+};
+
+/** Maximum number of calls per Google API batch request. */
+const URL_FETCH_MAX_BATCH_SIZE = 100;
+
+
 /**
  * Base class for UrlFetchApp based services with JSON responses.
  */
@@ -9,6 +31,18 @@ class UrlFetchJsonClient {
      */
     constructor(service) {
         this.service = service;
+        this.retryOptions = {...URL_FETCH_DEFAULT_RETRY_OPTIONS};
+    }
+
+
+    /** Configure retrying of failed requests for this instance.
+     *
+     * @param {Object} options Options to override, see URL_FETCH_DEFAULT_RETRY_OPTIONS.
+     * @return {UrlFetchJsonClient} This instance, for chaining.
+     */
+    setRetryOptions(options) {
+        this.retryOptions = {...this.retryOptions, ...options};
+        return this;
     }
 
 
@@ -99,8 +133,63 @@ class UrlFetchJsonClient {
     }
 
 
+    /** Fetch a URL, retrying rate limited requests and transient failures with exponential backoff.
+     *
+     * Honours the Retry-After header of responses.
+     *
+     * @throws Error for non-2xx responses after all retries, with members response and retries.
+     */
     async fetch(url, params) {
-        const response = await UrlFetchApp.fetch(url, {
+        const options = this.retryOptions;
+        const isIdempotent = options.idempotentMethods.includes(((params || {}).method || 'get').toLowerCase());
+        const logUrl = (url || '').split('?')[0];
+
+        for (let retries = 0; ; ++retries) {
+            let response;
+            try {
+                response = await this.fetchOnce(url, params);
+            } catch (e) {
+                // network failure (UrlFetchApp throws those despite muteHttpExceptions)
+                if (!isIdempotent || retries >= options.maxRetries) {
+                    e.retries = retries;
+                    throw e;
+                }
+                const delay = UrlFetchJsonClient.getRetryDelay_(options, retries);
+                Logger.log('Request for %s failed: %s, retry %s of %s in %sms', logUrl, e.message, retries + 1, options.maxRetries, delay);
+                await Utilities.sleep(delay);
+                continue;
+            }
+
+            const code = response.getResponseCode();
+            if (code >= 200 && code < 300) {
+                if (retries > 0) {
+                    Logger.log('Request for %s succeeded after %s retries', logUrl, retries);
+                }
+                return response;
+            }
+
+            const delay = UrlFetchJsonClient.getRetryDelay_(options, retries, response);
+            const isRetryable = options.retryCodes.includes(code) && (code === 429 || isIdempotent);
+            if (!isRetryable || retries >= options.maxRetries || delay > options.maxDelay) {
+                const e = new Error('Request for ' + url + ' failed with code ' + code
+                    + (retries > 0 ? ' after ' + retries + ' retries' : '') + ': ' + response.getContentText());
+                e.response = response;
+                e.retries = retries;
+                throw e;
+            }
+
+            Logger.log('Request for %s failed with code %s, retry %s of %s in %sms', logUrl, code, retries + 1, options.maxRetries, delay);
+            await Utilities.sleep(delay);
+        }
+    }
+
+
+    /** Perform a single authenticated request, without checking the response code.
+     *
+     * Subclasses may override this to inspect every response, including the ones being retried.
+     */
+    async fetchOnce(url, params) {
+        return await UrlFetchApp.fetch(url, {
             ...params,
             muteHttpExceptions: true,
             headers: this.service ? ({
@@ -108,15 +197,157 @@ class UrlFetchJsonClient {
                 Authorization: 'Bearer ' + await this.service.getAccessToken()
             }) : ((params || {}).headers || {})
         });
+    }
+
+
+    /** Get the delay before the next attempt (in ms).
+     *
+     * Uses the response's Retry-After header (seconds or HTTP date) if present, otherwise exponential backoff with jitter.
+     */
+    static getRetryDelay_(options, retries, response) {
+        const retryAfterHeader = response ? UrlFetchJsonClient.getHeader_(response.getHeaders(), 'Retry-After') : undefined;
+        if (retryAfterHeader !== undefined) {
+            const retryAfter = String(retryAfterHeader).trim();
+            const delay = /^\d+$/.test(retryAfter) ? +retryAfter * 1000 : new Date(retryAfter).getTime() - Date.now();
+            if (!isNaN(delay)) {
+                return Math.max(0, delay);
+            }
+        }
+
+        const backoff = Math.min(options.maxDelay, options.initialDelay * Math.pow(2, retries));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+
+    /** Get a header value by case-insensitive name (GAS and NodeJS differ in header name case). */
+    static getHeader_(headers, name) {
+        const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+        return key !== undefined ? headers[key] : undefined;
+    }
+
+
+    /** Get the batch endpoint of the API this client talks to.
+     *
+     * Clients for Google APIs supporting batch requests override this.
+     *
+     * @return {string|undefined} The batch endpoint URL, for example 'https://www.googleapis.com/batch/calendar/v3'.
+     */
+    getBatchUrl() {
+        return undefined;
+    }
+
+
+    /** Perform multiple API calls using as few HTTP requests as possible (Google API multipart/mixed batches).
+     *
+     * Calls are packed into batches of up to URL_FETCH_MAX_BATCH_SIZE. Failing calls don't fail the batch,
+     * check the error member of each result instead.
+     *
+     * @param {Array<{method: string, url: string, payload: Object}>} requests The calls, payload (optional) is sent as JSON.
+     * @return {Array<{code: number, result: Object, error: Error}>} The parsed response of each call, in order of requests.
+     */
+    async batch(requests) {
+        const batchUrl = this.getBatchUrl();
+        if (!batchUrl) {
+            throw new Error(this.constructor.name + ' does not support batch requests');
+        }
+
+        const results = [];
+        for (let offset = 0; offset < requests.length; offset += URL_FETCH_MAX_BATCH_SIZE) {
+            const chunk = requests.slice(offset, offset + URL_FETCH_MAX_BATCH_SIZE);
+            const boundary = 'batch_' + Date.now().toString(36) + Math.random().toString(36).substring(2);
+
+            const response = await this.fetch(batchUrl, {
+                method: 'post',
+                contentType: 'multipart/mixed; boundary=' + boundary,
+                payload: UrlFetchJsonClient.buildBatchPayload_(chunk, boundary)
+            });
+
+            results.push(...UrlFetchJsonClient.parseBatchResponse_(response, chunk));
+        }
+
+        return results;
+    }
+
+
+    /** Assemble the multipart/mixed body of a batch request, parts are identified by Content-ID "item<index>". */
+    static buildBatchPayload_(requests, boundary) {
+        const parts = requests.map((request, index) => {
+            // only the path is sent, the host is the batch endpoint's
+            const path = request.url.replace(/^https?:\/\/[^/]+/, '');
+            const lines = [
+                '--' + boundary,
+                'Content-Type: application/http',
+                'Content-ID: <item' + index + '>',
+                '',
+                (request.method || 'get').toUpperCase() + ' ' + path + ' HTTP/1.1'
+            ];
+            if (request.payload !== undefined) {
+                lines.push('Content-Type: application/json', '', JSON.stringify(request.payload));
+            }
+            lines.push('');
+            return lines.join('\r\n');
+        });
+
+        return parts.join('\r\n') + '\r\n--' + boundary + '--\r\n';
+    }
+
 
-        const code = response.getResponseCode();
-        if (code < 200 || code >= 300) {
-            const e = new Error('Request for ' + url + ' failed with code ' + code + ': ' + response.getContentText());
-            e.response = response;
-            throw e;
+    /** Split a multipart/mixed batch response into results, in order of requests. */
+    static parseBatchResponse_(response, requests) {
+        const body = response.getContentText() || '';
+        const contentType = UrlFetchJsonClient.getHeader_(response.getHeaders(), 'Content-Type') || '';
+        const boundaryMatch = contentType.match(/boundary="?([^";]+)"?/) || body.match(/^\s*--(\S+)/);
+        if (!boundaryMatch) {
+            throw new Error('Batch response without multipart boundary: ' + body.substring(0, 200));
+        }
+
+        const results = new Array(requests.length);
+        const parts = body.split('--' + boundaryMatch[1])
+            .filter(part => part.trim() !== '' && part.trim() !== '--');
+
+        parts.forEach((part, partIndex) => {
+            // part headers, blank line, status line with HTTP headers, blank line, body
+            const sections = part.replace(/^\r?\n/, '').split(/\r?\n\r?\n/);
+            const partHeaders = sections[0];
+            const httpHead = (sections[1] || '').split(/\r?\n/);
+            const httpBody = sections.slice(2).join('\r\n\r\n').trim();
+
+            const idMatch = partHeaders.match(/Content-ID:\s*<response-item(\d+)>/i);
+            const index = idMatch ? +idMatch[1] : partIndex;
+            if (!(index >= 0 && index < requests.length)) {
+                Logger.log('Ignoring unexpected part %s of batch response', idMatch ? idMatch[0] : partIndex);
+                return;
+            }
+
+            const code = +((httpHead[0] || '').split(' ')[1] || 0);
+
+            let result = null;
+            try {
+                result = httpBody ? JSON.parse(httpBody) : null;
+            } catch (e) {
+                result = httpBody;
+            }
+
+            const error = code < 200 || code >= 300
+                ? new Error('Batched request for ' + requests[index].url + ' failed with code ' + code + ': ' + httpBody)
+                : undefined;
+            if (error) {
+                error.code = code;
+            }
+
+            results[index] = {code: code, result: error ? null : result, error: error};
+        });
+
+        // parts missing in the response
+        for (let i = 0; i < results.length; ++i) {
+            if (!results[i]) {
+                const error = new Error('Batched request for ' + requests[i].url + ' is missing in batch response');
+                error.code = 0;
+                results[i] = {code: 0, result: null, error: error};
+            }
         }
 
-        return response;
+        return results;
     }
 
 
@@ -48,7 +48,7 @@ class Util {
             if (iSign >= 0) {
                 const hour = +ts.substring(iSign + 1, iSign + 3);
                 const minute = +ts.substring(ts[iSign + 3] === ':' ? iSign + 4 : iSign + 3);
-                return (ts[iSign] === '+' ? 1 : -1) * (hour * 60 * 60 * 1000) + (minute * 60 * 1000);
+                return (ts[iSign] === '+' ? 1 : -1) * ((hour * 60 * 60 * 1000) + (minute * 60 * 1000));
             }
         }
 
@@ -67,7 +67,7 @@ class Util {
             day: 'numeric',
             hour: 'numeric',
             minute: 'numeric',
-            hour12: false
+            hourCycle: 'h23'
         })).format(date) + 'Z').valueOf();
 
         const tzLocalMillies = new Date((new Intl.DateTimeFormat('sv-SE', {
@@ -77,7 +77,7 @@ class Util {
             day: 'numeric',
             hour: 'numeric',
             minute: 'numeric',
-            hour12: false
+            hourCycle: 'h23'
         })).format(date) + 'Z').valueOf();
 
         // the difference is the time-zone offset
@@ -38,23 +38,101 @@ const LOOKBACK_DAYS_KEY = PROPERTY_PREFIX + 'lookbackDays';
 /** ID of sheet to write reports to. */
 const REPORT_SHEET_KEY = PROPERTY_PREFIX + 'reportSheet';
 
+/** Working hours for the meeting load report, in the time-zone of each employee's calendar (optional, default 09:00-17:00).
+ *
+ * Either a single range like "09:00-17:00" or a JSON object with ranges by employee email and a "default" range,
+ * for example: {"default": "09:00-17:00", "jane@example.com": "07:30-15:30"}
+ */
+const WORKING_HOURS_KEY = PROPERTY_PREFIX + 'workingHours';
+
 /** ID of shared team meetings calendar to restrict automatic operations (optional). */
 const TEAM_MEETINGS_CALENDAR = PROPERTY_PREFIX + 'teamMeetingsCalendar';
 
 /** Slack App bot token for sharing artifacts with the whole organization (posts will be to each channel where the app is invited).
- *  Required scopes: chat:write, channels:read, groups:read, users:read, users:read.email
+ *  Required scopes: chat:write, channels:read, groups:read, users:read, users:read.email, im:write (action item reminders)
  */
 const SLACK_BOT_TOKEN = PROPERTY_PREFIX + 'slackBotToken';
 
-/** Google Gemini API key to summarize meeting content. */
+/** Routing of meeting summaries to Slack channels, JSON object (optional, summaries are posted to all channels of the app if empty).
+ *
+ * Each route maps meetings to a channel (ID or name), matching all specified conditions: the meeting summary (summary,
+ * a case-insensitive RegExp), the organizer calendar or email (organizer) and an attendee group (attendee, like "sig-*",
+ * matched against the attendees' emails or their local parts). Summaries are posted to the channels of all matching
+ * routes, or to the fallback channel if none matches (not posted at all without fallback channel).
+ *
+ * For example:
+ * {"routes": [{"attendee": "sig-security", "channel": "#sig-security"}, {"summary": "^Chapter ", "channel": "C0123456"}],
+ *  "fallbackChannel": "#general"}
+ */
+const SLACK_CHANNEL_ROUTING_KEY = PROPERTY_PREFIX + 'slackChannelRouting';
+
+/** Google Gemini API key to summarize meeting content (used if the LLM provider is Gemini and no llmApiKey is set). */
 const GEMINI_API_KEY = PROPERTY_PREFIX + 'geminiApiKey';
 
+/** LLM provider to summarize meeting content with, one of: gemini, anthropic, openai
+ *
+ * Default: gemini
+ */
+const LLM_PROVIDER_KEY = PROPERTY_PREFIX + 'llmProvider';
+
+/** API key of the LLM provider. */
+const LLM_API_KEY = PROPERTY_PREFIX + 'llmApiKey';
+
+/** LLM model to summarize meeting content with (optional, defaults to the provider's default model). */
+const LLM_MODEL_KEY = PROPERTY_PREFIX + 'llmModel';
+
+/** ID of the AiCost spreadsheet to report the token usage of summaries to (optional).
+ *
+ * Usage is appended to the AiCost data sheet of the current year with source "meetings".
+ */
+const AI_COST_SHEET_KEY = PROPERTY_PREFIX + 'aiCostSheet';
+
 /** Share domain (domain to share meeting recordings/summaries with). */
 const SHARE_DOMAIN_NAME = PROPERTY_PREFIX + 'shareDomain';
 
 /** Shared Drive folder ID to move meeting artifacts into (optional). */
 const ARTIFACTS_FOLDER_ID = PROPERTY_PREFIX + 'artifactsFolderId';
 
+/** The property holding the email of the account visited last by shareTeamMeetingArtifacts(), next runs resume after it (managed by the script). */
+const SHARE_ARTIFACTS_CURSOR_KEY = PROPERTY_PREFIX + 'shareArtifactsCursor';
+
+/** Minutes to wait for the recording after a meeting ended, before sharing its notes without recording. */
+const RECORDING_WAIT_MINUTES = 120;
+
+/** Minutes the notes must be left unchanged before summarizing them again (notes are often edited over several days). */
+const NOTES_QUIET_MINUTES = 6 * 60;
+
+/** Maximum number of summary updates per event. */
+const MAX_SUMMARY_UPDATES = 3;
+
+/** Number of weeks analyzed by the recurring meeting health report (listMeetingHealth). */
+const MEETING_HEALTH_WEEKS = 12;
+
+/** Number of most recent held instances per series to check Meet attendance for (each check costs several API calls). */
+const MEETING_HEALTH_ATTENDANCE_SAMPLES = 3;
+
+/** The property holding the account visited last by listMeetingHealth(), next runs resume after it until all accounts were visited (managed by the script). */
+const MEETING_HEALTH_CURSOR_KEY = PROPERTY_PREFIX + 'meetingHealthCursor';
+
+/** Number of complete weeks (Monday to Sunday) analyzed by the meeting load report (listMeetingLoad). */
+const MEETING_LOAD_WEEKS = 4;
+
+/** Minimum length in hours of a meeting-free block within the working hours to count as focus time. */
+const FOCUS_BLOCK_HOURS = 2;
+
+/** Name of the sheet tracking action items extracted from meeting notes (in the report spreadsheet). */
+const ACTION_ITEMS_SHEET_NAME = 'ActionItems';
+
+/** Columns of the action items sheet, items are keyed by event (series) and date. Status may be changed to "done" manually. */
+const ACTION_ITEMS_COLUMNS = ['Series ID', 'Event ID', 'Meeting', 'Date', 'Owner', 'Description', 'Due Date', 'Status', 'Reminded At'];
+
+/** Columns of the AiCost data sheets (see ai-cost/Cost.js), for reporting the token usage of summaries. */
+const AI_COST_COLUMNS = [
+    'date', 'source', 'record_type', 'model', 'actor',
+    'input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_creation_tokens',
+    'num_requests', 'cost_usd', 'cost_type', 'sessions', 'metadata'
+];
+
 /** URL to the company glossary for correcting terminology in summaries. */
 const GLOSSARY_URL = 'https://raw.githubusercontent.com/giantswarm/handbook/main/content/docs/glossary/_index.md';
 
@@ -221,6 +299,414 @@ async function listMeetings() {
 }
 
 
+/** Report the health of all recurring meeting series (cancellations, declines, Meet attendance) and flag abandoned ones.
+ *
+ * Visiting all calendars may take several runs: each run stops before the Apps Script runtime limit and writes the series
+ * analyzed so far, the next run resumes after the account visited last (see MEETING_HEALTH_CURSOR_KEY) and keeps these
+ * series. A new pass (starting with an empty sheet) begins once all accounts were visited.
+ */
+async function listMeetingHealth() {
+
+    const allowedDomains = (getScriptProperties_().getProperty(ALLOWED_DOMAINS_KEY) || '')
+        .split(',')
+        .map(d => d.trim());
+
+    const now = new Date();
+    const timeMin = Util.addDateMillies(new Date(now), -MEETING_HEALTH_WEEKS * 7 * 24 * 60 * 60 * 1000);
+
+    const header = ["Series ID", "Summary", "Organizer", "Invitees", "Instances", "Cancelled", "Cancellation Rate", "Decline Rate",
+        "Meet Attendance Rate", "Last Held", "Abandoned", "Flags"];
+
+    const spreadsheet = SpreadsheetApp.openById(getReportSheetId_());
+    const sheet = SheetUtil.ensureSheet(spreadsheet, "Meeting_Health");
+
+    // series analyzed by the previous runs of the current pass are kept, and not analyzed again
+    const job = new JobRunner(MEETING_HEALTH_CURSOR_KEY);
+    const seriesRows = {};
+    if (job.getCursor() && sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, header.length).getValues().forEach(row => seriesRows[row[0]] = row);
+        Logger.log(`Resuming with ${Object.keys(seriesRows).length} recurring meeting series analyzed before`);
+    }
+
+    const formatRate = rate => rate != null ? +rate.toFixed(2) : '';
+    const directoryCache = {};
+    let failedCount = 0;
+    let isCompleted = false;
+    try {
+        // visitEvents_() will call our visitor function for each employee and calendar event combination
+        isCompleted = await visitEvents_(async (event, employee, employees, calendar, personio) => {
+
+            // each series is analyzed once, from the calendar of the first attendee visited
+            if (!event.recurrence || seriesRows[event.iCalUID]) {
+                return true;
+            }
+
+            const instances = await calendar.instances('primary', event.id, {
+                showDeleted: true, // cancelled instances are of interest, too
+                timeMin: timeMin.toISOString(),
+                timeMax: now.toISOString()
+            });
+            instances.sort((a, b) => getInstanceStart_(a) - getInstanceStart_(b));
+
+            // Meet attendance of the latest held instances
+            const attendance = {};
+            const heldInstances = instances.filter(instance => instance.status !== 'cancelled');
+            for (const instance of heldInstances.slice(-MEETING_HEALTH_ATTENDANCE_SAMPLES)) {
+                try {
+                    attendance[instance.id] = await getMeetAttendeeEmails_(instance, directoryCache);
+                } catch (e) {
+                    Logger.log('Failed to get Meet attendance of "%s" at %s: %s', instance.summary, instance.start?.dateTime, e);
+                }
+            }
+
+            const health = computeSeriesHealth_(event, instances, attendance, now);
+
+            const organizerEmail = event.organizer?.email || '';
+            if (allowedDomains.includes(organizerEmail.substring(organizerEmail.lastIndexOf('@') + 1))
+                && !employees.some(e => e.attributes.email.value === organizerEmail)) {
+                health.flags.push('organizer inactive');
+            }
+
+            seriesRows[event.iCalUID] = [event.iCalUID, health.summary, health.organizer, health.invitees, health.instances, health.cancelled,
+                formatRate(health.cancellationRate), formatRate(health.declineRate), formatRate(health.attendanceRate),
+                health.lastHeld || '', health.flags.length > 0, health.flags.join(', ')];
+            return true;
+        }, {
+            singleEvents: false, // return recurring events, not their individual instances
+            timeMin: timeMin.toISOString(),
+            timeMax: now.toISOString()
+        }, MEETING_HEALTH_CURSOR_KEY, (employee, error) => {
+            failedCount += error ? 1 : 0;
+        });
+    } catch (e) {
+        Logger.log("First error while visiting calendar events: " + e);
+    }
+
+    if (isCompleted) {
+        job.reset();
+    }
+
+    const getFlagCount = row => row[11] ? row[11].split(', ').length : 0;
+    const rows = Object.values(seriesRows)
+        .sort((a, b) => getFlagCount(b) - getFlagCount(a) || String(a[1]).localeCompare(String(b[1])));
+
+    Logger.log(`Analyzed ${rows.length} recurring meeting series, ${rows.filter(row => row[10]).length} look abandoned, failed for ${failedCount} accounts`
+        + (isCompleted ? '' : ', continuing in the next run'));
+
+    rows.unshift(header);
+
+    sheet.getRange(1, 1, sheet.getMaxRows(), header.length).clearContent();
+    sheet.getRange(1, 1, rows.length, header.length).setValues(rows);
+}
+
+
+/** Compute health statistics of a recurring meeting series from its past instances.
+ *
+ * @param {Object} series The recurring (master) event.
+ * @param {Array<Object>} instances The instances of the series in chronological order, including cancelled ones.
+ * @param {Object} attendance Meet attendee emails (Set, null if unknown) by instance ID, for some of the held instances.
+ * @param {Date} now Instances starting after this point in time are ignored.
+ *
+ * @return {Object} The statistics, rates are between 0 and 1 (null if unknown), flags describe signs of abandonment.
+ */
+function computeSeriesHealth_(series, instances, attendance, now) {
+    const getInvitees = event => (event.attendees || []).filter(attendee => !attendee.resource);
+
+    const pastInstances = instances.filter(instance => getInstanceStart_(instance) <= now);
+    const heldInstances = pastInstances.filter(instance => instance.status !== 'cancelled');
+
+    const declineRates = heldInstances
+        .filter(instance => getInvitees(instance).length > 0)
+        .map(instance => getInvitees(instance).filter(attendee => attendee.responseStatus === 'declined').length / getInvitees(instance).length);
+
+    const attendanceRates = heldInstances
+        .filter(instance => attendance[instance.id] && getInvitees(instance).length > 0)
+        .map(instance => Math.min(1, attendance[instance.id].size / getInvitees(instance).length));
+
+    const average = rates => rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+    const lastHeldInstance = heldInstances[heldInstances.length - 1];
+    const health = {
+        summary: series.summary || '',
+        organizer: series.organizer?.email || '',
+        invitees: getInvitees(series).length,
+        instances: pastInstances.length,
+        cancelled: pastInstances.length - heldInstances.length,
+        cancellationRate: pastInstances.length ? (pastInstances.length - heldInstances.length) / pastInstances.length : null,
+        declineRate: average(declineRates),
+        attendanceRate: average(attendanceRates),
+        lastHeld: lastHeldInstance ? lastHeldInstance.start?.dateTime || lastHeldInstance.start?.date : undefined,
+        flags: []
+    };
+
+    if (pastInstances.length && !heldInstances.length) {
+        health.flags.push('no instance held');
+    } else if (health.cancellationRate >= 0.5) {
+        health.flags.push('mostly cancelled');
+    }
+    if (health.declineRate >= 0.5) {
+        health.flags.push('mostly declined');
+    }
+    if (health.attendanceRate != null && health.attendanceRate < 0.5) {
+        health.flags.push('low attendance');
+    }
+
+    return health;
+}
+
+
+/** Get the (original) start of a recurring event instance, cancelled instances may only have their original start time. */
+function getInstanceStart_(instance) {
+    const start = instance.start || instance.originalStartTime;
+    return new Date(start?.dateTime || start?.date);
+}
+
+
+/** Report the meeting load per employee and per Personio department over the last complete weeks (Monday to Sunday).
+ *
+ * Per week, the meeting hours (in total and per weekday), the number of focus blocks (meeting-free blocks of at least
+ * FOCUS_BLOCK_HOURS within the working hours of a workday), the meeting hours outside the working hours and the change
+ * to the previous week are written to the sheet Meeting_Load, their averages per department to Meeting_Load_Teams.
+ * Times of absence (see isAbsenceEvent_) are no focus blocks. Employees whose calendar could not be read are listed
+ * in Meeting_Load_Failures instead (and not included in the averages).
+ */
+async function listMeetingLoad() {
+
+    const dayMillies = 24 * 60 * 60 * 1000;
+    const currentMonday = new Date();
+    currentMonday.setUTCHours(0, 0, 0, 0);
+    Util.addDateMillies(currentMonday, -((currentMonday.getUTCDay() + 6) % 7) * dayMillies);
+
+    const weekStarts = [];
+    for (let week = MEETING_LOAD_WEEKS; week > 0; --week) {
+        weekStarts.push(Util.addDateMillies(new Date(currentMonday), -week * 7 * dayMillies).toISOString().substring(0, 10));
+    }
+
+    // validated before visiting the calendars, an invalid range would lose the whole visit
+    const workingHours = getWorkingHours_();
+
+    const employeeMeetings = {};
+    const getMeetings = employee => employeeMeetings[employee.attributes.email.value]
+        || (employeeMeetings[employee.attributes.email.value] = {employee: employee, list: [], absences: []});
+    try {
+        // visitEvents_() will call our visitor function for each employee and calendar event combination
+        await visitEvents_(async (event, employee, employees, calendar, personio) => {
+            const email = employee.attributes.email.value;
+
+            const meetings = getMeetings(employee);
+            if (!('timeZone' in meetings)) {
+                meetings.timeZone = await getCalendarTimeZone_(calendar, email);
+            }
+
+            if (isMeetingLoadEvent_(event, email)) {
+                meetings.list.push({start: new Date(event.start.dateTime), end: new Date(event.end.dateTime)});
+            } else if (isAbsenceEvent_(event)) {
+                meetings.absences.push({start: event.start.dateTime || event.start.date, end: event.end.dateTime || event.end.date});
+            }
+
+            return true;
+        }, {
+            singleEvents: true, // return recurring events rolled out into individual event instances
+            // one day more on both sides, weeks are local to the employees' time-zones
+            timeMin: Util.addDateMillies(new Date(weekStarts[0] + 'T00:00:00Z'), -dayMillies).toISOString(),
+            timeMax: Util.addDateMillies(new Date(currentMonday), dayMillies).toISOString()
+        }, undefined, (employee, error) => {
+            // employees without any events are reported as well, failed calendars without (partial) loads
+            getMeetings(employee).error = error;
+        });
+    } catch (e) {
+        Logger.log("First error while visiting calendar events: " + e);
+    }
+
+    const getDepartment = employee => employee.attributes.department?.value?.attributes?.name || '';
+    const scriptTimeZone = Session.getScriptTimeZone();
+
+    const employeeRows = [];
+    const failedRows = [];
+    const loadsByDepartment = {};
+    Object.values(employeeMeetings)
+        .sort((a, b) => getDepartment(a.employee).localeCompare(getDepartment(b.employee))
+            || a.employee.attributes.email.value.localeCompare(b.employee.attributes.email.value))
+        .forEach(meetings => {
+            const email = meetings.employee.attributes.email.value;
+            const department = getDepartment(meetings.employee);
+            if (meetings.error) {
+                failedRows.push([email, department, String(meetings.error?.message || meetings.error)]);
+                return;
+            }
+
+            const loads = computeMeetingLoad_(meetings.list, weekStarts, workingHours[email] || workingHours.default, meetings.timeZone || scriptTimeZone,
+                meetings.absences);
+
+            employeeRows.push(...createMeetingLoadRows_(weekStarts, loads).map(row => [email, department, ...row]));
+            for (const team of [department || 'No Department', 'All']) {
+                (loadsByDepartment[team] = loadsByDepartment[team] || []).push(loads);
+            }
+        });
+
+    const teamRows = [];
+    for (const [team, loads] of Object.entries(loadsByDepartment)) {
+        teamRows.push(...createMeetingLoadRows_(weekStarts, averageMeetingLoads_(loads)).map(row => [team, loads.length, ...row]));
+    }
+
+    Logger.log(`Analyzed the meeting load of ${Object.keys(employeeMeetings).length - failedRows.length} employees in ${Object.keys(loadsByDepartment).length - 1} departments, failed for ${failedRows.length} employees`);
+
+    const columns = ["Week", "Meeting Hours", "Mon (h)", "Tue (h)", "Wed (h)", "Thu (h)", "Fri (h)", "Sat (h)", "Sun (h)",
+        `Focus Blocks (${FOCUS_BLOCK_HOURS}h+)`, "After-Hours (h)", "Meeting Hours vs. Previous Week", "Focus Blocks vs. Previous Week"];
+
+    const spreadsheet = SpreadsheetApp.openById(getReportSheetId_());
+    for (const [sheetName, header, rows] of [
+        ["Meeting_Load", ["Email", "Department", ...columns], employeeRows],
+        ["Meeting_Load_Teams", ["Department", "Employees", ...columns], teamRows],
+        ["Meeting_Load_Failures", ["Email", "Department", "Error"], failedRows]
+    ]) {
+        rows.unshift(header);
+
+        const sheet = SheetUtil.ensureSheet(spreadsheet, sheetName);
+        sheet.getRange(1, 1, sheet.getMaxRows(), header.length).clearContent();
+        sheet.getRange(1, 1, rows.length, header.length).setValues(rows);
+    }
+}
+
+
+/** Check if an event counts towards the meeting load of an employee: a timed event with others, not declined and not marked as free. */
+function isMeetingLoadEvent_(event, email) {
+    if (!event.start?.dateTime || !event.end?.dateTime
+        || event.status === 'cancelled'
+        || event.transparency === 'transparent'
+        || (event.eventType && event.eventType !== 'default') // out-of-office, focus time, working location, ...
+        || event.extendedProperties?.private?.timeOffId) {
+        return false;
+    }
+
+    const attendees = (event.attendees || []).filter(attendee => !attendee.resource);
+    const self = attendees.find(attendee => attendee.self || attendee.email === email);
+    return attendees.length > 1 && self?.responseStatus !== 'declined';
+}
+
+
+/** Check if an event marks an absence of the employee: out-of-office or a time-off synchronized from Personio (see SyncTimeOffs). */
+function isAbsenceEvent_(event) {
+    return event.status !== 'cancelled'
+        && (event.eventType === 'outOfOffice' || !!event.extendedProperties?.private?.timeOffId);
+}
+
+
+/** Compute the meeting load of an employee per week.
+ *
+ * Overlapping meetings count once. Weekdays and working hours are local to the time-zone of the employee, workdays are
+ * Monday to Friday. Meetings on weekends count as after-hours entirely. Absences break focus blocks like meetings,
+ * but don't count as meeting hours.
+ *
+ * @param {Array<{start: Date, end: Date}>} meetings The meetings of the employee.
+ * @param {Array<string>} weekStarts The dates (YYYY-MM-DD) of the Mondays starting the weeks.
+ * @param {{start: number, end: number}} workingHours The working hours (fractional hours).
+ * @param {string} timeZone The time-zone of the employee (ie. "Europe/Berlin").
+ * @param {Array<{start: string, end: string}>} absences The event start/end of absences, dates (YYYY-MM-DD) of all-day absences are local.
+ *
+ * @return {Array<Object>} The load per week: meeting hours (total and per weekday, starting with Monday), focus blocks and after-hours meeting hours.
+ */
+function computeMeetingLoad_(meetings, weekStarts, workingHours, timeZone, absences = []) {
+    const hourMillies = 60 * 60 * 1000;
+    const dayMillies = 24 * hourMillies;
+
+    // meeting intervals in local time (as if it was UTC), merged if overlapping
+    const toLocalMillies = date => +date + Util.getNamedTimeZoneOffset(timeZone, date);
+    const mergeIntervals = list => list
+        .filter(([start, end]) => start < end)
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, interval) => {
+            const last = merged[merged.length - 1];
+            if (last && interval[0] <= last[1]) {
+                last[1] = Math.max(last[1], interval[1]);
+            } else {
+                merged.push([...interval]);
+            }
+            return merged;
+        }, []);
+    const intervals = mergeIntervals(meetings.map(meeting => [toLocalMillies(meeting.start), toLocalMillies(meeting.end)]));
+
+    // meetings and absences, both are no focus time
+    const toAbsenceMillies = value => value.length === 10 ? Date.parse(value + 'T00:00:00Z') : toLocalMillies(new Date(value));
+    const busyIntervals = mergeIntervals([...intervals,
+        ...absences.map(absence => [toAbsenceMillies(absence.start), toAbsenceMillies(absence.end)])]);
+
+    const getMeetingHours = (start, end) => intervals
+        .reduce((sum, interval) => sum + Math.max(0, Math.min(end, interval[1]) - Math.max(start, interval[0])), 0) / hourMillies;
+
+    return weekStarts.map(weekStart => {
+        const load = {hours: 0, weekdayHours: [], focusBlocks: 0, afterHoursHours: 0};
+        for (let day = 0; day < 7; ++day) {
+            const dayStart = Date.parse(weekStart + 'T00:00:00Z') + day * dayMillies;
+            const hours = getMeetingHours(dayStart, dayStart + dayMillies);
+            load.weekdayHours.push(hours);
+            load.hours += hours;
+
+            if (day >= 5) {
+                load.afterHoursHours += hours;
+                continue;
+            }
+
+            const workStart = dayStart + workingHours.start * hourMillies;
+            const workEnd = dayStart + workingHours.end * hourMillies;
+            load.afterHoursHours += hours - getMeetingHours(workStart, workEnd);
+
+            // meeting- and absence-free blocks within the working hours
+            let freeStart = workStart;
+            for (const [start, end] of busyIntervals.filter(interval => interval[1] > workStart && interval[0] < workEnd)) {
+                if (start - freeStart >= FOCUS_BLOCK_HOURS * hourMillies) {
+                    ++load.focusBlocks;
+                }
+                freeStart = Math.max(freeStart, end);
+            }
+            if (workEnd - freeStart >= FOCUS_BLOCK_HOURS * hourMillies) {
+                ++load.focusBlocks;
+            }
+        }
+
+        return load;
+    });
+}
+
+
+/** Average the weekly meeting loads (see computeMeetingLoad_) of several employees, week by week. */
+function averageMeetingLoads_(employeeLoads) {
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return employeeLoads[0].map((_, week) => {
+        const loads = employeeLoads.map(weekLoads => weekLoads[week]);
+        return {
+            hours: average(loads.map(load => load.hours)),
+            weekdayHours: loads[0].weekdayHours.map((_, day) => average(loads.map(load => load.weekdayHours[day]))),
+            focusBlocks: average(loads.map(load => load.focusBlocks)),
+            afterHoursHours: average(loads.map(load => load.afterHoursHours))
+        };
+    });
+}
+
+
+/** Create the report rows of weekly meeting loads, with the changes of meeting hours and focus blocks to the previous week. */
+function createMeetingLoadRows_(weekStarts, loads) {
+    const round = value => +value.toFixed(2);
+
+    return loads.map((load, week) => {
+        const previous = loads[week - 1];
+        return [weekStarts[week], round(load.hours), ...load.weekdayHours.map(round), round(load.focusBlocks), round(load.afterHoursHours),
+            previous ? round(load.hours - previous.hours) : '', previous ? round(load.focusBlocks - previous.focusBlocks) : ''];
+    });
+}
+
+
+/** Get the time-zone of the primary calendar of the impersonated user, undefined if unknown. */
+async function getCalendarTimeZone_(calendar, email) {
+    try {
+        return (await calendar.getSetting('timezone'))?.value || undefined;
+    } catch (e) {
+        Logger.log('Failed to get calendar time-zone of user %s: %s', email, e);
+        return undefined;
+    }
+}
+
+
 /** Debug helper for shareTeamMeetingArtifacts that collects event filtering information. */
 async function debugShareTeamMeetingArtifacts() {
     const shareDomainName = getScriptProperties_().getProperty(SHARE_DOMAIN_NAME) || '';
@@ -312,19 +798,14 @@ async function debugShareTeamMeetingArtifacts() {
                 return true;
             }
 
-            const publishedAt = +event.extendedProperties?.private?.attachmentsPublishedAt;
-            const eventStartPlusOneHour = new Date(event.start.dateTime).getTime() + 60 * 60 * 1000;
-            if (publishedAt && publishedAt >= eventStartPlusOneHour) {
-                updateEventMap_(eventMap, summary, event, `Excluded: Already published at ${new Date(publishedAt).toISOString()}`);
+            const publication = getArtifactsPublication_(event);
+            if (publication) {
+                updateEventMap_(eventMap, summary, event, `Excluded: Already published at ${new Date(publication.publishedAt).toISOString()}`
+                    + ` (recording shared: ${!!publication.recordingPublishedAt}, Slack posts: ${Object.keys(publication.slackMessages).length}), checking for updates only`);
                 return true;
             }
 
-            const geminiNotes = event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
-                && a.title?.includes('Notes by Gemini')) || event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
-                && a.title?.includes('Notes'));
-            const recording = event.attachments?.find(a => a.mimeType === 'video/mp4'
-                && a.title?.includes('Recording')
-                && a.title?.includes(event.summary));
+            const {geminiNotes, recording} = findEventArtifacts_(event);
 
             if (!geminiNotes && !recording) {
                 updateEventMap_(eventMap, summary, event, 'Excluded: No Gemini notes or recording found');
@@ -332,13 +813,13 @@ async function debugShareTeamMeetingArtifacts() {
             } else if (!geminiNotes) {
                 updateEventMap_(eventMap, summary, event, `Excluded: No Gemini notes found (recording: ${recording?.title || 'none'})`);
                 return true;
-            } else if (!recording) {
-                updateEventMap_(eventMap, summary, event, `Excluded: No recording found (notes: ${geminiNotes?.title || 'none'})`);
+            } else if (!recording && Date.now() - eventEnd.getTime() < RECORDING_WAIT_MINUTES * 60 * 1000) {
+                updateEventMap_(eventMap, summary, event, `Excluded: Waiting for recording (notes: ${geminiNotes?.title || 'none'})`);
                 return true;
             }
 
             // All checks passed - would be shared
-            updateEventMap_(eventMap, summary, event, `Included: Would share artifacts (notes: ${geminiNotes.title}, recording: ${recording.title})`);
+            updateEventMap_(eventMap, summary, event, `Included: Would share artifacts (notes: ${geminiNotes.title}, recording: ${recording?.title || 'none'})`);
 
             return true;
         }, listEventParams);
@@ -417,65 +898,42 @@ function updateEventMap_(eventMap, summary, event, reason) {
 
 
 /** Share artifacts (Gemini notes + recording) for a single event.
+ *
+ *  The recording is optional, if it becomes available later updateEventArtifacts_() shares it.
  *
  *  Returns {found, published}:
- *  - found:     true if the event has both Gemini notes and a recording attachment
+ *  - found:     true if the event has a Gemini notes attachment
  *  - published: true if move/share, Slack post and event update all succeeded
+ *
+ *  The routing is the validated Slack channel routing (see getSlackChannelRouting_()), undefined to post to all channels.
  */
-async function shareEventArtifacts_(event, email, calendarId, calendar, employees, shareDomainName, artifactsFolderId, glossary) {
-    const geminiNotes = event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
-        && a.title?.includes('Notes by Gemini')) || event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
-        && a.title?.includes('Notes'));
-    const recording = event.attachments?.find(a => a.mimeType === 'video/mp4'
-        && a.title?.includes('Recording')
-        && a.title?.includes(event.summary));
+async function shareEventArtifacts_(event, email, calendarId, calendar, employees, shareDomainName, artifactsFolderId, glossary, routing) {
+    const {geminiNotes, recording} = findEventArtifacts_(event);
 
     console.log('meet: ' + event.summary + ' ' + event.start.dateTime + ' notes=' + geminiNotes + ' rec=' + recording);
 
-    if (!geminiNotes || !recording) {
+    if (!geminiNotes) {
         return {found: false, published: false};
     }
 
     try {
         const drive = await DriveClientV1.withImpersonatingService(getServiceAccountCredentials_(), email);
 
-        // Move artifacts to shared drive folder (inherits shared drive permissions)
-        // or share with domain if no folder is configured
-        if (artifactsFolderId) {
-            try {
-                Logger.log(`Moving notes ${geminiNotes.fileId} to folder ${artifactsFolderId}`);
-                await drive.moveToFolder(geminiNotes.fileId, artifactsFolderId);
-            } catch (e) {
-                Logger.log(`Failed to move notes ${geminiNotes.fileId}: ${e}`);
-                return {found: true, published: false};
-            }
-            try {
-                Logger.log(`Moving recording ${recording.fileId} to folder ${artifactsFolderId}`);
-                await drive.moveToFolder(recording.fileId, artifactsFolderId);
-            } catch (e) {
-                Logger.log(`Failed to move recording ${recording.fileId}: ${e}`);
-                return {found: true, published: false};
-            }
-        } else {
-            Logger.log(`Sharing notes ${geminiNotes.fileId} for event ${event.summary}`);
-            try {
-                await drive.shareWith(geminiNotes.fileId, 'domain', shareDomainName, 'reader', true);
-            } catch (e) {
-                Logger.log(`Failed to share notes ${geminiNotes.fileId}: ${e}`);
-                return {found: true, published: false};
-            }
-            Logger.log(`Sharing recording ${recording.fileId} for event ${event.summary}`);
-            try {
-                await drive.shareWith(recording.fileId, 'domain', shareDomainName, 'reader', true);
-            } catch (e) {
-                Logger.log(`Failed to share recording ${recording.fileId}: ${e}`);
-                return {found: true, published: false};
-            }
+        if (!await publishArtifact_(drive, geminiNotes, 'notes', shareDomainName, artifactsFolderId)
+            || (recording && !await publishArtifact_(drive, recording, 'recording', shareDomainName, artifactsFolderId))) {
+            return {found: true, published: false};
         }
 
-        await summarizeAndPostToSlack_(event, geminiNotes, recording, drive, employees, glossary);
+        // remember the version of the notes summarized, to update the summary when they change
+        const notesModifiedTime = await getNotesModifiedTime_(drive, geminiNotes);
+        const slackMessages = await summarizeAndPostToSlack_(event, geminiNotes, recording, drive, employees, glossary, routing);
 
+        // overwrite all publication properties, these may have been copied from an earlier instance of a recurring event
         setEventPrivateProperty_(event, 'attachmentsPublishedAt', Date.now());
+        setEventPrivateProperty_(event, 'recordingPublishedAt', recording ? Date.now() : '');
+        setEventPrivateProperty_(event, 'notesModifiedTime', notesModifiedTime || '');
+        setEventPrivateProperty_(event, 'summaryUpdates', '');
+        setEventPrivateProperty_(event, 'slackMessages', JSON.stringify(slackMessages || {}));
         await calendar.update(calendarId, event.id, event);
 
         Logger.log(`Successfully shared artifacts for ${event.summary} at ${event.start.dateTime}`);
@@ -487,6 +945,152 @@ async function shareEventArtifacts_(event, email, calendarId, calendar, employee
 }
 
 
+/** Update the artifacts and Slack posts of an event published before, if its recording became available or its notes changed.
+ *
+ * A late recording is shared (even if nothing was posted to Slack) and announced in the threads of the posts. Changed
+ * notes are summarized again once left unchanged for NOTES_QUIET_MINUTES, and the posts are updated with the new summary
+ * (at most MAX_SUMMARY_UPDATES times).
+ *
+ * @param publication The publication state of the event (see getArtifactsPublication_()).
+ * @return {Promise<boolean>} True if the recording was shared or the posts were updated.
+ */
+async function updateEventArtifacts_(event, email, calendarId, calendar, employees, shareDomainName, artifactsFolderId, glossary, publication) {
+    const {geminiNotes, recording} = findEventArtifacts_(event);
+    if (!geminiNotes) {
+        return false;
+    }
+
+    const slackBotToken = getSlackBotToken_();
+    const hasSlackMessages = !!slackBotToken && Object.keys(publication.slackMessages).length > 0;
+    const recordingAdded = !!recording && !publication.recordingPublishedAt;
+    if (!recordingAdded && !hasSlackMessages) {
+        return false;
+    }
+
+    try {
+        const drive = await DriveClientV1.withImpersonatingService(getServiceAccountCredentials_(), email);
+
+        // summaries are only updated if they were posted, and once the notes are no longer edited
+        const canUpdateSummary = hasSlackMessages && publication.summaryUpdates < MAX_SUMMARY_UPDATES;
+        const notesModifiedTime = canUpdateSummary ? await getNotesModifiedTime_(drive, geminiNotes) : '';
+        const notesChanged = !!notesModifiedTime && !!publication.notesModifiedTime && notesModifiedTime > publication.notesModifiedTime
+            && Date.now() - new Date(notesModifiedTime).getTime() >= NOTES_QUIET_MINUTES * 60 * 1000;
+        if (!recordingAdded && !notesChanged) {
+            return false;
+        }
+
+        if (recordingAdded && !await publishArtifact_(drive, recording, 'recording', shareDomainName, artifactsFolderId)) {
+            return false;
+        }
+
+        if (!hasSlackMessages) {
+            Logger.log(`Recording of ${event.summary} at ${event.start.dateTime} became available, shared without Slack posts`);
+        } else if (notesChanged) {
+            Logger.log(`Notes of ${event.summary} at ${event.start.dateTime} changed, updating summary`);
+            const notice = recordingAdded
+                ? `The summary was updated as the meeting notes changed, and the <${recording.fileUrl}|Recording> is now available.`
+                : 'The summary was updated as the meeting notes changed.';
+            await summarizeAndPostToSlack_(event, geminiNotes, recording, drive, employees, glossary, undefined, publication.slackMessages, notice);
+            setEventPrivateProperty_(event, 'notesModifiedTime', notesModifiedTime);
+            setEventPrivateProperty_(event, 'summaryUpdates', publication.summaryUpdates + 1);
+        } else {
+            Logger.log(`Recording of ${event.summary} at ${event.start.dateTime} became available, replying in Slack threads`);
+            const slack = new SlackWebClient(slackBotToken);
+            for (const [channelId, ts] of Object.entries(publication.slackMessages)) {
+                await slack.postMessage(channelId, `The <${recording.fileUrl}|Recording> of ${event.summary} is now available.`, undefined, ts);
+            }
+        }
+
+        if (recordingAdded) {
+            setEventPrivateProperty_(event, 'recordingPublishedAt', Date.now());
+        }
+        await calendar.update(calendarId, event.id, event);
+        return true;
+    } catch (e) {
+        Logger.log(`Failed to update artifacts for ${event.summary}: ${e}`);
+        return false;
+    }
+}
+
+
+/** Find the Gemini notes and recording attachments of an event (undefined if not attached). */
+function findEventArtifacts_(event) {
+    const geminiNotes = event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
+        && a.title?.includes('Notes by Gemini')) || event.attachments?.find(a => a.mimeType === 'application/vnd.google-apps.document'
+        && a.title?.includes('Notes'));
+    const recording = event.attachments?.find(a => a.mimeType === 'video/mp4'
+        && a.title?.includes('Recording')
+        && a.title?.includes(event.summary));
+
+    return {geminiNotes, recording};
+}
+
+
+/** Get the publication state of the artifacts of an event, stored in its private extended properties.
+ *
+ * Returns null if not published, properties copied from an earlier instance of a recurring event (published before the
+ * instance started) are ignored.
+ */
+function getArtifactsPublication_(event) {
+    const props = event.extendedProperties?.private || {};
+    const publishedAt = +props.attachmentsPublishedAt;
+    const eventStartPlusOneHour = new Date(event.start?.dateTime || event.start?.date).getTime() + 60 * 60 * 1000;
+    if (!publishedAt || !(publishedAt >= eventStartPlusOneHour)) {
+        return null;
+    }
+
+    let slackMessages = {};
+    try {
+        slackMessages = JSON.parse(props.slackMessages || '{}');
+    } catch (e) {
+        Logger.log(`Ignoring invalid Slack messages of ${event.summary}: ${e}`);
+    }
+
+    return {
+        publishedAt: publishedAt,
+        slackMessages: slackMessages,
+        notesModifiedTime: props.notesModifiedTime || '',
+        summaryUpdates: +props.summaryUpdates || 0,
+        recordingPublishedAt: +props.recordingPublishedAt || 0
+    };
+}
+
+
+/** Move an artifact to the artifacts folder, or share it with the domain if no folder is configured.
+ *
+ * @return {Promise<boolean>} True if successful.
+ */
+async function publishArtifact_(drive, attachment, label, shareDomainName, artifactsFolderId) {
+    // Move artifacts to shared drive folder (inherits shared drive permissions)
+    // or share with domain if no folder is configured
+    try {
+        if (artifactsFolderId) {
+            Logger.log(`Moving ${label} ${attachment.fileId} to folder ${artifactsFolderId}`);
+            await drive.moveToFolder(attachment.fileId, artifactsFolderId);
+        } else {
+            Logger.log(`Sharing ${label} ${attachment.fileId}`);
+            await drive.shareWith(attachment.fileId, 'domain', shareDomainName, 'reader', true);
+        }
+        return true;
+    } catch (e) {
+        Logger.log(`Failed to ${artifactsFolderId ? 'move' : 'share'} ${label} ${attachment.fileId}: ${e}`);
+        return false;
+    }
+}
+
+
+/** Get the last modification time of the Gemini notes (RFC 3339, undefined if not available). */
+async function getNotesModifiedTime_(drive, geminiNotes) {
+    const notesFileId = geminiNotes.fileId || DriveClientV1.extractFileId(geminiNotes.fileUrl);
+    try {
+        return (await drive.getFile(await drive.resolveFileId(notesFileId), 'modifiedTime')).modifiedTime;
+    } catch (e) {
+        Logger.log(`Failed to get modification time of notes ${notesFileId}: ${e}`);
+        return undefined;
+    }
+}
+
+
 /** Share artifacts for a single team meeting event, identified by calendar ID and event ID.
  *
  *  Intended for manual invocation from the Apps Script editor (or via clasp run) when the
@@ -495,7 +1099,7 @@ async function shareEventArtifacts_(event, email, calendarId, calendar, employee
  *
  *  Bypasses discovery filters (date range, event-type pattern, creator-equals-impersonatee,
  *  attachmentsPublishedAt) since the caller picked the event explicitly. Still requires the
- *  event to have both Gemini notes and a recording attachment.
+ *  event to have Gemini notes, a missing recording is shared by later periodic runs.
  *
  *  Usage: clasp run 'shareTeamMeetingArtifactsForEvent' --params '["CALENDAR_ID", "EVENT_ID"]'
  */
@@ -512,6 +1116,8 @@ async function shareTeamMeetingArtifactsForEvent(calendarId, eventId) {
         return;
     }
 
+    const routing = getSlackChannelRouting_();
+
     // Fetch company glossary for correcting terminology in summaries
     let glossary = '';
     try {
@@ -558,7 +1164,7 @@ async function shareTeamMeetingArtifactsForEvent(calendarId, eventId) {
         ? initialCalendar
         : await CalendarClient.withImpersonatingService(getServiceAccountCredentials_(), creatorEmail);
 
-    const result = await shareEventArtifacts_(event, creatorEmail, calendarId, calendar, employees, shareDomainName, artifactsFolderId, glossary);
+    const result = await shareEventArtifacts_(event, creatorEmail, calendarId, calendar, employees, shareDomainName, artifactsFolderId, glossary, routing);
 
     Logger.log(`shareTeamMeetingArtifactsForEvent for "${event.summary}" (${eventId}): found=${result.found}, published=${result.published}`);
 }
@@ -574,6 +1180,15 @@ async function shareTeamMeetingArtifacts() {
         return;
     }
 
+    // an invalid routing would fail every meeting after summarizing it (and summarize it again in the next run)
+    let routing;
+    try {
+        routing = getSlackChannelRouting_();
+    } catch (e) {
+        Logger.log(`Invalid Slack channel routing, skipping sharing team meeting artifacts: ${e}`);
+        return;
+    }
+
     // limit to 2 weeks in the past (performance, guard against reposting old meets on filter change)
     const fetchTimeMin = Util.addDateMillies(new Date(), -14 * 24 * 60 * 60 * 1000);
     fetchTimeMin.setUTCHours(24, 0, 0, 0); // round up to end of day
@@ -600,6 +1215,7 @@ async function shareTeamMeetingArtifacts() {
 
     let hits = 0;
     let hits_published = 0;
+    let hits_updated = 0;
     const teamMeetingsCalendarId = getScriptProperties_().getProperty(TEAM_MEETINGS_CALENDAR) || '';
     try {
         // visitEvents_() will call the visitor function for each employee and calendar event combination
@@ -635,24 +1251,31 @@ async function shareTeamMeetingArtifacts() {
                 return true;
             }
 
-            const publishedAt = +event.extendedProperties?.private?.attachmentsPublishedAt;
-            const eventStartPlusOneHour = new Date(event.start.dateTime).getTime() + 60 * 60 * 1000;
-            if (publishedAt && publishedAt >= eventStartPlusOneHour) {
-                Logger.log("event " + event.summary + " at " + event.start.dateTime + " already published at " + publishedAt);
+            // Update the Slack posts of published events if the recording became available or the notes changed
+            const publication = getArtifactsPublication_(event);
+            if (publication) {
+                if (await updateEventArtifacts_(event, email, 'primary', calendar, employees, shareDomainName, artifactsFolderId, glossary, publication)) {
+                    hits_updated++;
+                }
                 return true;
             }
 
-            const result = await shareEventArtifacts_(event, email, 'primary', calendar, employees, shareDomainName, artifactsFolderId, glossary);
+            // Give the recording some time to appear, to publish it together with the notes
+            if (!findEventArtifacts_(event).recording && Date.now() - eventEnd.getTime() < RECORDING_WAIT_MINUTES * 60 * 1000) {
+                return true;
+            }
+
+            const result = await shareEventArtifacts_(event, email, 'primary', calendar, employees, shareDomainName, artifactsFolderId, glossary, routing);
             if (result.found) hits++;
             if (result.published) hits_published++;
 
             return true;
-        }, listEventParams);
+        }, listEventParams, SHARE_ARTIFACTS_CURSOR_KEY);
     } catch (e) {
         Logger.log("First error while visiting calendar events: " + e);
     }
 
-    Logger.log(`Found ${hits} recorded meets, published ${hits_published} new artifacts`);
+    Logger.log(`Found ${hits} meets with notes, published ${hits_published} new artifacts, updated ${hits_updated} posts`);
 }
 
 
@@ -687,21 +1310,28 @@ function isOneOnOne_(event, employees, ownerEmail) {
 
 
 /** Summarize meeting notes and post to Slack.
+ *
+ * If the Slack messages of an earlier summary are specified, these are updated instead and the update notice is replied
+ * in their threads.
  *
  * @param event The calendar event
  * @param geminiNotes The Gemini notes attachment object
- * @param recording The recording attachment object
+ * @param recording The recording attachment object (optional, if not available yet)
  * @param drive The DriveClientV1 instance with access to the documents
  * @param employees The list of active employees from Personio
  * @param glossary Company glossary markdown for correcting terminology (optional)
+ * @param routing The validated channel routing (see getSlackChannelRouting_()), all channels of the bot if undefined
+ * @param slackMessages The message timestamps of an earlier summary by channel ID, to update (optional)
+ * @param updateNotice The thread reply explaining an update (optional)
+ * @returns The message timestamps by channel ID (undefined if not posted)
  */
-async function summarizeAndPostToSlack_(event, geminiNotes, recording, drive, employees, glossary) {
+async function summarizeAndPostToSlack_(event, geminiNotes, recording, drive, employees, glossary, routing = undefined, slackMessages = undefined, updateNotice = undefined) {
     try {
-        const geminiApiKey = getGeminiApiKey_();
+        const llm = getLlmClient_();
         const slackBotToken = getSlackBotToken_();
 
-        if (!geminiApiKey) {
-            Logger.log('No Gemini API key configured, skipping summarization');
+        if (!llm) {
+            Logger.log('No LLM API key configured, skipping summarization');
             return;
         }
 
@@ -711,9 +1341,19 @@ async function summarizeAndPostToSlack_(event, geminiNotes, recording, drive, em
         }
 
         // Initialize clients
-        const gemini = new GeminiRestClient(geminiApiKey);
         const slack = new SlackWebClient(slackBotToken);
 
+        // Post to the routed channels, or broadcast to all channels where the bot is a member (resolved before summarizing)
+        let channelIds = slackMessages ? Object.keys(slackMessages) : undefined;
+        if (!channelIds) {
+            const channels = await slack.getUserChannels();
+            channelIds = routing ? resolveSlackChannelIds_(getSlackChannelsForEvent_(event, routing), channels) : channels.map(channel => channel.id);
+            if (!channelIds.length) {
+                Logger.log(`No Slack channel routed for ${event.summary}, skipping summarization`);
+                return;
+            }
+        }
+
         // Extract file ID from the notes URL
         const notesFileId = geminiNotes.fileId || DriveClientV1.extractFileId(geminiNotes.fileUrl);
         if (!notesFileId) {
@@ -738,10 +1378,10 @@ async function summarizeAndPostToSlack_(event, geminiNotes, recording, drive, em
         }
 
         const attendeeLabel = meetAttendeeEmails ? 'meeting attendees' : 'all employees';
+        const relevantEmployees = meetAttendeeEmails
+            ? employees.filter(emp => meetAttendeeEmails.has(emp.attributes.email.value))
+            : employees;
         const nameToSlackMentionMapping = async () => {
-            const relevantEmployees = meetAttendeeEmails
-                ? employees.filter(emp => meetAttendeeEmails.has(emp.attributes.email.value))
-                : employees;
             const employeeEmails = relevantEmployees.map(emp => emp.attributes.email.value).filter(Boolean);
             if (employeeEmails.length === 0) {
                 return '';
@@ -810,18 +1450,44 @@ Company terminology glossary — use this to correct any misspelled or misunders
 ${glossary}
 </glossary_end>` : ''}`;
 
-        // Summarize the document
-        const summaryContent = await gemini.summarizeGoogleDoc(notesFileId, prompt, drive);
+        // Summarize the document and track its action items
+        let summaryContent;
+        try {
+            const notesContent = await LlmClient.readGoogleDoc(notesFileId, drive);
+            summaryContent = await llm.summarizeText(notesContent, prompt);
+
+            try {
+                await trackActionItems_(llm, slack, event, formattedDate, notesContent, relevantEmployees);
+            } catch (e) {
+                Logger.log(`Failed to track action items of ${event.summary}: ${e}`);
+            }
+        } finally {
+            reportLlmUsage_(llm, event);
+        }
         Logger.log(`Generated summary: ${summaryContent}`);
 
-        // Broadcast to all channels where the bot is a member
-        Logger.log(`Broadcasting summary to Slack channels`);
-        const channels = await slack.getUserChannels();
-        for (const channel of channels) {
-            await postMeetingSummary_(slack, channel.id, event.summary, formattedDate, summaryContent, geminiNotes.fileUrl, recording.fileUrl);
+        if (slackMessages) {
+            Logger.log(`Updating summary in Slack channels ${Object.keys(slackMessages).join(', ')}`);
+            for (const [channelId, ts] of Object.entries(slackMessages)) {
+                await updateMeetingSummary_(slack, channelId, ts, event.summary, formattedDate, summaryContent, geminiNotes.fileUrl, recording?.fileUrl);
+                if (updateNotice) {
+                    await slack.postMessage(channelId, updateNotice, undefined, ts);
+                }
+            }
+
+            Logger.log(`Successfully updated summary for ${event.summary} in Slack`);
+            return slackMessages;
+        }
+
+        Logger.log(`Posting summary to Slack channels ${channelIds.join(', ')}`);
+        const postedMessages = {};
+        for (const channelId of channelIds) {
+            postedMessages[channelId] = await postMeetingSummary_(slack, channelId, event.summary, formattedDate, summaryContent, geminiNotes.fileUrl,
+                recording?.fileUrl);
         }
 
         Logger.log(`Successfully posted summary for ${event.summary} to Slack`);
+        return postedMessages;
     } catch (e) {
         Logger.log(`Failed to summarize and post to Slack: ${e}`);
         throw e;
@@ -829,6 +1495,183 @@ ${glossary}
 }
 
 
+/** Get the Slack channels (IDs or names) a meeting summary is routed to.
+ *
+ * @param event The calendar event of the meeting
+ * @param routing The validated routing config (see getSlackChannelRouting_())
+ * @returns {Array<string>} The channels of all matching routes, the fallback channel or no channel
+ */
+function getSlackChannelsForEvent_(event, routing) {
+    const attendeeEmails = (event.attendees || []).map(attendee => (attendee.email || '').toLowerCase());
+
+    const channels = routing.routes
+        .filter(route => (!route.summaryPattern || route.summaryPattern.test(event.summary || ''))
+            && (!route.organizer || route.organizer.toLowerCase() === (event.organizer?.email || '').toLowerCase())
+            && (!route.attendeePattern || attendeeEmails.some(email => route.attendeePattern.test(email)
+                || route.attendeePattern.test(email.substring(0, email.indexOf('@'))))))
+        .map(route => route.channel);
+
+    if (!channels.length && routing.fallbackChannel) {
+        channels.push(routing.fallbackChannel);
+    }
+
+    return [...new Set(channels)];
+}
+
+
+/** Resolve Slack channel names (with or without leading '#') to the IDs of the channels the app is a member of.
+ *
+ * @param channelRefs Channel IDs or names
+ * @param channels The channels the app is a member of (as returned by SlackWebClient.getUserChannels())
+ * @returns {Array<string>} The IDs of the channels, unknown channels are skipped
+ */
+function resolveSlackChannelIds_(channelRefs, channels) {
+    const channelIds = [];
+    for (const channelRef of channelRefs) {
+        const name = channelRef.replace(/^#/, '');
+        const channel = channels.find(channel => channel.id === channelRef || channel.name === name);
+        if (channel) {
+            channelIds.push(channel.id);
+        } else {
+            Logger.log(`Slack channel ${channelRef} not found (the app must be invited to it)`);
+        }
+    }
+
+    return [...new Set(channelIds)];
+}
+
+
+/** Extract the action items of a meeting into the action items sheet and remind owners of items still open.
+ *
+ * Owners of open items from previous occurrences of a recurring meeting are reminded once via Slack DM. Items are only
+ * extracted once per event, processing an event again keeps the recorded items.
+ *
+ * @param {LlmClient} llm The LLM client for the extraction.
+ * @param {SlackWebClient} slack The Slack client for reminders.
+ * @param event The calendar event of the meeting.
+ * @param {string} date The date of the meeting (yyyy-MM-dd).
+ * @param {string} notesContent The text content of the meeting notes.
+ * @param employees The employees which may own action items (the meeting attendees if known).
+ */
+async function trackActionItems_(llm, slack, event, date, notesContent, employees) {
+    const spreadsheet = SpreadsheetApp.openById(getReportSheetId_());
+    const sheet = SheetUtil.ensureSheet(spreadsheet, ACTION_ITEMS_SHEET_NAME);
+    if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, ACTION_ITEMS_COLUMNS.length).setValues([ACTION_ITEMS_COLUMNS]);
+    }
+
+    const items = parseActionItemRows_(sheet.getRange(1, 1, sheet.getLastRow(), ACTION_ITEMS_COLUMNS.length).getValues(),
+        spreadsheet.getSpreadsheetTimeZone());
+
+    // remind owners of items still open from previous occurrences
+    const itemsByOwner = {};
+    for (const item of getActionItemsToRemind_(items, event.recurringEventId || event.id, date)) {
+        (itemsByOwner[item.owner] = itemsByOwner[item.owner] || []).push(item);
+    }
+    for (const [owner, ownerItems] of Object.entries(itemsByOwner)) {
+        try {
+            const slackUser = await getSlackUserByEmailCached_(slack, owner);
+            if (!slackUser) {
+                Logger.log(`No Slack user found for ${owner}, not reminding of open action items`);
+                continue;
+            }
+
+            const lines = ownerItems.map(item => `• ${item.description} (${item.date}${item.dueDate ? ', due ' + item.dueDate : ''})`);
+            await slack.postDirectMessage(slackUser.id, `Reminder: your action items from *${event.summary}* are still open:\n${lines.join('\n')}`);
+
+            const remindedAt = new Date().toISOString();
+            for (const item of ownerItems) {
+                sheet.getRange(item.row, ACTION_ITEMS_COLUMNS.indexOf('Reminded At') + 1).setValue(remindedAt);
+            }
+        } catch (e) {
+            Logger.log(`Failed to remind ${owner} of open action items: ${e}`);
+        }
+    }
+
+    if (items.some(item => item.eventId === event.id)) {
+        Logger.log(`Action items of ${event.summary} at ${date} already recorded`);
+        return;
+    }
+
+    const ownerMapping = employees
+        .map(employee => `${employee.attributes.first_name?.value || ''} ${employee.attributes.last_name?.value || ''}`.trim() + ' -> ' + employee.attributes.email.value)
+        .join('\n');
+    const prompt = `Extract the action items from the meeting notes below. An action item is a task a person agreed to do after the meeting.
+
+Return a JSON object like {"actionItems": [{"owner": "jane.doe@example.com", "description": "Draft the migration plan", "dueDate": "2026-05-31"}]} with:
+- owner: the email of the person responsible, taken from the lookup table below (null if not in the table)
+- description: a short, self-contained description of the task
+- dueDate: the due date as YYYY-MM-DD if one was mentioned, relative to the meeting date ${date} (null otherwise)
+
+Return {"actionItems": []} if there are no action items.
+
+Name to email lookup table (format "$NAME -> $EMAIL"):
+<email_lookup_begin>
+${ownerMapping}
+</email_lookup_end>`;
+
+    const extractedItems = normalizeActionItems_(await llm.extractJson(notesContent, prompt), employees);
+    if (!extractedItems.length) {
+        Logger.log(`No action items found for ${event.summary} at ${date}`);
+        return;
+    }
+
+    const rows = extractedItems.map(item => [event.recurringEventId || event.id, event.id, event.summary, date, item.owner, item.description,
+        item.dueDate, 'open', '']);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ACTION_ITEMS_COLUMNS.length).setValues(rows);
+    Logger.log(`Recorded ${rows.length} action items for ${event.summary} at ${date}`);
+}
+
+
+/** Validate and normalize action items extracted by the LLM.
+ *
+ * Owners not found among the employees are cleared, as are due dates not in the format YYYY-MM-DD.
+ *
+ * @param extracted The extracted JSON, like {"actionItems": [{"owner": ..., "description": ..., "dueDate": ...}]}.
+ * @param employees The employees which may own action items.
+ * @return {Array<{owner: string, description: string, dueDate: string}>} The action items.
+ */
+function normalizeActionItems_(extracted, employees) {
+    const employeeEmails = new Set(employees.map(employee => (employee.attributes.email.value || '').toLowerCase()));
+    return (Array.isArray(extracted?.actionItems) ? extracted.actionItems : [])
+        .filter(item => typeof item?.description === 'string' && item.description.trim())
+        .map(item => {
+            const owner = typeof item.owner === 'string' ? item.owner.trim().toLowerCase() : '';
+            const dueDate = typeof item.dueDate === 'string' ? item.dueDate.trim() : '';
+            return {
+                owner: employeeEmails.has(owner) ? owner : '',
+                description: item.description.trim(),
+                dueDate: /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : ''
+            };
+        });
+}
+
+
+/** Parse the values of the action items sheet (including the header row) into items with their sheet row numbers. */
+function parseActionItemRows_(values, timeZone) {
+    const toDateString = value => value instanceof Date ? Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') : String(value);
+    return values.slice(1).map((row, index) => ({
+        row: index + 2,
+        seriesId: String(row[0]),
+        eventId: String(row[1]),
+        meeting: String(row[2]),
+        date: toDateString(row[3]),
+        owner: String(row[4]).toLowerCase(),
+        description: String(row[5]),
+        dueDate: toDateString(row[6]),
+        status: String(row[7]),
+        remindedAt: row[8]
+    }));
+}
+
+
+/** Get the open action items of earlier occurrences of a meeting series, whose owners have not been reminded yet. */
+function getActionItemsToRemind_(items, seriesId, date) {
+    return items.filter(item => item.seriesId === seriesId && item.date < date && item.owner && !item.remindedAt
+        && (!item.status || item.status.trim().toLowerCase() === 'open'));
+}
+
+
 /** Post a formatted meeting summary to a Slack channel.
  *
  * @param slackClient The SlackWebClient instance
@@ -837,10 +1680,31 @@ ${glossary}
  * @param date The formatted date string
  * @param summaryContent The AI-generated summary content (takeaways and contributors)
  * @param docLink Link to the Google Doc
- * @param recordingLink Link to the recording
+ * @param recordingLink Link to the recording (optional)
+ * @returns The timestamp of the posted message
  */
 async function postMeetingSummary_(slackClient, channelId, meetingName, date, summaryContent, docLink, recordingLink) {
-    const blocks = [
+    const response = await slackClient.postMessage(channelId, `Meeting Summary: ${meetingName} (${date})`,
+        createMeetingSummaryBlocks_(meetingName, date, summaryContent, docLink, recordingLink));
+    return response.ts;
+}
+
+
+/** Replace a meeting summary posted before (see postMeetingSummary_()) in a Slack channel. */
+async function updateMeetingSummary_(slackClient, channelId, ts, meetingName, date, summaryContent, docLink, recordingLink) {
+    await slackClient.updateMessage(channelId, ts, `Meeting Summary: ${meetingName} (${date})`,
+        createMeetingSummaryBlocks_(meetingName, date, summaryContent, docLink, recordingLink));
+}
+
+
+/** Create the Slack blocks of a meeting summary post. */
+function createMeetingSummaryBlocks_(meetingName, date, summaryContent, docLink, recordingLink) {
+    const links = [`<${docLink}|Full Summary + Transcript>`];
+    if (recordingLink) {
+        links.push(`<${recordingLink}|Recording>`);
+    }
+
+    return [
         {
             type: 'section',
             text: {
@@ -862,16 +1726,11 @@ async function postMeetingSummary_(slackClient, channelId, meetingName, date, su
             elements: [
                 {
                     type: 'mrkdwn',
-                    text: `<${docLink}|Full Summary + Transcript>  ·  <${recordingLink}|Recording>`
+                    text: links.join('  ·  ')
                 }
             ]
         }
     ];
-
-    // Use plain text as fallback for notifications
-    const fallbackText = `Meeting Summary: ${meetingName} (${date})`;
-
-    await slackClient.postMessage(channelId, fallbackText, blocks);
 }
 
 /** Max characters allowed in a single Slack section block text field. */
@@ -952,11 +1811,19 @@ function setEventPrivateProperty_(event, key, value) {
 
 
 /** Utility function to visit and handle all personal employee Gcal events.
+ *
+ * If a cursor key is specified, visiting stops before the Apps Script runtime limit and the next call resumes
+ * after the last visited account/event (see JobRunner). Otherwise, all events are visited in a single call.
  *
  * @param visitor The visitor function which receives (event, employee, employees, calendar, personio) as arguments and may return false to stop iteration.
  * @param listParams Additional parameter overrides for calendar.list().
+ * @param cursorKey The script property to persist the position at (optional).
+ * @param accountVisitor Called with (employee, error) once all events of an account were visited or visiting them failed (optional),
+ *                       errors of single accounts are only passed to it (instead of throwing the first one) if specified.
+ *
+ * @return {Promise<boolean>} True if all accounts were visited, false if visiting was stopped early (to be resumed).
  */
-async function visitEvents_(visitor, listParams) {
+async function visitEvents_(visitor, listParams, cursorKey, accountVisitor) {
 
     const allowedDomains = (getScriptProperties_().getProperty(ALLOWED_DOMAINS_KEY) || '')
         .split(',')
@@ -985,20 +1852,23 @@ async function visitEvents_(visitor, listParams) {
     const personio = PersonioClientV1.withApiCredentials(personioCreds.clientId, personioCreds.clientSecret);
 
     // load and prepare list of employees to process
-    const employees = await personio.getPersonioJson('/company/employees').filter(employee =>
+    const employees = (await personio.getPersonioJson('/company/employees')).filter(employee =>
         employee.attributes.status.value !== 'inactive' && isEmailAllowed(employee.attributes.email.value)
     );
 
+    // without cursor there is no way to resume, so no deadline either
+    const job = new JobRunner(cursorKey, cursorKey ? JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES : Infinity, epoch);
+
     Logger.log('Visiting events between %s and %s for %s accounts', listParams?.timeMin || fetchTimeMin.toISOString(), listParams?.timeMax || fetchTimeMax.toISOString(), '' + employees.length);
 
     let firstError = null;
     let processedCount = 0;
-    let done = false;
-    for (const employee of employees) {
+    const isCompleted = await job.run(employees, employee => employee.attributes.email.value, async (employee, lastVisitedEventId) => {
 
         const email = employee.attributes.email.value;
 
         // we keep operating if handling calendar of a single user fails
+        let error;
         try {
             const calendar = await CalendarClient.withImpersonatingService(getServiceAccountCredentials_(), email);
             const allEvents = await calendar.list('primary', {
@@ -1009,27 +1879,39 @@ async function visitEvents_(visitor, listParams) {
                 ...listParams
             });
 
-            for (const event of allEvents) {
-                done = !await visitor(event, employee, employees, calendar, personio);
-                if (done) {
-                    break;
+            // continue after the event visited last, if resuming this account
+            const startIndex = lastVisitedEventId ? allEvents.findIndex(event => event.id === lastVisitedEventId) + 1 : 0;
+            for (let i = startIndex; i < allEvents.length; ++i) {
+                if (job.isTimeUp()) {
+                    if (i > 0) {
+                        job.checkpoint(allEvents[i - 1].id);
+                    }
+                    return false;
+                }
+
+                if (!await visitor(allEvents[i], employee, employees, calendar, personio)) {
+                    return false;
                 }
             }
         } catch (e) {
             Logger.log('Failed to visit events of user %s: %s', email, e);
             firstError = firstError || e;
+            error = e;
         }
-        ++processedCount;
-        if (done) {
-            break;
+        if (accountVisitor) {
+            await accountVisitor(employee, error);
         }
-    }
+        ++processedCount;
+        return true;
+    });
 
     Logger.log('Completed visiting events for %s of %s accounts', '' + processedCount, '' + employees.length);
 
-    if (firstError) {
+    if (firstError && !accountVisitor) {
         throw firstError;
     }
+
+    return isCompleted;
 }
 
 
@@ -1045,9 +1927,10 @@ async function visitEvents_(visitor, listParams) {
  * - directory.readonly (Google Directory people listing)
  *
  * @param event The calendar event (must include conferenceData, requires conferenceDataVersion=1 in list params)
+ * @param directoryCache Optional object to cache the directory mappings in (by impersonated email), across calls
  * @returns {Promise<Set<string>|null>} Set of attendee email addresses, or null if attendance could not be determined
  */
-async function getMeetAttendeeEmails_(event) {
+async function getMeetAttendeeEmails_(event, directoryCache = undefined) {
     const meetingCode = event.conferenceData?.conferenceId
         || extractMeetingCode_(event);
 
@@ -1079,7 +1962,10 @@ async function getMeetAttendeeEmails_(event) {
 
     // Resolve participant display names to emails via Google Directory
     // (both Meet and Directory use Google identity, so names match)
-    const directoryNameToEmail = await getDirectoryNameToEmail_(creds, email);
+    const directoryNameToEmail = directoryCache?.[email] || await getDirectoryNameToEmail_(creds, email);
+    if (directoryCache) {
+        directoryCache[email] = directoryNameToEmail;
+    }
 
     const attendeeEmails = new Set();
     for (const participant of participants) {
@@ -1195,6 +2081,39 @@ function getLookbackDays_() {
 }
 
 
+/** Get the working hours by employee email (key "default" for all others) as fractional hours (ie. {start: 9, end: 17.5}).
+ *
+ * All configured ranges are validated, so invalid ones are reported before visiting any calendar. The default is
+ * 09:00-17:00 if not configured.
+ *
+ * @return {Object} The working hours by email, with a "default" entry.
+ */
+function getWorkingHours_() {
+    const value = (getScriptProperties_().getProperty(WORKING_HOURS_KEY) || '').trim();
+    let rangesByEmail;
+    try {
+        rangesByEmail = value.startsWith('{') ? JSON.parse(value) : {default: value};
+    } catch (e) {
+        throw new Error(`Invalid JSON at script property ${WORKING_HOURS_KEY}: ${e.message}`);
+    }
+
+    const workingHours = {};
+    for (const [email, rawRange] of Object.entries({default: '09:00-17:00', ...rangesByEmail})) {
+        const range = ('' + (rawRange || '')).trim() || '09:00-17:00';
+
+        const match = range.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        const start = match ? +match[1] + match[2] / 60 : NaN;
+        const end = match ? +match[3] + match[4] / 60 : NaN;
+        if (!(start >= 0 && end <= 24 && start < end)) {
+            throw new Error(`Invalid working hours "${range}" at script property ${WORKING_HOURS_KEY}`);
+        }
+        workingHours[email] = {start: start, end: end};
+    }
+
+    return workingHours;
+}
+
+
 /** Get the Personio token. */
 function getPersonioCreds_() {
     const credentialFields = (getScriptProperties_().getProperty(PERSONIO_TOKEN_KEY) || '|')
@@ -1244,12 +2163,103 @@ function getSlackBotToken_() {
 }
 
 
+/** Get the validated routing of meeting summaries to Slack channels (undefined if not configured). */
+function getSlackChannelRouting_() {
+    const value = (getScriptProperties_().getProperty(SLACK_CHANNEL_ROUTING_KEY) || '').trim();
+    if (!value) {
+        return undefined;
+    }
+
+    const routing = JSON.parse(value);
+    const routes = (routing.routes || []).map((route, index) => {
+        if (!route.channel || (!route.summary && !route.organizer && !route.attendee)) {
+            throw new Error(`Route ${index + 1} at script property ${SLACK_CHANNEL_ROUTING_KEY} needs a channel and at least one condition`);
+        }
+
+        // attendee groups are glob patterns, like "sig-*"
+        const attendeePattern = route.attendee
+            ? new RegExp('^' + route.attendee.toLowerCase().replace(/[-[\]{}()+?.,\\^$|#\s]/g, '\\$&').replace(/\*/g, '.*') + '$')
+            : undefined;
+
+        return {...route, summaryPattern: route.summary ? new RegExp(route.summary, 'i') : undefined, attendeePattern: attendeePattern};
+    });
+
+    return {routes: routes, fallbackChannel: routing.fallbackChannel};
+}
+
+
 /** Get the Gemini API key for summarization. */
 function getGeminiApiKey_() {
     return getScriptProperties_().getProperty(GEMINI_API_KEY) || null;
 }
 
 
+/** Get the LLM client for summarization, as configured by the script properties (null if no API key is configured). */
+function getLlmClient_() {
+    const properties = getScriptProperties_();
+    const provider = (properties.getProperty(LLM_PROVIDER_KEY) || 'gemini').trim().toLowerCase();
+    const apiKey = properties.getProperty(LLM_API_KEY) || (provider === 'gemini' ? getGeminiApiKey_() : null);
+    if (!apiKey) {
+        return null;
+    }
+
+    return LlmClient.create(provider, apiKey, (properties.getProperty(LLM_MODEL_KEY) || '').trim() || undefined);
+}
+
+
+/** Append the token usage of an LLM client to the AiCost spreadsheet, if configured.
+ *
+ * Rows use the column layout of the AiCost data sheets, costs are left to the providers' cost reports. The tokens are
+ * contained in the providers' usage reports as well (counted twice), so the rows are of record type 'attribution', to be
+ * excluded from totals of the usage and cost rows.
+ *
+ * @param {LlmClient} llm The client used for summarization.
+ * @param event The summarized calendar event.
+ */
+function reportLlmUsage_(llm, event) {
+    const aiCostSheetId = getScriptProperties_().getProperty(AI_COST_SHEET_KEY);
+    const usage = llm.getUsage();
+    if (!aiCostSheetId || !usage.requests) {
+        return;
+    }
+
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+        const spreadsheet = SpreadsheetApp.openById(aiCostSheetId);
+        const sheet = SheetUtil.ensureSheet(spreadsheet, 'Data-' + date.slice(0, 4));
+        if (sheet.getLastRow() === 0) {
+            sheet.getRange(1, 1, 1, AI_COST_COLUMNS.length).setValues([AI_COST_COLUMNS]);
+        }
+
+        const row = createAiCostUsageRow_(usage, event, date);
+        sheet.getRange(sheet.getLastRow() + 1, 1, 1, AI_COST_COLUMNS.length).setValues([AI_COST_COLUMNS.map(column => row[column] ?? '')]);
+    } catch (e) {
+        Logger.log(`Failed to report LLM usage of summary for ${event.summary}: ${e}`);
+    }
+}
+
+
+/** Create an AiCost usage row (by column name) for the token usage of an LLM client on the specified date (yyyy-MM-dd, UTC). */
+function createAiCostUsageRow_(usage, event, date) {
+    return {
+        date: date,
+        source: 'meetings',
+        record_type: 'attribution',
+        model: usage.model,
+        actor: usage.provider,
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        cache_read_tokens: usage.cacheReadTokens,
+        cache_creation_tokens: 0,
+        num_requests: usage.requests,
+        cost_usd: 0,
+        cost_type: 'included', // in the provider's cost report
+        sessions: 0,
+        metadata: JSON.stringify({meeting: event.summary, eventId: event.id})
+    };
+}
+
+
 /** Set script properties.
  *
  * Usage: clasp run 'setProperties' --params '[{"Meetings.artifactsFolderId": "FOLDER_ID"}, false]'
@@ -15,6 +15,33 @@
  *
  *     automation@giantswarm.io
  *
+ *   - The schema (known columns per relation) is stored in the hidden sheet _PersonioDumpSchema of the target sheet,
+ *     schemas stored in the legacy script property PersonioDump.schema.SHEET_ID are migrated automatically.
+ *
+ *   - Sheets are updated incrementally by relation ID: changed cells are updated, new rows appended and rows of
+ *     deleted items removed, the counts per relation are logged after each run.
+ *
+ *   - History mode (optional): each attribute change of the dumped items (ie. an employee's department, position or
+ *     supervisor) is appended to the sheet ChangeLog, with the old and new value and the time it was detected.
+ *
+ *     FORMAT:
+ *          Script Property Key: PersonioDump.SHEET_ID.history
+ *          Script Property Value: true
+ *
+ *   - Profile (optional): restricts the dump to whitelisted relations and columns, renames headers and hashes or masks
+ *     sensitive values, so spreadsheets shared with broader audiences can be fed safely (see applyProfile_()).
+ *
+ *     FORMAT:
+ *          Script Property Key: PersonioDump.SHEET_ID.profile
+ *          Script Property Value: JSON profile, ie. {"hashSalt": "...", "relations": {"Employee": {"columns": [...]}}}
+ *
+ *   - Export (optional): each relation is also written to a Drive folder as newline-delimited JSON or CSV file, along
+ *     with a BigQuery compatible schema file, to load it into data warehouses (see exportRelationsToDrive_()).
+ *
+ *     FORMAT:
+ *          Script Property Key: PersonioDump.SHEET_ID.export
+ *          Script Property Value: {"folderId": "DRIVE_FOLDER_ID", "format": "ndjson"} (format "ndjson" or "csv")
+ *
  * This script uses the Advanced Sheets Service, make sure to enable it in the Google Cloud Project.
  *
  * Managed via: https://github.com/giantswarm/gapps-automation
@@ -29,6 +56,28 @@ const PROPERTY_PREFIX = 'PersonioDump.';
 /** The trigger handler function to call in time based triggers. */
 const TRIGGER_HANDLER_FUNCTION = 'dumpPersonio';
 
+/** The name of the sheet attribute changes are logged to in history mode. */
+const CHANGE_LOG_SHEET_NAME = 'ChangeLog';
+
+/** The columns of the change log sheet. */
+const CHANGE_LOG_COLUMNS = ['Relation', 'ID', 'Attribute', 'Old Value', 'New Value', 'Detected At'];
+
+/** The name of the hidden sheet storing the schema (column headers by relation) in the target spreadsheet. */
+const SCHEMA_SHEET_NAME = '_PersonioDumpSchema';
+
+/** The version of the schema storage format, stored in cell A1 of the schema sheet (1 was the legacy script property). */
+const SCHEMA_FORMAT_VERSION = 2;
+
+/** The maximum length of the schema JSON chunk stored per cell (Sheets allows 50000 characters per cell). */
+const SCHEMA_CHUNK_LENGTH = 40000;
+
+/** BigQuery column types of exported relations by Personio attribute type, all other columns are of type STRING. */
+const EXPORT_COLUMN_TYPES = {
+    date: 'TIMESTAMP',
+    integer: 'INTEGER',
+    decimal: 'FLOAT'
+};
+
 
 /** Main entry point.
  *
@@ -54,7 +103,7 @@ async function dumpPersonio() {
 
         let relations = null;
         try {
-            relations = transformPersonioDataToRelations_(data, task.spreadsheetId);
+            relations = applyProfile_(transformPersonioDataToRelations_(data, task.spreadsheetId), task.options.profile);
         } catch (e) {
             Logger.log('Failed to transform Personio data for sheet %s: %s', task.spreadsheetId, e.message);
             firstError = firstError || e;
@@ -62,11 +111,22 @@ async function dumpPersonio() {
         }
 
         try {
-            writeRelationsToSheet_(task.spreadsheetId, relations);
+            // in history mode, changes of the top level items are logged
+            const historyTypes = task.options.history ? [...new Set(data.map(item => item.type))] : [];
+            writeRelationsToSheet_(task.spreadsheetId, relations, historyTypes);
         } catch (e) {
             Logger.log('Failed to write rows to sheet %s: %s', task.spreadsheetId, e.message);
             firstError = firstError || e;
         }
+
+        if (task.options.export) {
+            try {
+                exportRelationsToDrive_(relations, task.options.export);
+            } catch (e) {
+                Logger.log('Failed to export relations of sheet %s to Drive: %s', task.spreadsheetId, e.message);
+                firstError = firstError || e;
+            }
+        }
     }
 
     if (firstError) {
@@ -110,7 +170,8 @@ function getTasks_() {
             continue;
 
         const spreadsheetId = safeKey.replace(PROPERTY_PREFIX, '');
-        if (!spreadsheetId) {
+        if (!spreadsheetId || spreadsheetId.includes('.')) {
+            // options (ie. PersonioDump.SHEET_ID.history) are read along with their task
             continue;
         }
 
@@ -126,7 +187,7 @@ function getTasks_() {
                 };
 
                 if (sourceSpec.url && sourceSpec.clientId && sourceSpec.clientSecret) {
-                    tasks.push({spreadsheetId: spreadsheetId, source: sourceSpec});
+                    tasks.push({spreadsheetId: spreadsheetId, source: sourceSpec, options: getTaskOptions_(properties, spreadsheetId)});
                 } else {
                     Logger.log("Skipped task: Empty fields in property value for key %s: %s", key, rawProperty);
                 }
@@ -142,6 +203,28 @@ function getTasks_() {
 }
 
 
+/** Get the options of the task writing to the specified spreadsheet, from properties like PersonioDump.SHEET_ID.history.
+ *
+ * Throws if an option is invalid, ie. a profile hashing columns without hashSalt (unsalted hashes are easily reversed).
+ */
+function getTaskOptions_(properties, spreadsheetId) {
+    const getOption = name => ('' + (properties[PROPERTY_PREFIX + spreadsheetId + '.' + name] || '')).trim();
+
+    const profile = getOption('profile') ? JSON.parse(getOption('profile')) : null;
+    const hasHashedColumns = Object.values(profile?.relations || {}).some(relationProfile => relationProfile?.hash?.length);
+    if (hasHashedColumns && !('' + (profile.hashSalt || '')).trim()) {
+        throw new Error('Profile hashes columns, but has no hashSalt');
+    }
+
+    const exportOptions = getOption('export');
+    return {
+        history: getOption('history').toLowerCase() === 'true',
+        profile: profile,
+        export: exportOptions ? JSON.parse(exportOptions) : null
+    };
+}
+
+
 /** Transform objects from Persionio API v1 response data to normalized relations.
  *
  *  Output Example:
@@ -152,37 +235,34 @@ function getTasks_() {
  *  }
  *
  */
-function transformPersonioDataToRelations_(data, schemaKey) {
+function transformPersonioDataToRelations_(data, spreadsheetId) {
 
     const relations = {version: 0};  // ie. tables in a relational schema
 
-    const buildSchemaPropertyKey = (schemaKey) => PROPERTY_PREFIX + 'schema.' + schemaKey;
-
-    const loadSchema = (schemaKey) => {
-        const existingSchema = PropertiesService.getScriptProperties().getProperty(buildSchemaPropertyKey(schemaKey));
-        if (existingSchema) {
-            const schema = JSON.parse(existingSchema);
-            // copy properties
+    const loadSchema = (spreadsheetId) => {
+        const schema = loadSchema_(spreadsheetId);
+        if (schema) {
+            // copy relations
             for (const relType in schema) {
-                relations[relType] = schema[relType];
+                relations[relType] = Util.isObject(schema[relType])
+                    ? {headers: schema[relType].headers || {}, rows: [], ids: {}}
+                    : schema[relType];
             }
-
-            Logger.log("Loaded schema: version=%s, size=%s (max 9216)", relations.version, Util.calculateUtf8Size(existingSchema));
         } else {
             Logger.log("No existing schema found");
         }
     };
 
-    const saveSchema = (schemaKey) => {
-        // Persist updated schema version
+    const saveSchema = (spreadsheetId) => {
+        // Persist updated schema version, only the headers of the relations
         const schema = {version: relations.version};
-        for (const relType in schema) {
-            schema[relType] = {headers: relations[relType].headers};
+        for (const relType in relations) {
+            if (Util.isObject(relations[relType])) {
+                schema[relType] = {headers: relations[relType].headers};
+            }
         }
 
-        const updatedSchema = JSON.stringify(relations);
-        Logger.log("Saving schema: version=%s, size=%s (max 9216)", relations.version, Util.calculateUtf8Size(updatedSchema));
-        PropertiesService.getScriptProperties().setProperty(buildSchemaPropertyKey(schemaKey), updatedSchema);
+        saveSchema_(spreadsheetId, schema);
     };
 
     const hasParentOfType = (parents, relType) => !!parents.find(parent => parent.type === relType);
@@ -265,6 +345,7 @@ function transformPersonioDataToRelations_(data, schemaKey) {
                 }
                 header.t = (label || uniform_id || id.trim()) + (rel ? '_' + rel + '_id' : '');
                 header.rel = rel != null ? rel : undefined;
+                header.type = attribute?.type || undefined;
                 header.v = relations.version;
             }
         }
@@ -340,7 +421,7 @@ function transformPersonioDataToRelations_(data, schemaKey) {
     };
 
     // #1 Build schema (scan data returned from API)
-    loadSchema(schemaKey);
+    loadSchema(spreadsheetId);
     ++relations.version;
     for (const item of data) {
         if (scanObject(item, []) == null)
@@ -349,7 +430,7 @@ function transformPersonioDataToRelations_(data, schemaKey) {
         }
     }
     // Persist updated schema version
-    saveSchema(schemaKey);
+    saveSchema(spreadsheetId);
 
     // #2 Set headers (first rows for each relation)
     for (const [relType, relation] of Object.entries(relations)) {
@@ -385,6 +466,269 @@ function transformPersonioDataToRelations_(data, schemaKey) {
 }
 
 
+/** Export relations to a Drive folder: a data file and a schema file per relation, replacing the files of earlier runs.
+ *
+ * Data files contain newline-delimited JSON objects (RELATION.ndjson) or CSV with header row (RELATION.csv), the schema
+ * files (RELATION.schema.json) contain BigQuery JSON schemas. Column names are derived from the Personio attribute keys,
+ * not from their (possibly renamed or translated) titles, so they stay stable.
+ *
+ * @param {Object} relations The relations, as returned by transformPersonioDataToRelations_() (or applyProfile_()).
+ * @param {{folderId: string, format: string}} exportOptions The target folder and the format, "ndjson" (default) or "csv".
+ */
+function exportRelationsToDrive_(relations, exportOptions) {
+
+    const format = (exportOptions.format || 'ndjson').trim().toLowerCase();
+    if (format !== 'ndjson' && format !== 'csv') {
+        throw new Error(`Unsupported export format "${exportOptions.format}", expected "ndjson" or "csv"`);
+    }
+
+    const folder = DriveApp.getFolderById(exportOptions.folderId);
+
+    for (const [relType, relation] of Object.entries(relations)) {
+
+        if (relType === 'version' || !Util.isObject(relation))
+            continue;
+
+        const schema = createExportSchema_(relations, relType);
+        const records = relation.rows.slice(1)
+            .map(row => schema.map((column, i) => toExportValue_(row[i], column.type)));
+
+        const content = format === 'csv'
+            ? [schema.map(column => column.name)].concat(records).map(record => record.map(toCsvField_).join(',') + '\r\n').join('')
+            : records.map(record => JSON.stringify(Object.fromEntries(schema.map((column, i) => [column.name, record[i]]))) + '\n').join('');
+
+        writeDriveFile_(folder, `${relType}.${format}`, content, format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+        writeDriveFile_(folder, `${relType}.schema.json`, JSON.stringify(schema, null, 2), 'application/json');
+
+        Logger.log('Exported %s rows of relation %s to Drive folder %s as %s', '' + records.length, relType, exportOptions.folderId, format);
+    }
+}
+
+
+/** Create the BigQuery JSON schema of a relation (name, type, mode and description of each column, in column order). */
+function createExportSchema_(relations, relType) {
+
+    const getPersonioType = header => header.rel ? relations[header.rel]?.headers?.id?.type : header.type;
+
+    const names = [];
+    return Object.entries(relations[relType].headers).map(([key, header]) => {
+        // BigQuery column names consist of letters, digits and underscores and don't start with a digit
+        const baseName = SheetUtil.sanitizeColumnName(key + (header.rel ? '_id' : '')).replace(/^(?=[0-9])/, '_');
+        let name = baseName;
+        for (let suffix = 2; names.includes(name); ++suffix) {
+            name = baseName + '_' + suffix;
+        }
+        names.push(name);
+
+        return {
+            name: name,
+            type: EXPORT_COLUMN_TYPES[getPersonioType(header)] || 'STRING',
+            mode: 'NULLABLE',
+            description: header.t
+        };
+    });
+}
+
+
+/** Convert a relation value to the exported value of a column type, empty and unconvertible values are null. */
+function toExportValue_(value, type) {
+
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    switch (type) {
+        case 'TIMESTAMP': {
+            const date = value instanceof Date ? value : new Date(value);
+            return isNaN(date.getTime()) ? null : date.toISOString();
+        }
+        case 'INTEGER': // fall-through
+        case 'FLOAT':
+            return Number.isFinite(+value) ? +value : null;
+        default:
+            return value instanceof Date ? value.toISOString() : '' + value;
+    }
+}
+
+
+/** Format a value as CSV field (RFC 4180), null is an empty field. */
+function toCsvField_(value) {
+    const text = value == null ? '' : '' + value;
+    return /[",\r\n]/.test(text) ? '"' + text.replaceAll('"', '""') + '"' : text;
+}
+
+
+/** Create or replace the content of the file with the specified name in a Drive folder. */
+function writeDriveFile_(folder, name, content, mimeType) {
+    const files = folder.getFilesByName(name);
+    if (files.hasNext()) {
+        files.next().setContent(content);
+    } else {
+        folder.createFile(name, content, mimeType);
+    }
+}
+
+
+/** Load the schema stored in the target spreadsheet, migrating a schema stored in the legacy script property.
+ *
+ * @return {Object|null} The schema (version and headers by relation type), null if none was stored yet.
+ */
+function loadSchema_(spreadsheetId) {
+
+    // reading a sheet that doesn't exist (yet) fails
+    const hasSchemaSheet = getSpreadsheet_(spreadsheetId).sheets.some(sheet => sheet.properties.title === SCHEMA_SHEET_NAME);
+    const rows = hasSchemaSheet ? getSheetValues_(spreadsheetId, SCHEMA_SHEET_NAME) : [];
+    if (rows.length) {
+        const formatVersion = +rows[0][0];
+        if (formatVersion !== SCHEMA_FORMAT_VERSION) {
+            throw new Error(`Unsupported schema format version ${rows[0][0]} in sheet ${SCHEMA_SHEET_NAME} of spreadsheet ${spreadsheetId}`);
+        }
+
+        const json = rows.slice(1).map(row => row[0] || '').join('');
+        const schema = JSON.parse(json);
+        Logger.log("Loaded schema: version=%s, size=%s", schema.version, Util.calculateUtf8Size(json));
+        return schema;
+    }
+
+    // format version 1: stored in a script property, limited to 9216 bytes
+    const legacyPropertyKey = PROPERTY_PREFIX + 'schema.' + spreadsheetId;
+    const legacySchema = PropertiesService.getScriptProperties().getProperty(legacyPropertyKey);
+    if (legacySchema) {
+        const schema = JSON.parse(legacySchema);
+        Logger.log("Migrating schema from script property %s: version=%s", legacyPropertyKey, schema.version);
+        saveSchema_(spreadsheetId, schema);
+        PropertiesService.getScriptProperties().deleteProperty(legacyPropertyKey);
+        return schema;
+    }
+
+    return null;
+}
+
+
+/** Store the schema in the hidden schema sheet of the target spreadsheet, as JSON split into chunks (one per row). */
+function saveSchema_(spreadsheetId, schema) {
+
+    const json = JSON.stringify(schema);
+    Logger.log("Saving schema: version=%s, size=%s", schema.version, Util.calculateUtf8Size(json));
+
+    const chunks = [];
+    for (let i = 0; i < json.length; i += SCHEMA_CHUNK_LENGTH) {
+        chunks.push(json.substring(i, i + SCHEMA_CHUNK_LENGTH));
+    }
+
+    const sheetProperties = ensureSheet_(getSpreadsheet_(spreadsheetId), SCHEMA_SHEET_NAME, true).properties;
+    const rows = [[SCHEMA_FORMAT_VERSION]].concat(chunks.map(chunk => [chunk]));
+    const batch = {
+        requests: createRewriteRequests_(sheetProperties, rows, 0)
+    };
+    Sheets.Spreadsheets.batchUpdate(batch, spreadsheetId);
+}
+
+
+/** Apply a profile to relations: only whitelisted relations and columns are kept, headers renamed and values hashed or masked.
+ *
+ *  Profile Example:
+ *
+ *  {
+ *      hashSalt: "some secret",
+ *      relations: {
+ *          Employee: {
+ *              columns: ["id", "first_name", "email", "Department_Department_id", "dynamic_1234"],
+ *              rename: {first_name: "First Name", dynamic_1234: "IBAN"},
+ *              hash: ["email"],
+ *              mask: ["dynamic_1234"]
+ *          },
+ *          Department: {}
+ *      }
+ *  }
+ *
+ *  Relations missing in the profile are dropped, all columns are kept if no columns are listed (in the listed order
+ *  otherwise). Columns are referenced by Personio attribute key or by header title. Hashed values are replaced by the
+ *  hex encoded SHA-256 digest of the salt and the value, so they can still be joined on (a profile hashing columns must
+ *  have a non-empty hashSalt, see getTaskOptions_()). Masked values keep their last
+ *  4 characters if longer than 8 characters (ie. IBANs), shorter values are masked completely.
+ *
+ * @param {Object} relations The relations, as returned by transformPersonioDataToRelations_().
+ * @param {Object} profile The profile, null or undefined to keep the relations as they are.
+ * @return {Object} The relations according to the profile.
+ */
+function applyProfile_(relations, profile) {
+
+    if (!profile) {
+        return relations;
+    }
+
+    const profiled = {version: relations.version};
+    for (const [relType, relationProfile] of Object.entries(profile.relations || {})) {
+
+        const relation = relations[relType];
+        if (relType === 'version' || !Util.isObject(relation))
+            continue;
+
+        const keys = Object.keys(relation.headers);
+        const titles = relation.rows[0] || [];
+        const findColumnIndex = column => keys.includes(column) ? keys.indexOf(column) : titles.indexOf(column);
+        const findColumnIndexes = columns => (columns || []).map(findColumnIndex).filter(index => index >= 0);
+
+        // columns not found may just have no values (yet)
+        const columnIndexes = relationProfile?.columns ? [...new Set(findColumnIndexes(relationProfile.columns))] : keys.map((key, i) => i);
+        const hashedIndexes = findColumnIndexes(relationProfile?.hash);
+        const maskedIndexes = findColumnIndexes(relationProfile?.mask);
+        const rename = relationProfile?.rename || {};
+
+        const headers = {};
+        for (const i of columnIndexes) {
+            headers[keys[i]] = {...relation.headers[keys[i]], t: rename[keys[i]] ?? rename[titles[i]] ?? titles[i]};
+            if (hashedIndexes.includes(i) || maskedIndexes.includes(i)) {
+                // hashed or masked values are text, also if they were IDs of related items (of that relation's ID type)
+                headers[keys[i]].type = 'standard';
+                headers[keys[i]].rel = undefined;
+            }
+        }
+
+        const convertValue = (value, i) => {
+            if (hashedIndexes.includes(i)) {
+                return hashValue_(value, profile.hashSalt);
+            } else if (maskedIndexes.includes(i)) {
+                return maskValue_(value);
+            }
+            return value;
+        };
+
+        profiled[relType] = {
+            headers: headers,
+            rows: [Object.values(headers).map(header => header.t)]
+                .concat(relation.rows.slice(1).map(row => columnIndexes.map(i => convertValue(row[i], i))))
+        };
+    }
+
+    return profiled;
+}
+
+
+/** Hash a value (hex encoded SHA-256 of salt and value), empty values are kept. */
+function hashValue_(value, salt) {
+    if (value === undefined || value === null || value === '') {
+        return value;
+    }
+
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+        salt + (value instanceof Date ? value.toISOString() : '' + value), Utilities.Charset.UTF_8);
+    return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+
+/** Mask a value, keeping the last 4 characters of values longer than 8 characters, empty values are kept. */
+function maskValue_(value) {
+    if (value === undefined || value === null || value === '') {
+        return value;
+    }
+
+    const text = value instanceof Date ? value.toISOString() : '' + value;
+    return text.length > 8 ? '*'.repeat(text.length - 4) + text.slice(-4) : '****';
+}
+
+
 /** Creates a "custom" sheet with the specified name (if it doesn't exist) and returns the sheet properties. */
 function getOrAddSheet_(spreadsheetId, sheetTitle) {
     const spreadsheet = Sheets.Spreadsheets.get(spreadsheetId);
@@ -410,11 +754,26 @@ function getOrAddSheet_(spreadsheetId, sheetTitle) {
 }
 
 
-/** Write relations structure to the specified spreadsheet, creating the necessary sheets. */
-function writeRelationsToSheet_(spreadsheetId, relations) {
+/** Write relations structure to the specified spreadsheet, creating the necessary sheets.
+ *
+ * Sheets of relations with an ID column are updated incrementally: the existing rows are compared to the new ones by
+ * relation ID, only changed cells are updated, new rows are appended and rows of deleted items are removed. This keeps
+ * formatting applied in the sheet and makes its version history meaningful. Sheets without ID column, or with changed
+ * columns, are rewritten in full.
+ *
+ * @param {string} spreadsheetId The target spreadsheet.
+ * @param {Object} relations The relations, as returned by transformPersonioDataToRelations_().
+ * @param {Array<string>} historyTypes The relation types to log attribute changes of (see CHANGE_LOG_SHEET_NAME), optional.
+ *
+ * @return {Object} The change summary by relation type: counts of added, changed and removed rows, and if rewritten.
+ */
+function writeRelationsToSheet_(spreadsheetId, relations, historyTypes = []) {
 
     // Prepare Sheets API requests in advance
     const batch = {requests: []};
+    const changes = {};
+    const changeLogRows = [];
+    const detectedAt = new Date();
 
     for (const [relType, relation] of Object.entries(relations)) {
 
@@ -425,55 +784,67 @@ function writeRelationsToSheet_(spreadsheetId, relations) {
         const sheetProperties = ensureSheet_(spreadsheet, relType).properties;
         const sheetId = sheetProperties.sheetId;
         const timeZoneOffsetMillies = SheetUtil.getTimeZoneOffset(spreadsheet.properties.timeZone);
-        const rowCount = sheetProperties.gridProperties.rowCount;
-        const columnCount = sheetProperties.gridProperties.columnCount;
-        const targetRowCount = relation.rows.length;
-        const targetColumnCount = relation.rows.length ? relation.rows[0].length : 0
 
-        // #1 Ensure correct dimensions (enough rows/columns to insert data)
-        if (targetRowCount > rowCount) {
-            batch.requests.push({
-                appendDimension: {
-                    sheetId: sheetId,
-                    dimension: 'ROWS',
-                    length: targetRowCount - rowCount
-                }
-            });
+        const existingRows = getSheetValues_(spreadsheetId, relType);
+        const idIndex = Object.keys(relation.headers || {}).indexOf('id');
+        const diff = diffRelationRows_(existingRows, relation.rows, idIndex, timeZoneOffsetMillies);
+        if (historyTypes.includes(relType)) {
+            changeLogRows.push(...detectAttributeChanges_(relType, existingRows, relation.rows, idIndex, timeZoneOffsetMillies, detectedAt));
         }
-        if (targetColumnCount > columnCount) {
-            batch.requests.push({
-                appendDimension: {
-                    sheetId: sheetId,
-                    dimension: 'COLUMNS',
-                    length: targetColumnCount - columnCount
-                }
-            });
+        changes[relType] = {
+            added: diff.added.length,
+            changed: diff.changedRowCount,
+            removed: diff.removed.length,
+            rewritten: diff.rewrite
+        };
+
+        if (diff.rewrite) {
+            batch.requests.push(...createRewriteRequests_(sheetProperties, relation.rows, timeZoneOffsetMillies));
+            continue;
         }
 
-        // #2 Clear the whole worksheet, preserving formats
-        batch.requests.push(
-            {
+        // #1 Update changed cells (values only, preserving formats unless a date format is required)
+        for (const cell of diff.changed) {
+            const format = SheetUtil.toDefaultCellFormat(cell.value);
+            batch.requests.push({
                 updateCells: {
-                    range: {
-                        sheetId: sheetId
+                    start: {
+                        sheetId: sheetId,
+                        rowIndex: cell.rowIndex,
+                        columnIndex: cell.columnIndex
                     },
-                    fields: 'userEnteredValue'
+                    fields: format ? 'userEnteredValue,userEnteredFormat.numberFormat' : 'userEnteredValue',
+                    rows: [{
+                        values: [{
+                            userEnteredValue: SheetUtil.toExtendedValue(cell.value, timeZoneOffsetMillies),
+                            userEnteredFormat: format
+                        }]
+                    }]
                 }
             });
+        }
 
-        // #3 Insert the data rows
-        batch.requests.push(
-            {
-                updateCells: {
+        // #2 Remove rows of deleted items (bottom up, so the indexes stay valid)
+        for (const rowIndex of diff.removed.slice().sort((a, b) => b - a)) {
+            batch.requests.push({
+                deleteDimension: {
                     range: {
                         sheetId: sheetId,
-                        startRowIndex: 0,
-                        endRowIndex: relation.rows.length,
-                        startColumnIndex: 0,
-                        endColumnIndex: relation.rows.length ? relation.rows[0].length : 0
-                    },
-                    fields: 'userEnteredValue,userEnteredFormat',
-                    rows: relation.rows.map(row => ({
+                        dimension: 'ROWS',
+                        startIndex: rowIndex,
+                        endIndex: rowIndex + 1
+                    }
+                }
+            });
+        }
+
+        // #3 Append new rows
+        if (diff.added.length) {
+            batch.requests.push({
+                appendCells: {
+                    sheetId: sheetId,
+                    fields: 'userEnteredValue,userEnteredFormat.numberFormat',
+                    rows: diff.added.map(row => ({
                         values: row.map(v => ({
                             userEnteredValue: SheetUtil.toExtendedValue(v, timeZoneOffsetMillies),
                             userEnteredFormat: SheetUtil.toDefaultCellFormat(v)
@@ -481,9 +852,252 @@ function writeRelationsToSheet_(spreadsheetId, relations) {
                     }))
                 }
             });
+        }
     }
 
-    Sheets.Spreadsheets.batchUpdate(batch, spreadsheetId);
+    if (changeLogRows.length) {
+        batch.requests.push(createChangeLogRequest_(spreadsheetId, changeLogRows));
+        Logger.log('Logging %s attribute changes to sheet %s', '' + changeLogRows.length, spreadsheetId);
+    }
+
+    if (batch.requests.length) {
+        Sheets.Spreadsheets.batchUpdate(batch, spreadsheetId);
+    }
+
+    for (const [relType, change] of Object.entries(changes)) {
+        Logger.log('Relation %s in sheet %s: %s added, %s changed, %s removed%s', relType, spreadsheetId,
+            '' + change.added, '' + change.changed, '' + change.removed, change.rewritten ? ' (rewritten)' : '');
+    }
+
+    return changes;
+}
+
+
+/** Create the requests to replace the contents of a sheet with the specified rows, preserving formats. */
+function createRewriteRequests_(sheetProperties, rows, timeZoneOffsetMillies) {
+
+    const requests = [];
+    const sheetId = sheetProperties.sheetId;
+    const rowCount = sheetProperties.gridProperties.rowCount;
+    const columnCount = sheetProperties.gridProperties.columnCount;
+    const targetRowCount = rows.length;
+    const targetColumnCount = rows.length ? rows[0].length : 0;
+
+    // #1 Ensure correct dimensions (enough rows/columns to insert data)
+    if (targetRowCount > rowCount) {
+        requests.push({
+            appendDimension: {
+                sheetId: sheetId,
+                dimension: 'ROWS',
+                length: targetRowCount - rowCount
+            }
+        });
+    }
+    if (targetColumnCount > columnCount) {
+        requests.push({
+            appendDimension: {
+                sheetId: sheetId,
+                dimension: 'COLUMNS',
+                length: targetColumnCount - columnCount
+            }
+        });
+    }
+
+    // #2 Clear the whole worksheet, preserving formats
+    requests.push(
+        {
+            updateCells: {
+                range: {
+                    sheetId: sheetId
+                },
+                fields: 'userEnteredValue'
+            }
+        });
+
+    // #3 Insert the data rows
+    requests.push(
+        {
+            updateCells: {
+                range: {
+                    sheetId: sheetId,
+                    startRowIndex: 0,
+                    endRowIndex: targetRowCount,
+                    startColumnIndex: 0,
+                    endColumnIndex: targetColumnCount
+                },
+                fields: 'userEnteredValue,userEnteredFormat',
+                rows: rows.map(row => ({
+                    values: row.map(v => ({
+                        userEnteredValue: SheetUtil.toExtendedValue(v, timeZoneOffsetMillies),
+                        userEnteredFormat: SheetUtil.toDefaultCellFormat(v)
+                    }))
+                }))
+            }
+        });
+
+    return requests;
+}
+
+
+/** Compare the rows of a relation against the rows currently in its sheet, by relation ID.
+ *
+ * @param {Array<Array<any>>} existingRows The unformatted values in the sheet (dates as serial numbers), including the header row.
+ * @param {Array<Array<any>>} rows The new rows of the relation, including the header row.
+ * @param {number} idIndex The index of the ID column, negative if the relation has none.
+ * @param {number} timeZoneOffsetMillies The time zone offset of the spreadsheet, to compare dates.
+ *
+ * @return {Object} The differences: rewrite (true if the sheet must be rewritten in full), changed (cells with rowIndex,
+ *                  columnIndex and new value), changedRowCount, added (new rows) and removed (indexes of existing rows).
+ */
+function diffRelationRows_(existingRows, rows, idIndex, timeZoneOffsetMillies) {
+
+    const diff = {rewrite: false, changed: [], changedRowCount: 0, added: [], removed: []};
+
+    const header = rows[0] || [];
+    const existingHeader = existingRows[0] || [];
+    if (idIndex < 0 || !existingRows.length || header.length !== existingHeader.length
+        || header.some((title, i) => title !== existingHeader[i])) {
+        diff.rewrite = true;
+        diff.added = rows.slice(1);
+        diff.removed = existingRows.slice(1).map((row, i) => i + 1);
+        return diff;
+    }
+
+    const isEmpty = value => value === undefined || value === null || value === '';
+
+    const existingIndexById = {};
+    for (let i = 1; i < existingRows.length; ++i) {
+        const id = existingRows[i][idIndex];
+        if (isEmpty(id) || existingIndexById['' + id] !== undefined) {
+            diff.removed.push(i);
+        } else {
+            existingIndexById['' + id] = i;
+        }
+    }
+
+    for (const row of rows.slice(1)) {
+        const id = '' + row[idIndex];
+        const rowIndex = existingIndexById[id];
+        if (rowIndex === undefined) {
+            diff.added.push(row);
+            continue;
+        }
+        delete existingIndexById[id];
+
+        const existingRow = existingRows[rowIndex];
+        const changedCells = row
+            .map((value, columnIndex) => ({rowIndex: rowIndex, columnIndex: columnIndex, value: value}))
+            .filter(cell => !isSameCellValue_(existingRow[cell.columnIndex], cell.value, timeZoneOffsetMillies));
+        if (changedCells.length) {
+            diff.changed.push(...changedCells);
+            ++diff.changedRowCount;
+        }
+    }
+
+    // existing rows not matched by any new row belong to deleted items
+    diff.removed.push(...Object.values(existingIndexById));
+    diff.removed.sort((a, b) => a - b);
+
+    return diff;
+}
+
+
+/** Detect attribute changes of the items of a relation, comparing the new rows to the rows in its sheet by ID and column title.
+ *
+ * Items and columns not in the sheet yet are not considered changes.
+ *
+ * @return {Array<Array<any>>} The change log rows (see CHANGE_LOG_COLUMNS).
+ */
+function detectAttributeChanges_(relType, existingRows, rows, idIndex, timeZoneOffsetMillies, detectedAt) {
+
+    const header = rows[0] || [];
+    const existingHeader = existingRows[0] || [];
+    const existingIdIndex = idIndex >= 0 ? existingHeader.indexOf(header[idIndex]) : -1;
+    if (existingIdIndex < 0) {
+        return [];
+    }
+
+    const existingRowsById = {};
+    for (const existingRow of existingRows.slice(1)) {
+        existingRowsById['' + existingRow[existingIdIndex]] = existingRow;
+    }
+
+    const changeLogRows = [];
+    for (const row of rows.slice(1)) {
+        const existingRow = existingRowsById['' + row[idIndex]];
+        if (!existingRow) {
+            continue;
+        }
+
+        header.forEach((title, columnIndex) => {
+            const existingColumnIndex = existingHeader.indexOf(title);
+            const value = row[columnIndex];
+            const existingValue = existingColumnIndex >= 0 ? existingRow[existingColumnIndex] : undefined;
+            if (existingColumnIndex < 0 || isSameCellValue_(existingValue, value, timeZoneOffsetMillies)) {
+                return;
+            }
+
+            // dates are read from the sheet as serial numbers
+            const oldValue = value instanceof Date && typeof existingValue === 'number'
+                ? SheetUtil.serialDateTimeToDate(existingValue, timeZoneOffsetMillies)
+                : existingValue;
+            changeLogRows.push([relType, row[idIndex], title, oldValue ?? '', value ?? '', detectedAt]);
+        });
+    }
+
+    return changeLogRows;
+}
+
+
+/** Create the request appending rows to the change log sheet (created with header row if missing). */
+function createChangeLogRequest_(spreadsheetId, changeLogRows) {
+
+    const spreadsheet = getSpreadsheet_(spreadsheetId);
+    const sheetId = ensureSheet_(spreadsheet, CHANGE_LOG_SHEET_NAME).properties.sheetId;
+    const timeZoneOffsetMillies = SheetUtil.getTimeZoneOffset(spreadsheet.properties.timeZone);
+    const rows = getSheetValues_(spreadsheetId, CHANGE_LOG_SHEET_NAME, 'A1:A1').length
+        ? changeLogRows
+        : [CHANGE_LOG_COLUMNS].concat(changeLogRows);
+
+    return {
+        appendCells: {
+            sheetId: sheetId,
+            fields: 'userEnteredValue,userEnteredFormat.numberFormat',
+            rows: rows.map(row => ({
+                values: row.map(v => ({
+                    userEnteredValue: SheetUtil.toExtendedValue(v, timeZoneOffsetMillies),
+                    userEnteredFormat: SheetUtil.toDefaultCellFormat(v)
+                }))
+            }))
+        }
+    };
+}
+
+
+/** Check if the unformatted value of a cell (dates as serial numbers) equals the value to write. */
+function isSameCellValue_(cellValue, value, timeZoneOffsetMillies) {
+    const isEmpty = v => v === undefined || v === null || v === '';
+
+    const extendedValue = SheetUtil.toExtendedValue(value, timeZoneOffsetMillies);
+    const newValue = extendedValue.stringValue ?? extendedValue.numberValue ?? extendedValue.boolValue;
+    if (isEmpty(cellValue) || isEmpty(newValue)) {
+        return isEmpty(cellValue) && isEmpty(newValue);
+    }
+    if (typeof cellValue === 'number' && typeof newValue === 'number') {
+        // serial date times are fractional days
+        return Math.abs(cellValue - newValue) < 1e-6;
+    }
+    return cellValue === newValue;
+}
+
+
+/** Get the unformatted values of a sheet (dates as serial numbers) or a range of it (ie. "A1:B2"), empty if there are no values. */
+function getSheetValues_(spreadsheetId, sheetTitle, range = undefined) {
+    const values = Sheets.Spreadsheets.Values.get(spreadsheetId, `'${sheetTitle.replaceAll("'", "''")}'` + (range ? '!' + range : ''), {
+        valueRenderOption: 'UNFORMATTED_VALUE',
+        dateTimeRenderOption: 'SERIAL_NUMBER'
+    });
+    return values?.values || [];
 }
 
 
@@ -497,8 +1111,8 @@ function getSpreadsheet_(id) {
 }
 
 
-/** Creates a "custom" sheet with the specified name (if it doesn't exist) and returns the sheet properties. */
-function ensureSheet_(spreadsheet, sheetTitle) {
+/** Creates a "custom" sheet with the specified name (if it doesn't exist, optionally hidden) and returns the sheet properties. */
+function ensureSheet_(spreadsheet, sheetTitle, hidden = false) {
 
     const existingSheet = spreadsheet.sheets.find(sheet => sheet.properties.title === sheetTitle);
     if (existingSheet) {
@@ -509,7 +1123,8 @@ function ensureSheet_(spreadsheet, sheetTitle) {
         requests: [{
             addSheet: {
                 properties: {
-                    title: sheetTitle
+                    title: sheetTitle,
+                    hidden: hidden
                 }
             }
         }]
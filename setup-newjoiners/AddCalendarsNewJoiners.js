@@ -130,18 +130,19 @@ async function subscribeUserCalendars_(serviceAccountCredentials, primaryEmail,
     const calendarList = await CalendarListClient.withImpersonatingService(serviceAccountCredentials, primaryEmail);
 
     const existingCalendars = await calendarList.list();
-    for (const calendarId of calendarIds) {
-        if (!existingCalendars.some(calendar => calendar.id === calendarId)) {
-            // continue operating if adding a single calendar fails
-            try {
-                const newItem = await calendarList.insert({id: calendarId});
-                existingCalendars.push(newItem); // to handle duplicates in calendarIds
-                Logger.log('Added calendar %s to user %s', calendarId, primaryEmail);
-            } catch (e) {
-                Logger.log('Failed to add calendar %s to user %s: %s', calendarId, primaryEmail, e.message);
-            }
+    const missingCalendarIds = calendarIds
+        .filter((calendarId, index) => calendarIds.indexOf(calendarId) === index) // to handle duplicates in calendarIds
+        .filter(calendarId => !existingCalendars.some(calendar => calendar.id === calendarId));
+
+    // continue operating if adding a single calendar fails
+    const results = await calendarList.batchInsert(missingCalendarIds.map(calendarId => ({id: calendarId})));
+    results.forEach((result, index) => {
+        if (result.error) {
+            Logger.log('Failed to add calendar %s to user %s: %s', missingCalendarIds[index], primaryEmail, result.error.message);
+        } else {
+            Logger.log('Added calendar %s to user %s', missingCalendarIds[index], primaryEmail);
         }
-    }
+    });
 }
 
 
@@ -151,17 +152,19 @@ async function unsubscribeUserCalendars_(serviceAccountCredentials, primaryEmail
     const calendarList = await CalendarListClient.withImpersonatingService(serviceAccountCredentials, primaryEmail);
 
     const existingCalendars = await calendarList.list();
-    for (const calendarId of calendarIds) {
-        if (existingCalendars.some(calendar => calendar.id === calendarId)) {
-            // continue operating if removing a single calendar fails
-            try {
-                await calendarList.delete(calendarId);
-                Logger.log('Removed calendar %s from user %s', calendarId, primaryEmail);
-            } catch (e) {
-                Logger.log('Failed to remove calendar %s from user %s: %s', calendarId, primaryEmail, e.message);
-            }
+    const subscribedCalendarIds = calendarIds
+        .filter((calendarId, index) => calendarIds.indexOf(calendarId) === index)
+        .filter(calendarId => existingCalendars.some(calendar => calendar.id === calendarId));
+
+    // continue operating if removing a single calendar fails
+    const results = await calendarList.batchDelete(subscribedCalendarIds);
+    results.forEach((result, index) => {
+        if (result.error) {
+            Logger.log('Failed to remove calendar %s from user %s: %s', subscribedCalendarIds[index], primaryEmail, result.error.message);
+        } else {
+            Logger.log('Removed calendar %s from user %s', subscribedCalendarIds[index], primaryEmail);
         }
-    }
+    });
 }
 
 
@@ -33,6 +33,21 @@ const EMAIL_WHITELIST_KEY = PROPERTY_PREFIX + 'emailWhiteList';
  */
 const SKIP_APPROVAL_BLACKLIST_KEY = PROPERTY_PREFIX + 'skipApprovalBlackList';
 
+/** Explicit mapping of Google Calendar events to Personio TimeOffTypes, JSON object (optional).
+ *
+ * Replaces guessing the TimeOffType by the first word of its name. The first matching rule decides, each rule may
+ * specify a case-insensitive RegExp to match the event summary (summary), the event color (colorId) and the event type
+ * (eventType) and maps to a TimeOffType ID (typeId) or excludes the event from the synchronization (skip: true).
+ * Out-of-office events without matching rule are mapped to the default TimeOffType (defaultTypeId).
+ *
+ * For example:
+ * {"rules": [{"summary": "\\bprivate\\b", "skip": true}, {"summary": "^(sick|ill)\\b", "typeId": 123}, {"colorId": "11", "typeId": 124}],
+ *  "defaultTypeId": 125}
+ *
+ * The mapping is validated against the TimeOffTypes available in Personio on every run.
+ */
+const TIME_OFF_TYPE_MAPPING_KEY = PROPERTY_PREFIX + 'timeOffTypeMapping';
+
 /** Lookahead days for event/time-off synchronization.
  *
  * Default: 6 * 30 days, should scale up to ~18 months
@@ -54,9 +69,11 @@ const LOOKBACK_DAYS_KEY = PROPERTY_PREFIX + 'lookbackDays';
  *
  * There are ways to handle this situation:
  *    - increase MAX_SYNC_FAIL_COUNT by 1 (so one more retry is allowed)
- *    - reset fail count for the affected events (using scripting here or some tool)
+ *    - reset fail count for the affected events (see listStuckSyncs() and resetStuckSyncs())
  *    - delete the Gcal events and create new ones (failCount: 0)
  *    - ignore the situation (it's just a few events)
+ *
+ * The same limit applies to the number of failed actions per account and run.
  */
 const MAX_SYNC_FAIL_COUNT_KEY = PROPERTY_PREFIX + 'maxSyncFailCount';
 
@@ -73,6 +90,76 @@ const MAX_SYNC_FAIL_COUNT_KEY = PROPERTY_PREFIX + 'maxSyncFailCount';
  */
 const PREFER_BULK_REQUESTS = PROPERTY_PREFIX + 'preferBulkRequests';
 
+/** Enable plan mode for the periodic synchronization.
+ *
+ * In plan mode the full reconciliation is performed, but instead of changing Personio or Google Calendar
+ * every intended action is recorded to the plan sheet (or the log, if no plan sheet is configured).
+ *
+ * The value can be true or false (default).
+ */
+const PLAN_MODE_KEY = PROPERTY_PREFIX + 'planMode';
+
+/** ID of the spreadsheet to write the planned actions to (optional, actions are logged if not set). */
+const PLAN_SHEET_KEY = PROPERTY_PREFIX + 'planSheet';
+
+/** Name of the sheet (inside the plan spreadsheet) receiving the planned actions. */
+const PLAN_SHEET_NAME = 'SyncPlan';
+
+/** ID of the spreadsheet to append the sync journal to (optional, actions are only logged if not set). */
+const JOURNAL_SHEET_KEY = PROPERTY_PREFIX + 'journalSheet';
+
+/** Name of the sheet (inside the journal spreadsheet) receiving the journal entries. */
+const JOURNAL_SHEET_NAME = 'SyncJournal';
+
+/** Slack App bot token to notify employees about failed synchronizations via direct message (optional).
+ *  Required scopes: chat:write, im:write, users:read, users:read.email
+ */
+const SLACK_BOT_TOKEN_KEY = PROPERTY_PREFIX + 'slackBotToken';
+
+/** Shared team absence calendars, JSON object mapping Personio department or team names to Google Calendar IDs (optional).
+ *
+ * For example: {"Engineering": "c_123...@group.calendar.google.com", "Team Rocket": "c_456...@group.calendar.google.com"}
+ */
+const TEAM_CALENDARS_KEY = PROPERTY_PREFIX + 'teamCalendars';
+
+/** Email of the account owning (or allowed to edit) the team absence calendars, used for impersonation. */
+const TEAM_CALENDARS_OWNER_KEY = PROPERTY_PREFIX + 'teamCalendarsOwner';
+
+/** Working hours used to map partial-day out-of-office events onto whole/half-day time-offs (optional).
+ *
+ * Either a single range like "09:00-17:00" or a JSON object with ranges by employee email and a "default" range,
+ * for example: {"default": "09:00-17:00", "jane@example.com": "07:30-15:30"}
+ *
+ * NOTE: The Google Calendar API doesn't expose the working hours configured in the users' calendar settings,
+ *       thus they have to be configured here. If not configured, days are split at 12:00 (as before).
+ */
+const WORKING_HOURS_KEY = PROPERTY_PREFIX + 'workingHours';
+
+/** Home time-zones of employees by Personio office name, JSON object (optional).
+ *
+ * For example: {"Berlin": "Europe/Berlin", "Remote US": "America/New_York"}
+ *
+ * Out-of-office events are converted to the wall-clock time of the employee's home time-zone, no matter in which time-zone
+ * they were created (ie. while travelling). Employees without a configured office use the time-zone of their primary
+ * calendar (calendar settings), the events' own time-zones are used as a last resort.
+ */
+const OFFICE_TIME_ZONES_KEY = PROPERTY_PREFIX + 'officeTimeZones';
+
+/** Summary prefix of events synchronized from time-offs pending approval in Personio. */
+const PENDING_EVENT_SUMMARY_PREFIX = '[pending] ';
+
+/** Actions whose failures are reported to the affected employee (failures caused by the employee's calendar events). */
+const NOTIFIED_SYNC_ACTIONS = ['insertTimeOff', 'updateTimeOff'];
+
+/** The property holding the email of the account synchronized last, next runs resume after it (managed by the script). */
+const SYNC_CURSOR_KEY = PROPERTY_PREFIX + 'syncCursor';
+
+/** Like SYNC_CURSOR_KEY, but for plan runs (so planning doesn't skip accounts in the synchronization). */
+const PLAN_CURSOR_KEY = PROPERTY_PREFIX + 'planCursor';
+
+/** The prefix for the properties holding the failed synchronizations per account (suffix is the email). */
+const FAILED_SYNCS_KEY_PREFIX = PROPERTY_PREFIX + 'failedSyncs.';
+
 /** The trigger handler function to call in time based triggers. */
 const TRIGGER_HANDLER_FUNCTION = 'syncTimeOffs';
 
@@ -82,6 +169,12 @@ const SYNC_FAIL_UPDATED_DEAD_ZONE = 30 * 1000; // 30s
 /** Do not touch failed events too often, otherwise we may exceed our quotas. */
 const MAX_SYNC_FAIL_DELAY = 60 * 60 * 1000; // 1h
 
+/** Maximum length of error messages remembered for failed synchronizations (script property size is limited). */
+const MAX_SYNC_FAIL_MESSAGE_LENGTH = 200;
+
+/** Maximum length of error messages written to the sync journal (Sheets cell size is limited). */
+const MAX_JOURNAL_MESSAGE_LENGTH = 5000;
+
 
 /** Main entry point.
  *
@@ -111,6 +204,29 @@ const MAX_SYNC_FAIL_DELAY = 60 * 60 * 1000; // 1h
  *   https://www.googleapis.com/auth/calendar
  */
 async function syncTimeOffs() {
+    return await syncAllTimeOffs_(isPlanModeEnabled_() ? new SyncPlan() : undefined);
+}
+
+
+/** Plan synchronization without changing anything in Personio or Google Calendar.
+ *
+ * Runs the same reconciliation as syncTimeOffs(), but records all actions that would be performed
+ * into the sheet "SyncPlan" of the spreadsheet configured at SyncTimeOffs.planSheet (or logs them as JSON).
+ *
+ * This allows reviewing the effects of widening SyncTimeOffs.emailWhiteList before enabling real writes.
+ *
+ * Usage: clasp run 'planTimeOffs'
+ */
+async function planTimeOffs() {
+    return await syncAllTimeOffs_(new SyncPlan());
+}
+
+
+/** Synchronize (or plan synchronization of) TimeOffs for all configured accounts.
+ *
+ * @param {SyncPlan} plan If specified, record actions to this plan instead of executing them.
+ */
+async function syncAllTimeOffs_(plan) {
 
     const scriptLock = LockService.getScriptLock();
     if (!scriptLock.tryLock(5000)) {
@@ -126,6 +242,9 @@ async function syncTimeOffs() {
         && allowedDomains.includes(email.substring(email.lastIndexOf('@') + 1));
 
     Logger.log('Configured to handle accounts %s on domains %s', emailWhiteList.length ? emailWhiteList : '', allowedDomains);
+    if (plan) {
+        Logger.log('Plan mode enabled, no changes will be made to Personio or Google Calendar');
+    }
 
     // all timing related activities are relative to this EPOCH
     const epoch = new Date();
@@ -136,11 +255,14 @@ async function syncTimeOffs() {
     const lookaheadMillies = Math.round(getLookaheadDays_() * 24 * 60 * 60 * 1000);
     // how many Personio action retries per event?
     const maxFailCount = getMaxSyncFailCount_();
+    // partial days are mapped according to the working hours (validated up front)
+    const workingHours = getWorkingHours_();
 
     // after how many milliseconds should this script stop by itself (to avoid forced termination/unclean state)?
-    // 4:50 minutes (hard AppsScript kill comes at 6:00 minutes)
-    // stay under 5 min. to ensure termination before the next instances starts if operating at 5 min. job delay
-    const maxRuntimeMillies = Math.round(290 * 1000);
+    const maxRuntimeMillies = JOB_RUNNER_DEFAULT_MAX_RUNTIME_MILLIES;
+
+    // accounts are processed in order of email, resuming after the account synchronized last
+    const job = new JobRunner(plan ? PLAN_CURSOR_KEY : SYNC_CURSOR_KEY, maxRuntimeMillies, epoch);
 
     const fetchTimeMin = Util.addDateMillies(new Date(epoch), lookbackMillies);
     fetchTimeMin.setUTCHours(0, 0, 0, 0); // round down to start of day
@@ -151,43 +273,77 @@ async function syncTimeOffs() {
     const personio = PersonioClientV1.withApiCredentials(personioCreds.clientId, personioCreds.clientSecret);
 
     // load timeOffTypeConfig
-    const timeOffTypeConfig = new TimeOffTypeConfig(await personio.getPersonioJson('/company/time-off-types'), getSkipApprovalBlackList_());
+    const timeOffTypeConfig = new TimeOffTypeConfig(await personio.getPersonioJson('/company/time-off-types'), getSkipApprovalBlackList_(),
+        getTimeOffTypeMapping_());
 
     // load and prepare list of employees to process
-    const employees = await personio.getPersonioJson('/company/employees').filter(employee =>
+    const employees = (await personio.getPersonioJson('/company/employees')).filter(employee =>
         employee.attributes.status.value !== 'inactive' && isEmailAllowed(employee.attributes.email.value)
     );
-    Util.shuffleArray(employees);
 
     // if bulk requests are preferred, prefetch all Personio time-offs
     const allTimeOffs = isPreferBulkRequestsEnabled_()
-        ? await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, undefined)
+        ? await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, undefined, timeOffTypeConfig)
         : undefined;
 
     Logger.log('Syncing events between %s and %s for %s accounts', fetchTimeMin.toISOString(), fetchTimeMax.toISOString(), '' + employees.length);
 
+    const slackBotToken = getScriptProperties_().getProperty(SLACK_BOT_TOKEN_KEY);
+    const journal = new SyncJournal(maxFailCount, slackBotToken ? new SlackWebClient(slackBotToken) : undefined);
+
     let firstError = null;
+
     let processedCount = 0;
-    for (const employee of employees) {
+    const isJobCompleted = await job.run(employees, employee => employee.attributes.email.value, async employee => {
 
         const email = employee.attributes.email.value;
 
         // we keep operating if handling calendar of a single user fails
         try {
             const calendar = await CalendarClient.withImpersonatingService(getServiceAccountCredentials_(), email);
-            const isCompleted = await syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeConfig, fetchTimeMin, fetchTimeMax, maxFailCount, maxRuntimeMillies, allTimeOffs);
+            const isCompleted = await syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeConfig, fetchTimeMin, fetchTimeMax, maxFailCount, maxRuntimeMillies, allTimeOffs, plan, journal, workingHours);
             if (!isCompleted) {
-                break;
+                return false;
             }
         } catch (e) {
             Logger.log('Failed to sync time-offs/out-of-offices of user %s: %s', email, e);
             firstError = firstError || e;
         }
         ++processedCount;
-    }
+        return true;
+    });
 
     Logger.log('Completed synchronization for %s of %s accounts', '' + processedCount, '' + employees.length);
 
+    // shared team calendars are reconciled as a whole, with the runtime left by the personal calendars
+    const teamCalendars = getTeamCalendars_();
+    if (Object.keys(teamCalendars).length) {
+        try {
+            const teamTimeOffs = allTimeOffs || await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, undefined, timeOffTypeConfig);
+            await syncTeamCalendars_(employees, teamTimeOffs, teamCalendars, fetchTimeMin, fetchTimeMax, job.getDeadline(), plan, journal);
+        } catch (e) {
+            Logger.log('Failed to sync team calendars: %s', e);
+            firstError = firstError || e;
+        }
+    }
+
+    if (plan) {
+        try {
+            plan.write(getScriptProperties_().getProperty(PLAN_SHEET_KEY), epoch,
+                `${processedCount} of ${employees.length} accounts${isJobCompleted ? '' : ' (continued in next run)'}`);
+        } catch (e) {
+            Logger.log('Failed to write planned actions: %s', e);
+            firstError = firstError || e;
+        }
+    } else {
+        try {
+            journal.write(getScriptProperties_().getProperty(JOURNAL_SHEET_KEY));
+        } catch (e) {
+            Logger.log('Failed to write sync journal: %s', e);
+            firstError = firstError || e;
+        }
+    }
+
     // for completeness, also automatically released at exit
     scriptLock.releaseLock();
 
@@ -270,7 +426,7 @@ async function recoverEvents_(title, email, updateDateMin, updateDateMax) {
     const personio = PersonioClientV1.withApiCredentials(personioCreds.clientId, personioCreds.clientSecret);
 
     // load and prepare list of employees to process
-    const employees = await personio.getPersonioJson('/company/employees').filter(employee =>
+    const employees = (await personio.getPersonioJson('/company/employees')).filter(employee =>
         employee.attributes.status.value !== 'inactive' && isEmailAllowed(employee.attributes.email.value)
     );
     Util.shuffleArray(employees);
@@ -400,8 +556,12 @@ async function unsyncTimeOffs_(title, email, deleteConfig) {
     const personioCreds = getPersonioCreds_();
     const personio = PersonioClientV1.withApiCredentials(personioCreds.clientId, personioCreds.clientSecret);
 
+    // load timeOffTypeConfig (to include hourly absences)
+    const timeOffTypeConfig = new TimeOffTypeConfig(await personio.getPersonioJson('/company/time-off-types'), getSkipApprovalBlackList_(),
+        getTimeOffTypeMapping_());
+
     // load and prepare list of employees to process
-    const employees = await personio.getPersonioJson('/company/employees').filter(employee =>
+    const employees = (await personio.getPersonioJson('/company/employees')).filter(employee =>
         employee.attributes.status.value !== 'inactive' && isEmailAllowed(employee.attributes.email.value)
     );
     Util.shuffleArray(employees);
@@ -426,7 +586,7 @@ async function unsyncTimeOffs_(title, email, deleteConfig) {
                 return false;
             }
 
-            const timeOffs = deleteConfig ? (await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, employeeId)) : {};
+            const timeOffs = deleteConfig ? (await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, employeeId, timeOffTypeConfig)) : {};
             now = Date.now();
             if (now >= deadlineTs) {
                 return false;
@@ -434,7 +594,7 @@ async function unsyncTimeOffs_(title, email, deleteConfig) {
 
             const allEvents = await queryCalendarEvents_(calendar, 'primary', fetchTimeMin, fetchTimeMax);
             for (const event of allEvents) {
-                const timeOffId = +event.extendedProperties?.private?.timeOffId;
+                const timeOffId = event.extendedProperties?.private?.timeOffId;
                 if (timeOffId && (event.summary || '').includes(title)) {
                     let now = Date.now();
                     if (now >= deadlineTs) {
@@ -447,7 +607,8 @@ async function unsyncTimeOffs_(title, email, deleteConfig) {
                     }
 
                     try {
-                        await deletePersonioTimeOff_(personio, {id: timeOffId});
+                        // hourly absences have non-numeric IDs
+                        await deletePersonioTimeOff_(personio, Number.isNaN(+timeOffId) ? {id: timeOffId, isHourly: true} : {id: +timeOffId});
                     } catch (e) {
                         Logger.log('Failed to remove time-off for de-synced event of user %s: %s', email, e);
                     }
@@ -550,6 +711,76 @@ function whiteListTeam(teams) {
 }
 
 
+/** List failed synchronizations of an account (or all accounts), including those that are stuck.
+ *
+ * A synchronization is stuck if it failed SyncTimeOffs.maxSyncFailCount times and the event/time-off
+ * wasn't changed since. Stuck synchronizations are not retried until reset (see resetStuckSyncs()).
+ *
+ * Usage: clasp run 'listStuckSyncs' --params '["jonas@giantswarm.io"]'
+ *
+ * @param {string} email (optional) The email of the account, all accounts are listed if not specified.
+ *
+ * @return {Array<Object>} The failed synchronizations, with fields email, key, updatedAt, retries, failedAt, error, stuck.
+ */
+function listStuckSyncs(email) {
+    const maxFailCount = getMaxSyncFailCount_();
+    const properties = getScriptProperties_().getProperties() || {};
+    const result = [];
+    for (const key in properties) {
+        if (!key.startsWith(FAILED_SYNCS_KEY_PREFIX)) {
+            continue;
+        }
+
+        const accountEmail = key.substring(FAILED_SYNCS_KEY_PREFIX.length);
+        if (email && accountEmail !== email) {
+            continue;
+        }
+
+        const failedSyncs = JSON.parse(properties[key] || '{}');
+        for (const [syncKey, failure] of Object.entries(failedSyncs)) {
+            result.push({
+                email: accountEmail,
+                key: syncKey,
+                updatedAt: new Date(failure.updatedAt).toISOString(),
+                retries: failure.retries,
+                failedAt: new Date(failure.failedAt).toISOString(),
+                error: failure.error,
+                stuck: failure.retries >= maxFailCount
+            });
+        }
+    }
+
+    Logger.log('Found %s failed synchronizations: %s', '' + result.length, JSON.stringify(result));
+    return result;
+}
+
+
+/** Reset failed synchronizations of an account, so they are retried during the next run.
+ *
+ * Usage: clasp run 'resetStuckSyncs' --params '["jonas@giantswarm.io"]'
+ *
+ * @param {string} email The email of the account.
+ * @param {string} key (optional) Reset only this synchronization (as returned by listStuckSyncs()), instead of all.
+ */
+function resetStuckSyncs(email, key) {
+    if (!email) {
+        throw new Error('No email specified');
+    }
+
+    const failedSyncs = getFailedSyncs_(email);
+    if (key) {
+        delete failedSyncs[key];
+    } else {
+        for (const syncKey of Object.keys(failedSyncs)) {
+            delete failedSyncs[syncKey];
+        }
+    }
+
+    putFailedSyncs_(email, failedSyncs);
+    Logger.log('Reset %s failed synchronizations for user %s', key ? key : 'all', email);
+}
+
+
 /** Get script properties. */
 function getScriptProperties_() {
     const scriptProperties = PropertiesService.getScriptProperties();
@@ -579,6 +810,81 @@ function getEmailWhiteList_() {
 }
 
 
+/** Get the team absence calendars by Personio department/team name (optional, empty if not configured). */
+function getTeamCalendars_() {
+    const teamCalendars = getScriptProperties_().getProperty(TEAM_CALENDARS_KEY);
+    return teamCalendars ? JSON.parse(teamCalendars) : {};
+}
+
+
+/** Get the email of the account to impersonate for updating team calendars. */
+function getTeamCalendarsOwner_() {
+    const owner = (getScriptProperties_().getProperty(TEAM_CALENDARS_OWNER_KEY) || '').trim();
+    if (!owner) {
+        throw new Error("No team calendars owner at script property " + TEAM_CALENDARS_OWNER_KEY);
+    }
+
+    return owner;
+}
+
+
+/** Get the working hours by employee email (key "default" for all others) as fractional hours (ie. {start: 9, end: 17.5}).
+ *
+ * All configured ranges are validated, so invalid ones are reported once per run (instead of per event).
+ *
+ * @return {Object} The working hours by email, empty if not configured.
+ */
+function getWorkingHours_() {
+    const value = (getScriptProperties_().getProperty(WORKING_HOURS_KEY) || '').trim();
+    let rangesByEmail;
+    try {
+        rangesByEmail = value.startsWith('{') ? JSON.parse(value) : {default: value};
+    } catch (e) {
+        throw new Error(`Invalid JSON at script property ${WORKING_HOURS_KEY}: ${e.message}`);
+    }
+
+    const workingHours = {};
+    for (const [email, rawRange] of Object.entries(rangesByEmail)) {
+        const range = ('' + (rawRange || '')).trim();
+        if (!range) {
+            continue;
+        }
+
+        const match = range.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        const start = match ? +match[1] + match[2] / 60 : NaN;
+        const end = match ? +match[3] + match[4] / 60 : NaN;
+        if (!(start >= 0 && end <= 24 && start < end)) {
+            throw new Error(`Invalid working hours "${range}" at script property ${WORKING_HOURS_KEY}`);
+        }
+        workingHours[email] = {start: start, end: end};
+    }
+
+    return workingHours;
+}
+
+
+/** Get the home time-zones by Personio office name (optional, empty if not configured). */
+function getOfficeTimeZones_() {
+    const officeTimeZones = getScriptProperties_().getProperty(OFFICE_TIME_ZONES_KEY);
+    return officeTimeZones ? JSON.parse(officeTimeZones) : {};
+}
+
+
+/** Get the mapping of events to TimeOffTypes (optional, undefined if not configured). */
+function getTimeOffTypeMapping_() {
+    const mapping = (getScriptProperties_().getProperty(TIME_OFF_TYPE_MAPPING_KEY) || '').trim();
+    if (!mapping) {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(mapping);
+    } catch (e) {
+        throw new Error(`Invalid JSON at script property ${TIME_OFF_TYPE_MAPPING_KEY}: ${e.message}`);
+    }
+}
+
+
 /** Get the TimeOffType keyword skip approval black-list (optional, leave empty to skip approval for all types). */
 function getSkipApprovalBlackList_() {
     return (getScriptProperties_().getProperty(SKIP_APPROVAL_BLACKLIST_KEY) || '').trim()
@@ -632,6 +938,13 @@ function isPreferBulkRequestsEnabled_() {
 }
 
 
+/** Get the "planMode" flag. */
+function isPlanModeEnabled_() {
+    const value = (getScriptProperties_().getProperty(PLAN_MODE_KEY) || '').trim().toLowerCase();
+    return value === 'true' || value === '1' || value === 'on' || value === 'yes';
+}
+
+
 /** Get the Personio token. */
 function getPersonioCreds_() {
     const credentialFields = (getScriptProperties_().getProperty(PERSONIO_TOKEN_KEY) || '|')
@@ -642,9 +955,17 @@ function getPersonioCreds_() {
 }
 
 
-/** Small wrapper over a list of TimeOffType objects (for caching patterns). */
+/** Small wrapper over a list of TimeOffType objects (for caching patterns) and the mapping of events to them. */
 class TimeOffTypeConfig {
-    constructor(timeOffTypes, skipApprovalBlackList) {
+
+    /** Construct the config, validating the mapping against the TimeOffTypes.
+     *
+     * @param {Array<Object>} timeOffTypes The TimeOffTypes in Personio API format.
+     * @param {Array<string>} skipApprovalBlackList Lower-case keywords of TimeOffTypes requiring approval.
+     * @param {Object} mapping The explicit mapping of events to TimeOffTypes (see TIME_OFF_TYPE_MAPPING_KEY), the
+     *                         TimeOffTypes are guessed by keyword if undefined.
+     */
+    constructor(timeOffTypes, skipApprovalBlackList, mapping) {
 
         this.timeOffTypes = timeOffTypes;
 
@@ -662,6 +983,78 @@ class TimeOffTypeConfig {
         }
         this.pattern = pattern;
         this.skipApprovalBlackList = skipApprovalBlackList || [];
+        this.mapping = mapping ? this.validateMapping_(mapping) : undefined;
+    }
+
+    /** Check the mapping for unknown TimeOffTypes and invalid rules, returns the mapping with compiled RegExps. */
+    validateMapping_(mapping) {
+        const errors = [];
+        const checkTypeId = (typeId, name) => {
+            if (!this.findById(typeId)) {
+                errors.push(`${name} ${JSON.stringify(typeId)} is not a Personio time-off type`);
+            }
+        };
+
+        const rules = (Array.isArray(mapping.rules) ? mapping.rules : []).map((rule, index) => {
+            const name = `rule ${index + 1}`;
+            if (rule.summary == null && rule.colorId == null && rule.eventType == null) {
+                errors.push(`${name} has no condition (summary, colorId or eventType)`);
+            }
+            if (rule.skip === true ? rule.typeId != null : rule.typeId == null) {
+                errors.push(`${name} must either specify typeId or skip: true`);
+            } else if (rule.typeId != null) {
+                checkTypeId(rule.typeId, `typeId of ${name}`);
+            }
+
+            let summaryPattern = undefined;
+            try {
+                summaryPattern = rule.summary != null ? new RegExp(rule.summary, 'i') : undefined;
+            } catch (e) {
+                errors.push(`summary of ${name} is not a valid RegExp: ${e.message}`);
+            }
+
+            return {...rule, summaryPattern: summaryPattern};
+        });
+
+        if (mapping.rules != null && !Array.isArray(mapping.rules)) {
+            errors.push('rules must be an array');
+        }
+        if (mapping.defaultTypeId != null) {
+            checkTypeId(mapping.defaultTypeId, 'defaultTypeId');
+        }
+
+        if (errors.length) {
+            throw new Error('Invalid time-off type mapping: ' + errors.join(', '));
+        }
+
+        return {rules: rules, defaultTypeId: mapping.defaultTypeId};
+    }
+
+    /** Find the first mapping rule matching the event, undefined if none matches (or there is no mapping). */
+    findRule_(event) {
+        return this.mapping?.rules.find(rule => (!rule.summaryPattern || rule.summaryPattern.test(event.summary || ''))
+            && (rule.colorId == null || String(rule.colorId) === String(event.colorId))
+            && (rule.eventType == null || rule.eventType === (event.eventType || 'default')));
+    }
+
+    /** If the event must not be synchronized (excluded by a mapping rule). */
+    isExcluded(event) {
+        return !!this.findRule_(event)?.skip;
+    }
+
+    /** Find the TimeOffType of an event by mapping rules or (without mapping) by keyword match of its summary. */
+    findByEvent(event) {
+        if (!this.mapping) {
+            return this.findByKeywordMatch(event.summary || '');
+        }
+
+        const rule = this.findRule_(event);
+        return rule && !rule.skip ? this.findById(rule.typeId) : undefined;
+    }
+
+    /** Get the TimeOffType of out-of-office events without specific TimeOffType (the type matching "out" without mapping). */
+    getDefault() {
+        return this.mapping ? this.findById(this.mapping.defaultTypeId) : this.findByKeywordMatch('out');
     }
 
     /** Returns the keyword for the specified TimeOffType name (field timeOffType.attributes.name). */
@@ -690,6 +1083,20 @@ class TimeOffTypeConfig {
         return this.timeOffTypes.find(t => t.attributes.id === id);
     }
 
+    /** If the TimeOffType is measured in hours (absences with exact start/end times instead of whole/half days).
+     *
+     * @param {number} id The ID for looking up the TimeOffType.
+     */
+    isHourly(id) {
+        const timeOffType = this.findById(id);
+        return (timeOffType?.attributes.unit || '').toLowerCase() === 'hour';
+    }
+
+    /** If any of the TimeOffTypes is measured in hours. */
+    hasHourlyTypes() {
+        return this.timeOffTypes.some(timeOffType => this.isHourly(timeOffType.attributes.id));
+    }
+
     /** If approval may be skipped for a certain TimeOffType.
      *
      * We default to skipping approvals.
@@ -706,11 +1113,266 @@ class TimeOffTypeConfig {
 }
 
 
+/** Collects the actions of a synchronization run instead of executing them (plan mode). */
+class SyncPlan {
+    constructor() {
+        this.actions = [];
+    }
+
+    /** Record an intended action.
+     *
+     * Ranges are TimeOff structures or objects with startAt/endAt members (PeopleTime or ISO8601 strings).
+     *
+     * @param {string} primaryEmail The email of the affected employee.
+     * @param {string} action The name of the planned action, for example 'insertTimeOff' or 'deleteEvent'.
+     * @param {Object} event The affected Google Calendar event, if any.
+     * @param {Object} before The range before the action, undefined if something is inserted.
+     * @param {Object} after The range after the action, undefined if something is deleted.
+     *
+     * @return {boolean} Always true, so the result can be used in place of the action's result.
+     */
+    record(primaryEmail, action, event, before, after) {
+        const formatTime = t => t instanceof PeopleTime ? t.toISOString() : (t != null ? String(t) : '');
+        this.actions.push({
+            plannedAt: new Date().toISOString(),
+            email: primaryEmail,
+            action: action,
+            eventId: event?.id || '',
+            summary: event?.summary || after?.comment || before?.comment || '',
+            timeOffId: before?.id || after?.id || '',
+            typeName: after?.typeName || before?.typeName || '',
+            beforeStart: formatTime(before?.startAt),
+            beforeEnd: formatTime(before?.endAt),
+            afterStart: formatTime(after?.startAt),
+            afterEnd: formatTime(after?.endAt)
+        });
+        Logger.log('Planned %s "%s" for user %s', action, event?.summary || after?.typeName || before?.typeName, primaryEmail);
+        return true;
+    }
+
+    /** Get the time range of a Google Calendar event, as accepted by record(). */
+    static getEventRange(event) {
+        return {
+            startAt: event.start?.dateTime || event.start?.date,
+            endAt: event.end?.dateTime || event.end?.date
+        };
+    }
+
+    /** Append the recorded actions to the plan sheet, or log them if no spreadsheet is specified.
+     *
+     * Rows are appended per run, as a plan run may be continued in the following runs (see PLAN_CURSOR_KEY).
+     * A run without planned actions is recorded as a single 'none' row, so its coverage is visible as well.
+     *
+     * @param {string} spreadsheetId ID of the target spreadsheet (optional).
+     * @param {Date} runAt The start time of the run, to tell the rows of different runs apart.
+     * @param {string} coverage Description of the accounts covered by the run, like '5 of 20 accounts'.
+     */
+    write(spreadsheetId, runAt, coverage) {
+        Logger.log('Planned %s actions', '' + this.actions.length);
+        if (!spreadsheetId) {
+            Logger.log('Planned actions: %s', JSON.stringify(this.actions));
+            return;
+        }
+
+        const header = ['Planned At', 'Email', 'Action', 'Event ID', 'Summary', 'Time-Off ID', 'Type',
+            'Before Start', 'Before End', 'After Start', 'After End', 'Run', 'Coverage'];
+        const run = runAt.toISOString();
+        const rows = this.actions.map(a => [a.plannedAt, a.email, a.action, a.eventId, a.summary, a.timeOffId, a.typeName,
+            a.beforeStart, a.beforeEnd, a.afterStart, a.afterEnd, run, coverage]);
+        if (!rows.length) {
+            rows.push([new Date().toISOString(), '', 'none', '', '', '', '', '', '', '', '', run, coverage]);
+        }
+
+        const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+        const sheet = SheetUtil.ensureSheet(spreadsheet, PLAN_SHEET_NAME);
+        sheet.getRange(1, 1, 1, header.length).setValues([header]);
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, header.length).setValues(rows);
+        Logger.log('Appended %s rows to the plan sheet', '' + rows.length);
+    }
+}
+
+
+/** Durable journal of synchronization actions and their outcome.
+ *
+ * Keeps track of failed synchronizations per account (persisted in script properties) to decide
+ * when to retry them, and collects journal entries to be appended to the journal sheet.
+ *
+ * Failed synchronizations are keyed by 'e' + event ID or 't' + time-off ID.
+ *
+ * If a Slack client is specified, employees are notified about failures of NOTIFIED_SYNC_ACTIONS via direct message,
+ * once per failed synchronization (again only if the event/time-off was changed and fails anew).
+ */
+class SyncJournal {
+    constructor(maxFailCount, slack) {
+        this.maxFailCount = maxFailCount;
+        this.slack = slack;
+        this.failedSyncs = {};
+        this.seenKeys = {};
+        this.changedAccounts = {};
+        this.pendingNotifications = {};
+        this.entries = [];
+    }
+
+    /** Load the failed synchronizations of an account (must be called before other per-account methods). */
+    load(primaryEmail) {
+        this.failedSyncs[primaryEmail] = getFailedSyncs_(primaryEmail);
+        this.seenKeys[primaryEmail] = {};
+        this.changedAccounts[primaryEmail] = false;
+    }
+
+    /** Notify the account's owner about new failures and persist the failed synchronizations, if they changed.
+     *
+     * @param {string} primaryEmail The email of the account.
+     * @param {boolean} isFullyVisited True if all events and time-offs of the account were checked (see isSkipped), failures
+     *                                 of the others are dropped then (deleted or out of the synchronized time range).
+     */
+    async save(primaryEmail, isFullyVisited = false) {
+        await this.notify_(primaryEmail);
+
+        if (isFullyVisited) {
+            const failedSyncs = this.failedSyncs[primaryEmail] || {};
+            const seenKeys = this.seenKeys[primaryEmail] || {};
+            for (const key of Object.keys(failedSyncs).filter(key => !seenKeys[key])) {
+                delete failedSyncs[key];
+                this.changedAccounts[primaryEmail] = true;
+                Logger.log('Dropped failed synchronization %s of %s, no longer synchronized', key, primaryEmail);
+            }
+        }
+
+        if (this.changedAccounts[primaryEmail]) {
+            putFailedSyncs_(primaryEmail, this.failedSyncs[primaryEmail]);
+            this.changedAccounts[primaryEmail] = false;
+        }
+    }
+
+    /** Should the synchronization for the specified key be skipped due to previous failures?
+     *
+     * Failed synchronizations are retried after MAX_SYNC_FAIL_DELAY, at most maxFailCount times,
+     * unless the event/time-off was changed in the meantime.
+     *
+     * @param {string} primaryEmail The email of the account.
+     * @param {string} key The synchronization key ('e' + event ID or 't' + time-off ID).
+     * @param {number} updatedAt The current last update timestamp (millies) of the event/time-off.
+     */
+    isSkipped(primaryEmail, key, updatedAt) {
+        (this.seenKeys[primaryEmail] || (this.seenKeys[primaryEmail] = {}))[key] = true;
+
+        const failure = (this.failedSyncs[primaryEmail] || {})[key];
+        if (!failure || failure.updatedAt !== updatedAt) {
+            return false;
+        }
+
+        return failure.retries >= this.maxFailCount || Date.now() - failure.failedAt < MAX_SYNC_FAIL_DELAY;
+    }
+
+    /** Record the outcome of a synchronization action.
+     *
+     * @param {string} primaryEmail The email of the account.
+     * @param {string} action The action name, for example 'insertTimeOff' or 'deleteEvent'.
+     * @param {Object} event The Google Calendar event the action was triggered by, if any.
+     * @param {Object} timeOff The TimeOff the action was triggered by or operated on.
+     * @param {Error} error The error, if the action failed.
+     */
+    record(primaryEmail, action, event, timeOff, error) {
+        const failedSyncs = this.failedSyncs[primaryEmail] || (this.failedSyncs[primaryEmail] = {});
+        const key = event ? 'e' + event.id : 't' + timeOff.id;
+        const updatedAt = event ? +new Date(event.updated) : +timeOff.updatedAt;
+        const previousFailure = failedSyncs[key];
+
+        let retries = 0;
+        let message = '';
+        if (error) {
+            message = String(error?.message || error);
+            const isSameFailure = previousFailure && previousFailure.updatedAt === updatedAt;
+            retries = isSameFailure ? previousFailure.retries + 1 : 1;
+            failedSyncs[key] = {
+                updatedAt: updatedAt,
+                retries: retries,
+                failedAt: Date.now(),
+                error: message.substring(0, MAX_SYNC_FAIL_MESSAGE_LENGTH),
+                notified: isSameFailure ? previousFailure.notified : undefined
+            };
+            this.changedAccounts[primaryEmail] = true;
+
+            if (this.slack && !failedSyncs[key].notified && NOTIFIED_SYNC_ACTIONS.includes(action)) {
+                const pending = this.pendingNotifications[primaryEmail] || (this.pendingNotifications[primaryEmail] = []);
+                pending.push({key: key, event: event, timeOff: timeOff, error: error});
+            }
+        } else if (previousFailure) {
+            retries = previousFailure.retries;
+            delete failedSyncs[key];
+            this.changedAccounts[primaryEmail] = true;
+        }
+
+        this.entries.push([
+            new Date().toISOString(),
+            primaryEmail,
+            action,
+            error ? 'failed' : 'ok',
+            event?.id || '',
+            timeOff?.id || '',
+            event?.summary || timeOff?.comment || '',
+            retries,
+            message.substring(0, MAX_JOURNAL_MESSAGE_LENGTH)
+        ]);
+    }
+
+    /** Send pending failure notifications of an account via Slack direct message. */
+    async notify_(primaryEmail) {
+        const pending = this.pendingNotifications[primaryEmail] || [];
+        delete this.pendingNotifications[primaryEmail];
+        if (!pending.length) {
+            return;
+        }
+
+        // we keep operating if notifying fails, the failures are reported on their next retry
+        try {
+            const slackUser = await this.slack.lookupByEmail(primaryEmail);
+            if (!slackUser) {
+                Logger.log('No Slack user found for %s, not notifying about %s failed synchronizations', primaryEmail, '' + pending.length);
+                return;
+            }
+
+            for (const {key, event, timeOff, error} of pending) {
+                await this.slack.postDirectMessage(slackUser.id, formatSyncFailureMessage_(event, timeOff, error));
+                this.failedSyncs[primaryEmail][key].notified = true;
+                this.changedAccounts[primaryEmail] = true;
+                Logger.log('Notified %s about failed synchronization of event "%s"', primaryEmail, event?.summary);
+            }
+        } catch (e) {
+            Logger.log('Failed to notify %s about failed synchronizations: %s', primaryEmail, e);
+        }
+    }
+
+    /** Append the recorded entries to the journal sheet (if a spreadsheet is specified).
+     *
+     * @param {string} spreadsheetId ID of the target spreadsheet (optional).
+     */
+    write(spreadsheetId) {
+        if (!spreadsheetId || !this.entries.length) {
+            Logger.log('Journaled %s actions', '' + this.entries.length);
+            return;
+        }
+
+        const header = ['Timestamp', 'Email', 'Action', 'Outcome', 'Event ID', 'Time-Off ID', 'Summary', 'Retries', 'Error'];
+        const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+        const sheet = SheetUtil.ensureSheet(spreadsheet, JOURNAL_SHEET_NAME);
+        if (sheet.getLastRow() < 1) {
+            sheet.getRange(1, 1, 1, header.length).setValues([header]);
+        }
+        sheet.getRange(sheet.getLastRow() + 1, 1, this.entries.length, header.length).setValues(this.entries);
+        Logger.log('Appended %s entries to the sync journal', '' + this.entries.length);
+    }
+}
+
+
 /** Subscribe a single account to all the specified calendars.
+ *
+ * If a plan is specified, actions are recorded to the plan instead of being executed.
  *
  * @returns true if the specified employees account was fully processed, false if processing was aborted early.
  */
-async function syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeConfig, fetchTimeMin, fetchTimeMax, maxFailCount, maxRuntimeMillies, allTimeOffs) {
+async function syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeConfig, fetchTimeMin, fetchTimeMax, maxFailCount, maxRuntimeMillies, allTimeOffs, plan, journal, workingHours) {
 
     // test against dead-line first
     const deadlineTs = +epoch + maxRuntimeMillies;
@@ -720,6 +1382,7 @@ async function syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeCon
     }
 
     const primaryEmail = employee.attributes.email.value;
+    const employeeWorkingHours = workingHours?.[primaryEmail] || workingHours?.default;
 
     // We ignore working on events/time-offs that were updated too recently
     const updateDeadZoneMillies = 120 * 1000; // 120 seconds, to avoid races and workaround lack of transactions
@@ -727,156 +1390,367 @@ async function syncTimeOffs_(personio, calendar, employee, epoch, timeOffTypeCon
 
     // load or filter timeOffs indexed by ID
     const employeeId = employee.attributes.id.value;
-    const timeOffs = Util.isObject(allTimeOffs) ? allTimeOffs : await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, employeeId);
+    const timeZone = await getEmployeeTimeZone_(calendar, employee);
+    const timeOffs = localizeTimeOffs_(Util.isObject(allTimeOffs) ? allTimeOffs
+        : await queryPersonioTimeOffs_(personio, fetchTimeMin, fetchTimeMax, employeeId, timeOffTypeConfig), employeeId, timeZone);
 
-    const failedSyncs = getFailedSyncs_(primaryEmail);
+    journal.load(primaryEmail);
 
-    const allEvents = await queryCalendarEvents_(calendar, 'primary', fetchTimeMin, fetchTimeMax);
-    Util.shuffleArray(allEvents);
+    // the failures are persisted even if processing fails or is stopped early (plans skip the same ones, but keep them as is)
+    let isFullyVisited = false;
+    try {
+        const allEvents = await queryCalendarEvents_(calendar, 'primary', fetchTimeMin, fetchTimeMax);
+        Util.shuffleArray(allEvents);
 
-    let failCount = 0;
-    const processedTimeOffIds = {};
-    for (const event of allEvents) {
+        let failCount = 0;
+        const processedTimeOffIds = {};
+        for (const event of allEvents) {
 
-        if (now >= deadlineTs) {
-            if (failCount > 0) {
-                putFailedSyncs_(primaryEmail, failedSyncs);
+            if (now >= deadlineTs) {
+                return false;
             }
-            return false;
-        }
 
-        if (failCount >= maxFailCount) {
-            break;
-        }
+            if (failCount >= maxFailCount) {
+                break;
+            }
 
-        const syncFailUpdatedAt = failedSyncs['e' + event.id];
-        const eventUpdatedAt = new Date(event.updated);
-        const skipDueToFail = syncFailUpdatedAt != null && syncFailUpdatedAt === +eventUpdatedAt;
-        const isEventCancelled = event.status === 'cancelled';
-        const timeOffId = event.extendedProperties?.private?.timeOffId;
-        let isOk = true;
-        if (timeOffId) {
+            const eventUpdatedAt = new Date(event.updated);
+            const skipDueToFail = journal.isSkipped(primaryEmail, 'e' + event.id, +eventUpdatedAt);
+            const isEventCancelled = event.status === 'cancelled';
+            const timeOffId = event.extendedProperties?.private?.timeOffId;
+            let isOk = true;
+            if (timeOffId) {
 
-            // we handle this time-off
-            const timeOff = timeOffs[timeOffId];
-            if (timeOff && timeOff.employeeId === employeeId) {
+                // we handle this time-off
+                const timeOff = timeOffs[timeOffId];
+                if (timeOff && timeOff.employeeId === employeeId) {
 
-                // mark as handled
-                processedTimeOffIds[timeOffId] = true;
+                    // mark as handled
+                    processedTimeOffIds[timeOffId] = true;
 
-                if (timeOff.updatedAt > updateMax || eventUpdatedAt > updateMax || skipDueToFail) {
-                    // dead zone
-                    continue;
-                }
+                    if (timeOff.updatedAt > updateMax || eventUpdatedAt > updateMax || skipDueToFail) {
+                        // dead zone
+                        continue;
+                    }
 
-                if (isEventCancelled) {
-                    isOk = await syncActionDeleteTimeOff_(personio, primaryEmail, timeOff);
-                    now = Date.now();
-                } else {
-                    // need to convert to be able to compare start/end timestamps (Personio is whole-day/half-day only)
-                    const updatedTimeOff = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, timeOff);
-                    if (updatedTimeOff
-                        && (!updatedTimeOff.startAt.equals(timeOff.startAt) || !updatedTimeOff.endAt.equals(timeOff.endAt) || updatedTimeOff.typeId !== timeOff.typeId)) {
-                        // start/end timestamps differ, now check which (Personio/Google Calendar) has more recent changes
-                        if (timeOff.updatedAt >= eventUpdatedAt) {
-                            isOk = await syncActionUpdateEvent_(calendar, primaryEmail, event, timeOff);
-                        } else {
-                            isOk = await syncActionUpdateTimeOff_(personio, calendar, primaryEmail, event, timeOff, updatedTimeOff);
+                    if (timeOff.status === 'rejected') {
+                        // rejected requests are removed from the calendar, but kept in Personio
+                        if (!isEventCancelled) {
+                            isOk = plan ? plan.record(primaryEmail, 'deleteEvent', event, SyncPlan.getEventRange(event), undefined)
+                                : await syncActionUpdateEventStatus_(calendar, primaryEmail, event, timeOff, journal);
+                            now = Date.now();
+                        }
+                    } else if (isEventCancelled) {
+                        isOk = plan ? plan.record(primaryEmail, 'deleteTimeOff', event, timeOff, undefined)
+                            : await syncActionDeleteTimeOff_(personio, primaryEmail, event, timeOff, journal);
+                        now = Date.now();
+                    } else {
+                        // need to convert to be able to compare start/end timestamps (Personio is whole-day/half-day only, except for hourly types)
+                        const updatedTimeOff = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, timeOff, timeZone, employeeWorkingHours);
+                        if (updatedTimeOff && (!isSameTimeOffRange_(updatedTimeOff, timeOff) || updatedTimeOff.typeId !== timeOff.typeId)) {
+                            // start/end timestamps differ, now check which (Personio/Google Calendar) has more recent changes
+                            if (timeOff.updatedAt >= eventUpdatedAt) {
+                                isOk = plan ? plan.record(primaryEmail, 'updateEvent', event, SyncPlan.getEventRange(event), timeOff)
+                                    : await syncActionUpdateEvent_(calendar, primaryEmail, event, timeOff, journal);
+                            } else {
+                                isOk = plan ? plan.record(primaryEmail, 'updateTimeOff', event, timeOff, updatedTimeOff)
+                                    : await syncActionUpdateTimeOff_(personio, calendar, primaryEmail, event, timeOff, updatedTimeOff, journal);
+                            }
+                            now = Date.now();
+                        } else if (timeOff.status !== getEventTimeOffStatus_(event)) {
+                            isOk = plan ? plan.record(primaryEmail, 'updateEventStatus', event, SyncPlan.getEventRange(event), timeOff)
+                                : await syncActionUpdateEventStatus_(calendar, primaryEmail, event, timeOff, journal);
+                            now = Date.now();
                         }
+                    }
+                } else if (!isEventCancelled) {
+                    // check for dead zone
+                    // we allow event cancellation even in case maxFailCount was reached
+                    if (eventUpdatedAt <= updateMax) {
+                        isOk = plan ? plan.record(primaryEmail, 'deleteEvent', event, SyncPlan.getEventRange(event), undefined)
+                            : await syncActionDeleteEvent_(calendar, primaryEmail, event, journal);
                         now = Date.now();
                     }
                 }
             } else if (!isEventCancelled) {
-                // check for dead zone
-                // we allow event cancellation even in case maxFailCount was reached
-                if (eventUpdatedAt <= updateMax) {
-                    isOk = await syncActionDeleteEvent_(calendar, primaryEmail, event);
-                    now = Date.now();
+                // check for dead zone, ignore events created by Cronofy
+                if (eventUpdatedAt <= updateMax && !skipDueToFail && !event.iCalUID.includes('cronofy.com')) {
+                    const newTimeOff = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, undefined, timeZone, employeeWorkingHours);
+                    if (newTimeOff) {
+                        isOk = plan ? plan.record(primaryEmail, 'insertTimeOff', event, undefined, newTimeOff)
+                            : await syncActionInsertTimeOff_(personio, calendar, primaryEmail, event, newTimeOff, journal);
+                        now = Date.now();
+                    }
                 }
             }
-        } else if (!isEventCancelled) {
-            // check for dead zone, ignore events created by Cronofy
-            if (eventUpdatedAt <= updateMax && !skipDueToFail && !event.iCalUID.includes('cronofy.com')) {
-                const newTimeOff = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, undefined);
-                if (newTimeOff) {
-                    isOk = await syncActionInsertTimeOff_(personio, calendar, primaryEmail, event, newTimeOff);
-                    now = Date.now();
+
+            if (!isOk) {
+                ++failCount;
+            }
+        }
+
+        // Handle each remaining time-off, not handled above
+        for (const timeOff of Object.values(timeOffs)) {
+
+            if (failCount >= maxFailCount) {
+                break;
+            }
+
+            const skipDueToFail = journal.isSkipped(primaryEmail, 't' + timeOff.id, +timeOff.updatedAt);
+
+            // check for dead zone, rejected requests are not added to the calendar
+            if (!skipDueToFail && timeOff.employeeId === employeeId && timeOff.updatedAt <= updateMax && !processedTimeOffIds[timeOff.id]
+                && timeOff.status !== 'rejected') {
+
+                if (Date.now() >= deadlineTs) {
+                    return false;
+                }
+
+                const isOk = plan ? plan.record(primaryEmail, 'insertEvent', undefined, undefined, timeOff)
+                    : await syncActionInsertEvent_(calendar, primaryEmail, timeOffTypeConfig, timeOff, journal);
+                if (!isOk) {
+                    ++failCount;
                 }
             }
         }
 
-        if (!isOk) {
-            failedSyncs['e' + event.id] = +eventUpdatedAt;
-            ++failCount;
+        // all events and time-offs were checked, unless stopped due to too many failures
+        isFullyVisited = failCount < maxFailCount;
+        return true;
+    } finally {
+        if (!plan) {
+            await journal.save(primaryEmail, isFullyVisited);
         }
     }
+}
 
-    // Handle each remaining time-off, not handled above
-    for (const timeOff of Object.values(timeOffs)) {
 
-        if (failCount >= maxFailCount) {
-            break;
+/** Get the home time-zone of an employee (ie. "Europe/Berlin"), undefined if unknown.
+ *
+ * The time-zone configured for the employee's Personio office takes precedence over the primary calendar's time-zone.
+ */
+async function getEmployeeTimeZone_(calendar, employee) {
+    const office = employee.attributes.office?.value?.attributes?.name;
+    const officeTimeZone = office ? getOfficeTimeZones_()[office] : undefined;
+    if (officeTimeZone) {
+        return officeTimeZone;
+    }
+
+    try {
+        return (await calendar.getSetting('timezone'))?.value || undefined;
+    } catch (e) {
+        Logger.log('Failed to get calendar time-zone of user %s, using time-zones of events: %s', employee.attributes.email.value, e);
+        return undefined;
+    }
+}
+
+
+/** Move the whole/half-day TimeOffs of an employee to the employee's home time-zone (keeping their local dates and hours).
+ *
+ * @param {Object} timeOffs Normalized TimeOffs indexed by ID (not modified).
+ * @param {number} employeeId The employee whose TimeOffs are moved, other TimeOffs are kept as they are.
+ * @param {string} timeZone The home time-zone of the employee, may be undefined.
+ *
+ * @return {Object} Normalized TimeOffs indexed by ID.
+ */
+function localizeTimeOffs_(timeOffs, employeeId, timeZone) {
+    if (!timeZone) {
+        return timeOffs;
+    }
+
+    const localizedTimeOffs = {};
+    for (const [timeOffId, timeOff] of Object.entries(timeOffs)) {
+        // hourly time-offs describe exact points in time, which don't depend on the time-zone
+        localizedTimeOffs[timeOffId] = timeOff.employeeId !== employeeId || timeOff.isHourly ? timeOff : {
+            ...timeOff,
+            startAt: timeOff.startAt.withTimeZone(timeZone),
+            endAt: timeOff.endAt.withTimeZone(timeZone)
+        };
+    }
+
+    return localizedTimeOffs;
+}
+
+
+/** Reconcile the shared team absence calendars with the Personio time-offs of their members.
+ *
+ * Each time-off (approved or pending) of a department/team member is represented by one all-day event in the team's
+ * calendar, linked by the private property timeOffId. Only linked events are managed, other events are left alone.
+ * Changes are sent as batch requests (one calendar may receive many updates at once, for example when configured).
+ * Failed changes are tracked by the journal per calendar ID, like the ones of personal calendars per email.
+ *
+ * @param {Array<Object>} employees The employees to include (Personio API format).
+ * @param {Object} timeOffs Normalized TimeOffs indexed by ID.
+ * @param {Object} teamCalendars Calendar IDs by department/team name.
+ * @param {Date} fetchTimeMin Minimum time to sync events for.
+ * @param {Date} fetchTimeMax Maximum time to sync events for.
+ * @param {number} deadlineTs No further calendars are reconciled after this timestamp (in ms since 1970).
+ * @param {SyncPlan} plan If specified, record actions to this plan instead of executing them.
+ * @param {SyncJournal} journal The journal to record actions to.
+ */
+async function syncTeamCalendars_(employees, timeOffs, teamCalendars, fetchTimeMin, fetchTimeMax, deadlineTs, plan, journal) {
+
+    const calendar = await CalendarClient.withImpersonatingService(getServiceAccountCredentials_(), getTeamCalendarsOwner_());
+
+    const employeesById = {};
+    for (const employee of employees) {
+        employeesById[employee.attributes.id.value] = employee;
+    }
+
+    for (const [team, calendarId] of Object.entries(teamCalendars)) {
+
+        if (Date.now() >= deadlineTs) {
+            Logger.log('Stopped syncing team calendars before %s due to runtime limit', team);
+            return;
         }
 
-        const syncFailUpdatedAt = failedSyncs['t' + timeOff.id];
-        const skipDueToFail = syncFailUpdatedAt != null && syncFailUpdatedAt === +timeOff.updatedAt;
+        // the intended events, by time-off ID
+        const teamEvents = {};
+        for (const timeOff of Object.values(timeOffs)) {
+            const employee = employeesById[timeOff.employeeId];
+            if (employee && timeOff.status !== 'rejected' && getEmployeeTeams_(employee).includes(team)) {
+                teamEvents[timeOff.id] = createTeamEventFromTimeOff_(employee, timeOff);
+            }
+        }
 
-        // check for dead zone
-        if (!skipDueToFail && timeOff.employeeId === employeeId && timeOff.updatedAt <= updateMax && !processedTimeOffIds[timeOff.id]) {
+        journal.load(calendarId);
+        let isFullyVisited = false;
+        try {
+            const existingEvents = (await queryCalendarEvents_(calendar, calendarId, fetchTimeMin, fetchTimeMax))
+                .filter(event => event.status !== 'cancelled' && event.extendedProperties?.private?.timeOffId);
+
+            const actions = [];
+            const handledTimeOffIds = {};
+            for (const event of existingEvents) {
+                const timeOffId = event.extendedProperties.private.timeOffId;
+                const teamEvent = teamEvents[timeOffId];
+                if (!teamEvent || handledTimeOffIds[timeOffId]) {
+                    // time-off deleted/rejected, member left the team or duplicate
+                    actions.push({name: 'deleteTeamEvent', timeOff: timeOffs[timeOffId], event: {...event, status: 'cancelled'}});
+                } else if (event.summary !== teamEvent.summary || !isSameEventTime_(event.start, teamEvent.start) || !isSameEventTime_(event.end, teamEvent.end)) {
+                    actions.push({name: 'updateTeamEvent', timeOff: timeOffs[timeOffId], event: {...event, ...teamEvent}});
+                }
+                handledTimeOffIds[timeOffId] = true;
+            }
 
-            if (Date.now() >= deadlineTs) {
-                if (failCount > 0) {
-                    putFailedSyncs_(primaryEmail, failedSyncs);
+            for (const [timeOffId, teamEvent] of Object.entries(teamEvents)) {
+                if (!handledTimeOffIds[timeOffId]) {
+                    actions.push({name: 'insertTeamEvent', timeOff: timeOffs[timeOffId], event: teamEvent});
                 }
-                return false;
             }
 
-            if (!await syncActionInsertEvent_(calendar, primaryEmail, timeOffTypeConfig, timeOff)) {
-                failedSyncs['t' + timeOff.id] = +timeOff.updatedAt;
-                ++failCount;
+            // changes that failed before are retried like the ones of personal calendars (keyed as recorded by the journal)
+            const pendingActions = actions.filter(action => action.event.id
+                ? !journal.isSkipped(calendarId, 'e' + action.event.id, +new Date(action.event.updated))
+                : !journal.isSkipped(calendarId, 't' + action.timeOff.id, +action.timeOff.updatedAt));
+            if (pendingActions.length < actions.length) {
+                Logger.log('Skipping %s failed changes of team calendar of %s', '' + (actions.length - pendingActions.length), team);
+            }
+            isFullyVisited = true;
+
+            if (plan) {
+                for (const action of pendingActions) {
+                    plan.record(calendarId, action.name, action.event.id ? action.event : undefined, undefined, action.timeOff);
+                }
+                continue;
+            }
+
+            const inserts = pendingActions.filter(action => action.name === 'insertTeamEvent');
+            const updates = pendingActions.filter(action => action.name !== 'insertTeamEvent');
+            const results = (await calendar.batchInsert(calendarId, inserts.map(action => action.event)))
+                .concat(await calendar.batchUpdate(calendarId, updates.map(action => action.event)));
+            inserts.concat(updates).forEach((action, index) => {
+                journal.record(calendarId, action.name, results[index].result || (action.event.id ? action.event : undefined), action.timeOff, results[index].error);
+            });
+
+            const failedCount = results.filter(result => result.error).length;
+            Logger.log('Synced team calendar of %s: %s changes, %s failed', team, '' + results.length, '' + failedCount);
+        } finally {
+            // once all changes were checked, failures of changes no longer needed are dropped (unless only planned)
+            if (!plan) {
+                await journal.save(calendarId, isFullyVisited);
             }
         }
     }
+}
 
-    if (failCount > 0) {
-        putFailedSyncs_(primaryEmail, failedSyncs);
-    }
-    return true;
+
+/** Do the start/end fields of two events describe the same date or point in time (ignoring the time-zone notation)? */
+function isSameEventTime_(eventTime, otherEventTime) {
+    const getTimestamp = time => time?.dateTime ? +new Date(time.dateTime) : undefined;
+    return eventTime?.date === otherEventTime?.date && getTimestamp(eventTime) === getTimestamp(otherEventTime);
+}
+
+
+/** Get the names of the Personio department and team of an employee. */
+function getEmployeeTeams_(employee) {
+    return [employee.attributes.department, employee.attributes.team]
+        .map(attribute => attribute?.value?.attributes?.name)
+        .filter(name => !!name);
+}
+
+
+/** Construct the team calendar event representing the TimeOff of an employee (all-day, unless the TimeOff is hourly). */
+function createTeamEventFromTimeOff_(employee, timeOff) {
+    const name = [employee.attributes.first_name?.value, employee.attributes.last_name?.value]
+        .filter(name => !!name)
+        .join(' ') || timeOff.email;
+
+    // all-day events end exclusively
+    const endDate = new Date(timeOff.endAt.toISODate() + 'T00:00:00Z');
+    endDate.setUTCDate(endDate.getUTCDate() + 1);
+
+    return {
+        summary: (timeOff.status === 'pending' ? PENDING_EVENT_SUMMARY_PREFIX : '') + `${name}: ${timeOff.typeName}`,
+        start: timeOff.isHourly ? {dateTime: timeOff.startAt.toISOString()} : {date: timeOff.startAt.toISODate()},
+        end: timeOff.isHourly ? {dateTime: timeOff.endAt.toISOString()} : {date: endDate.toISOString().split('T')[0]},
+        transparency: 'transparent', // absences of others don't block the calendar's subscribers
+        extendedProperties: {
+            private: {
+                timeOffId: '' + timeOff.id,
+                timeOffStatus: timeOff.status
+            }
+        }
+    };
 }
 
 
-/** Get the cached map of event id to updatedAt mapping for failed synchronizations by email. */
+/** Get the persisted map of failed synchronizations (keyed by 'e' + event ID or 't' + time-off ID) by email. */
 function getFailedSyncs_(primaryEmail) {
-    const cache = CacheService.getScriptCache();
-    const item = cache.get("syncFailed_" + primaryEmail);
-    return item != null ? JSON.parse(item) : {};
+    const item = getScriptProperties_().getProperty(FAILED_SYNCS_KEY_PREFIX + primaryEmail);
+    return item ? JSON.parse(item) : {};
 }
 
 
-/** Cache the map of event id to updatedAt millies for failed synchronizations by email. */
+/** Persist the map of failed synchronizations by email (the property is removed if there are none). */
 function putFailedSyncs_(primaryEmail, failedSyncs) {
-    const cache = CacheService.getScriptCache();
-    const expiration = (MAX_SYNC_FAIL_DELAY / 2) + (MAX_SYNC_FAIL_DELAY * Math.random());
-    cache.put("syncFailed_" + primaryEmail, JSON.stringify(failedSyncs), Math.round(expiration / 1000));
+    const key = FAILED_SYNCS_KEY_PREFIX + primaryEmail;
+    if (Object.keys(failedSyncs).length) {
+        getScriptProperties_().setProperty(key, JSON.stringify(failedSyncs));
+    } else {
+        getScriptProperties_().deleteProperty(key);
+    }
 }
 
 
 /** Delete Personio TimeOffs for cancelled Google Calendar events */
-async function syncActionDeleteTimeOff_(personio, primaryEmail, timeOff) {
+async function syncActionDeleteTimeOff_(personio, primaryEmail, event, timeOff, journal) {
     try {
         // event deleted in google calendar, delete in Personio
         await deletePersonioTimeOff_(personio, timeOff);
         Logger.log('Deleted TimeOff "%s" at %s for user %s', timeOff.typeName, String(timeOff.startAt), primaryEmail);
+        journal?.record(primaryEmail, 'deleteTimeOff', event, timeOff);
         return true;
     } catch (e) {
         Logger.log('Failed to delete TimeOff "%s" at %s for user %s: %s', timeOff.comment, String(timeOff.startAt), primaryEmail, e);
+        journal?.record(primaryEmail, 'deleteTimeOff', event, timeOff, e);
         return false;
     }
 }
 
 
 /** Update Personio TimeOff -> Google Calendar event */
-async function syncActionUpdateEvent_(calendar, primaryEmail, event, timeOff) {
+async function syncActionUpdateEvent_(calendar, primaryEmail, event, timeOff, journal) {
     try {
         // Update event timestamps
         event.start.dateTime = timeOff.startAt.toISOString();
@@ -885,19 +1759,22 @@ async function syncActionUpdateEvent_(calendar, primaryEmail, event, timeOff) {
         event.end.dateTime = timeOff.endAt.switchHour24ToHour0().toISOString();
         event.end.date = null;
         event.end.timeZone = null;
+        updateEventTimeOffStatus_(event, timeOff.status);
 
         await calendar.update('primary', event.id, event);
         Logger.log('Updated event "%s" at %s for user %s', event.summary, event.start.dateTime || event.start.date, primaryEmail);
+        journal?.record(primaryEmail, 'updateEvent', event, timeOff);
         return true;
     } catch (e) {
         Logger.log('Failed to update event "%s" at %s for user %s: %s', event.summary, event.start.dateTime || event.start.date, primaryEmail, e);
+        journal?.record(primaryEmail, 'updateEvent', event, timeOff, e);
         return false;
     }
 }
 
 
 /** Update Google Calendar event -> Personio TimeOff */
-async function syncActionUpdateTimeOff_(personio, calendar, primaryEmail, event, timeOff, updatedTimeOff) {
+async function syncActionUpdateTimeOff_(personio, calendar, primaryEmail, event, timeOff, updatedTimeOff, journal) {
     try {
         // updating by ID is not possible (according to docs AND trial and error)
         await deletePersonioTimeOff_(personio, timeOff);
@@ -910,71 +1787,105 @@ async function syncActionUpdateTimeOff_(personio, calendar, primaryEmail, event,
             // re-creation after deletion failed
             // cut the Gcal event's connection to schedule a new sync
             setEventPrivateProperty_(event, 'timeOffId', undefined);
+            updateEventTimeOffStatus_(event, undefined);
             if (/ ?⇵$/.test(event.summary)) {
                 event.summary = event.summary.replace(' [synced]', '').replace(' ⇵', '');
             }
             await calendar.update('primary', event.id, event);
             Logger.log('Will re-create TimeOff "%s" at %s for user %s due to error: %s', updatedTimeOff.typeName, String(updatedTimeOff.startAt), primaryEmail, e);
             // handle recovery from 502 as "success" to speed up time-off recreation
-            return (e?.response?.getResponseCode() === 502);
+            const isRecovered = (e?.response?.getResponseCode() === 502);
+            journal?.record(primaryEmail, 'updateTimeOff', event, timeOff, isRecovered ? undefined : e);
+            return isRecovered;
         }
         setEventPrivateProperty_(event, 'timeOffId', createdTimeOff.id);
+        updateEventTimeOffStatus_(event, createdTimeOff.status);
         updateEventPersonioDeepLink_(event, createdTimeOff);
         if (!/ ?⇵$/.test(event.summary)) {
             event.summary = event.summary.replace(' [synced]', '') + ' ⇵';
         }
         await calendar.update('primary', event.id, event);
         Logger.log('Updated TimeOff "%s" at %s for user %s', createdTimeOff.typeName, String(createdTimeOff.startAt), primaryEmail);
+        journal?.record(primaryEmail, 'updateTimeOff', event, createdTimeOff);
         return true;
     } catch (e) {
         Logger.log('Failed to update TimeOff "%s" at %s for user %s: %s', timeOff.comment, String(timeOff.startAt), primaryEmail, e);
+        journal?.record(primaryEmail, 'updateTimeOff', event, timeOff, e);
         return false;
     }
 }
 
 
 /** Personio TimeOff -> New Google Calendar event */
-async function syncActionInsertEvent_(calendar, primaryEmail, timeOffTypeConfig, timeOff) {
+async function syncActionInsertEvent_(calendar, primaryEmail, timeOffTypeConfig, timeOff, journal) {
     try {
         const newEvent = createEventFromTimeOff_(timeOffTypeConfig, timeOff);
         await calendar.insert('primary', newEvent);
         Logger.log('Inserted Out-of-Office "%s" at %s for user %s', timeOff.typeName, String(timeOff.startAt), primaryEmail);
+        journal?.record(primaryEmail, 'insertEvent', undefined, timeOff);
         return true;
     } catch (e) {
         Logger.log('Failed to insert Out-of-Office "%s" at %s for user %s: %s', timeOff.typeName, String(timeOff.startAt), primaryEmail, e);
+        journal?.record(primaryEmail, 'insertEvent', undefined, timeOff, e);
+        return false;
+    }
+}
+
+
+/** Personio TimeOff approval status -> Google Calendar event (cancelled if the request was rejected) */
+async function syncActionUpdateEventStatus_(calendar, primaryEmail, event, timeOff, journal) {
+    const action = timeOff.status === 'rejected' ? 'deleteEvent' : 'updateEventStatus';
+    try {
+        updateEventTimeOffStatus_(event, timeOff.status);
+        if (timeOff.status === 'rejected') {
+            event.status = 'cancelled';
+        }
+
+        await calendar.update('primary', event.id, event);
+        Logger.log('Updated event "%s" at %s for user %s to time-off status %s', event.summary, event.start.dateTime || event.start.date, primaryEmail, timeOff.status);
+        journal?.record(primaryEmail, action, event, timeOff);
+        return true;
+    } catch (e) {
+        Logger.log('Failed to update event "%s" at %s for user %s to time-off status %s: %s', event.summary, event.start.dateTime || event.start.date, primaryEmail, timeOff.status, e);
+        journal?.record(primaryEmail, action, event, timeOff, e);
         return false;
     }
 }
 
 
 /** Delete from Google Calendar */
-async function syncActionDeleteEvent_(calendar, primaryEmail, event) {
+async function syncActionDeleteEvent_(calendar, primaryEmail, event, journal) {
     try {
         event.status = 'cancelled';
         await calendar.update('primary', event.id, event);
         Logger.log('Cancelled out-of-office "%s" at %s for user %s', event.summary, event.start.dateTime || event.start.date, primaryEmail);
+        journal?.record(primaryEmail, 'deleteEvent', event, undefined);
         return true;
     } catch (e) {
         Logger.log('Failed to cancel Out-Of-Office "%s" at %s for user %s: %s', event.summary, event.start.dateTime || event.start.date, primaryEmail, e);
+        journal?.record(primaryEmail, 'deleteEvent', event, undefined, e);
         return false;
     }
 }
 
 
 /** Google Calendar -> New Personio TimeOff */
-async function syncActionInsertTimeOff_(personio, calendar, primaryEmail, event, newTimeOff) {
+async function syncActionInsertTimeOff_(personio, calendar, primaryEmail, event, newTimeOff, journal) {
     try {
         const createdTimeOff = await createPersonioTimeOff_(personio, newTimeOff);
         setEventPrivateProperty_(event, 'timeOffId', createdTimeOff.id);
+        updateEventTimeOffStatus_(event, createdTimeOff.status);
         updateEventPersonioDeepLink_(event, createdTimeOff);
         if (!/ ?⇵$/.test(event.summary)) {
             event.summary = event.summary.replace(' [synced]', '') + ' ⇵';
         }
         await calendar.update('primary', event.id, event);
         Logger.log('Inserted TimeOff "%s" at %s for user %s: %s', createdTimeOff.typeName, String(createdTimeOff.startAt), primaryEmail, createdTimeOff.comment);
+        journal?.record(primaryEmail, 'insertTimeOff', event, createdTimeOff);
         return true;
     } catch (e) {
         Logger.log('Failed to insert new TimeOff "%s" at %s for user %s: %s', event.summary, event.start.dateTime || event.start.date, primaryEmail, e);
+        journal?.record(primaryEmail, 'insertTimeOff', event, newTimeOff, e);
         return false;
     }
 }
@@ -1001,10 +1912,13 @@ async function queryCalendarEvents_(calendar, calendarId, timeMin, timeMax) {
 }
 
 
-/** Convert time-offs in Personio API format to intermediate format. */
+/** Convert time-offs (TimeOffPeriod or hourly AbsencePeriod) in Personio API format to intermediate format. */
 function normalizePersonioTimeOffPeriod_(timeOffPeriod) {
 
     const attributes = timeOffPeriod.attributes || {};
+    if (timeOffPeriod.type === 'AbsencePeriod') {
+        return normalizePersonioAbsencePeriod_(attributes);
+    }
 
     // parse start/end dates assuming whole-days
     const startAt = PeopleTime.fromISO8601(attributes.start_date, 0);
@@ -1036,10 +1950,7 @@ function normalizePersonioTimeOffPeriod_(timeOffPeriod) {
     // see: https://community.personio.com/attendances-absences-87/absences-api-updated-at-and-created-at-timestamp-values-invalid-1743
     //   - checking for created_by isn't enough: later updates by the UI won't change the "created_by" field but still set a shifted updated_at :/
     //   - while this issue persists, one has to make sure this runs at least every 30 minutes and catch "updated_at" values that lie in the future
-    const updatedAt = new Date(attributes.updated_at);
-    if (attributes.created_by !== 'API' || +updatedAt >= Date.now()) {
-        Util.addDateMillies(updatedAt, -1 * 60 * 60 * 1000);
-    }
+    const updatedAt = getPersonioUpdatedAt_(attributes);
 
     return {
         id: attributes.id,
@@ -1055,16 +1966,54 @@ function normalizePersonioTimeOffPeriod_(timeOffPeriod) {
     };
 }
 
+/** Convert hourly absences (AbsencePeriod attributes) in Personio API format to intermediate format.
+ *
+ * In contrast to TimeOffPeriods, AbsencePeriods have exact start/end timestamps and (non-numeric) string IDs.
+ */
+function normalizePersonioAbsencePeriod_(attributes) {
+    const timeOffType = attributes.time_off_type || attributes.absence_type;
+
+    return {
+        id: attributes.id,
+        isHourly: true,
+        startAt: PeopleTime.fromISO8601(attributes.start),
+        endAt: PeopleTime.fromISO8601(attributes.end),
+        typeId: timeOffType?.attributes.id,
+        typeName: timeOffType?.attributes.name,
+        comment: attributes.comment,
+        status: attributes.status || 'approved', // absence periods may not be subject to approval
+        updatedAt: getPersonioUpdatedAt_(attributes),
+        employeeId: attributes.employee?.attributes.id?.value,
+        email: (attributes.employee?.attributes.email?.value || '').trim()
+    };
+}
+
+
+/** Get the (corrected) updated_at timestamp of Personio time-offs. */
+function getPersonioUpdatedAt_(attributes) {
+    // Web UI created Personio created_at/updated_at timestamps are shifted +1h.
+    // see: https://community.personio.com/attendances-absences-87/absences-api-updated-at-and-created-at-timestamp-values-invalid-1743
+    //   - checking for created_by isn't enough: later updates by the UI won't change the "created_by" field but still set a shifted updated_at :/
+    //   - while this issue persists, one has to make sure this runs at least every 30 minutes and catch "updated_at" values that lie in the future
+    const updatedAt = new Date(attributes.updated_at);
+    if (attributes.created_by !== 'API' || +updatedAt >= Date.now()) {
+        Util.addDateMillies(updatedAt, -1 * 60 * 60 * 1000);
+    }
+
+    return updatedAt;
+}
+
 /** Convert time-offs in Personio API format to intermediate format and index by ID.
  *
  * @param {PersonioClientV1} personio Initialized and authenticated PersonioClientV1 instance.
  * @param {Date} timeMin Minimum TimeOffPeriod fetch time.
  * @param {Date} timeMax Maximum TimeOffPeriod fetch time.
  * @param {number} employeeId Employee ID to query TimeOffPeriods for.
+ * @param {TimeOffTypeConfig} timeOffTypeConfig If specified and hourly TimeOffTypes exist, hourly absences are included.
  *
  * @return {Object} Normalized TimeOff structures indexed by TimeOffPeriod ID.
  */
-async function queryPersonioTimeOffs_(personio, timeMin, timeMax, employeeId) {
+async function queryPersonioTimeOffs_(personio, timeMin, timeMax, employeeId, timeOffTypeConfig) {
     const params = {
         start_date: timeMin.toISOString().split("T")[0],
         end_date: timeMax.toISOString().split("T")[0],
@@ -1076,6 +2025,9 @@ async function queryPersonioTimeOffs_(personio, timeMin, timeMax, employeeId) {
     }
 
     const timeOffPeriods = await personio.getPersonioJson('/company/time-offs' + UrlFetchJsonClient.buildQuery(params));
+    if (timeOffTypeConfig?.hasHourlyTypes()) {
+        timeOffPeriods.push(...await personio.getPersonioJson('/company/absence-periods' + UrlFetchJsonClient.buildQuery(params)));
+    }
     Util.shuffleArray(timeOffPeriods);
 
     const timeOffs = {};
@@ -1088,8 +2040,18 @@ async function queryPersonioTimeOffs_(personio, timeMin, timeMax, employeeId) {
 }
 
 
-/** Construct a matching TimeOff structure for a Google Calendar event. */
-function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existingTimeOff) {
+/** Construct a matching TimeOff structure for a Google Calendar event.
+ *
+ * @param {TimeOffTypeConfig} timeOffTypeConfig The available TimeOffTypes.
+ * @param {Object} employee The employee (Personio API format) the event belongs to.
+ * @param {Object} event The Google Calendar event.
+ * @param {Object} existingTimeOff The normalized TimeOff the event is synchronized with, may be undefined.
+ * @param {string} timeZone The home time-zone of the employee, the event's time-zones are used if undefined.
+ * @param {Object} workingHours The working hours of the employee (see getWorkingHours_()), may be undefined.
+ *
+ * @return {Object} The normalized TimeOff or undefined if the event isn't an absence of the employee.
+ */
+function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existingTimeOff, timeZone, workingHours) {
 
     // skip events created by other users
     const email = employee.attributes.email.value;
@@ -1099,7 +2061,11 @@ function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existi
         return undefined;
     }
 
-    let timeOffType = timeOffTypeConfig.findByKeywordMatch(event.summary || '');
+    if (timeOffTypeConfig.isExcluded(event)) {
+        return undefined;
+    }
+
+    let timeOffType = timeOffTypeConfig.findByEvent(event);
     if (!timeOffType && existingTimeOff) {
         const previousType = timeOffTypeConfig.findById(existingTimeOff.typeId);
         if (previousType) {
@@ -1108,7 +2074,7 @@ function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existi
     }
 
     if (!timeOffType && event.eventType === 'outOfOffice') {
-        timeOffType = timeOffTypeConfig.findByKeywordMatch('out');
+        timeOffType = timeOffTypeConfig.getDefault();
     }
 
     if (!timeOffType) {
@@ -1116,21 +2082,34 @@ function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existi
     }
 
     const halfDaysAllowed = true; // field `half_day_requests_enabled` removed from absence-types from Sep. 16
-    const localTzOffsetStart = event.start.date ? Util.getNamedTimeZoneOffset(event.start.timeZone, new Date(event.start.date)) : undefined;
-    const localTzOffsetEnd = event.end.date ? Util.getNamedTimeZoneOffset(event.end.timeZone, new Date(event.end.date)) : undefined;
-    const startAt = PeopleTime.fromISO8601(event.start.dateTime || event.start.date, undefined, localTzOffsetStart)
-        .normalizeHalfDay(false, halfDaysAllowed);
-    const endAtRaw = PeopleTime.fromISO8601(event.end.dateTime || event.end.date, undefined, localTzOffsetEnd);
-    const endAt = endAtRaw.normalizeHalfDay(true, halfDaysAllowed && (!startAt.isHalfDay() || !startAt.isAtSameDay(endAtRaw)));
+    const eventStartAt = getEventPeopleTime_(event.start, timeZone);
+    const eventEndAt = getEventPeopleTime_(event.end, timeZone);
+
+    const isHourly = timeOffTypeConfig.isHourly(timeOffType.attributes.id);
+    let startAt = eventStartAt;
+    let endAt = eventEndAt;
+    if (!isHourly) {
+        // partial days outside the working hours don't count, the remaining ones are split in half at the middle of the working hours
+        const midday = workingHours ? (workingHours.start + workingHours.end) / 2 : 12;
+        startAt = fitToWorkingHours_(eventStartAt, false, workingHours).normalizeHalfDay(false, halfDaysAllowed, midday);
+        const endAtRaw = fitToWorkingHours_(eventEndAt, true, workingHours);
+        endAt = endAtRaw.normalizeHalfDay(true, halfDaysAllowed && (!startAt.isHalfDay() || !startAt.isAtSameDay(endAtRaw)), midday);
+
+        if (startAt.toString() >= endAt.toString()) {
+            // entirely outside the working hours
+            return undefined;
+        }
+    }
 
     const skipApproval = timeOffTypeConfig.isSkippingApprovalAllowed(timeOffType.attributes.id);
 
     return {
+        isHourly: isHourly,
         startAt: startAt,
         endAt: endAt,
         typeId: timeOffType.attributes.id,
         typeName: timeOffType.attributes.name,
-        comment: event.summary.replace(' [synced]', '').replace(/ ?⇵$/, ''),
+        comment: event.summary.replace(PENDING_EVENT_SUMMARY_PREFIX, '').replace(' [synced]', '').replace(/ ?⇵$/, ''),
         updatedAt: new Date(event.updated),
         employeeId: employee.attributes.id.value,
         email: employee.attributes.email.value,
@@ -1139,8 +2118,64 @@ function convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existi
 }
 
 
-/** Delete the specified TimeOff from Personio. */
+/** Get the local date-time of an event's start or end (event.start or event.end) in the specified time-zone.
+ *
+ * Timed events are converted to the wall-clock time of the time-zone, or kept at their own offset if no time-zone is specified.
+ * All-day events span whole days, regardless of the time-zone.
+ */
+function getEventPeopleTime_(eventTime, timeZone) {
+    if (eventTime.dateTime) {
+        return timeZone ? PeopleTime.fromDate(new Date(eventTime.dateTime), timeZone) : PeopleTime.fromISO8601(eventTime.dateTime);
+    }
+
+    return PeopleTime.fromISO8601(eventTime.date, 0, 0).withTimeZone(eventTime.timeZone || timeZone);
+}
+
+
+/** Move partial-day start/end timestamps outside the working hours to the adjacent day boundary.
+ *
+ * An event starting after the working hours starts with the next day, an event ending before the working hours ends with the previous day.
+ *
+ * @param {PeopleTime} time The start or end of an event.
+ * @param {boolean} isEndOfEvent Does the PeopleTime describe the end of an event (true) or the start (false)?
+ * @param {{start: number, end: number}} workingHours The working hours (fractional hours), may be undefined.
+ *
+ * @return {PeopleTime} This or a new PeopleTime instance at the day boundary.
+ */
+function fitToWorkingHours_(time, isEndOfEvent, workingHours) {
+    const hour = time.getFractionalHour();
+    if (!workingHours || hour === 0 || hour === 24) {
+        return time;
+    }
+
+    if (isEndOfEvent && hour <= workingHours.start) {
+        return new PeopleTime(time.year, time.month, time.day, 0, time.tzOffset);
+    } else if (!isEndOfEvent && hour >= workingHours.end) {
+        return new PeopleTime(time.year, time.month, time.day, 24, time.tzOffset).switchHour24ToHour0();
+    }
+
+    return time;
+}
+
+
+/** Do two TimeOffs span the same range (hourly TimeOffs may be recorded in different time-zones)? */
+function isSameTimeOffRange_(timeOff, otherTimeOff) {
+    if (timeOff.isHourly || otherTimeOff.isHourly) {
+        return timeOff.startAt.getTime() === otherTimeOff.startAt.getTime() && timeOff.endAt.getTime() === otherTimeOff.endAt.getTime();
+    }
+
+    return timeOff.startAt.equals(otherTimeOff.startAt) && timeOff.endAt.equals(otherTimeOff.endAt);
+}
+
+
+/** Delete the specified TimeOff (or hourly absence) from Personio. */
 async function deletePersonioTimeOff_(personio, timeOff) {
+    if (timeOff.isHourly) {
+        return await personio.fetchJson(`/company/absence-periods/${encodeURIComponent(timeOff.id)}`, {
+            method: 'delete'
+        });
+    }
+
     return await personio.fetchJson(`/company/time-offs/${timeOff.id.toFixed(0)}`, {
         method: 'delete'
     });
@@ -1172,11 +2207,29 @@ function generatePersonioTimeOffPayload_(timeOff) {
 }
 
 
-/** Insert a new Personio TimeOff. */
+/** Generate payload for a personio hourly absence request (exact start/end timestamps). */
+function generatePersonioAbsencePeriodPayload_(timeOff) {
+    const payload = {
+        employee_id: timeOff.employeeId.toFixed(0),
+        time_off_type_id: timeOff.typeId.toFixed(0),
+        start: timeOff.startAt.toISOString(),
+        end: timeOff.endAt.toISOString(),
+        comment: timeOff.comment
+    };
+
+    if (timeOff.status === 'approved') {
+        payload.skip_approval = "1";
+    }
+
+    return payload;
+}
+
+
+/** Insert a new Personio TimeOff (or hourly absence). */
 async function createPersonioTimeOff_(personio, timeOff) {
 
-    const payload = generatePersonioTimeOffPayload_(timeOff);
-    const result = await personio.fetchJson('/company/time-offs', {
+    const payload = timeOff.isHourly ? generatePersonioAbsencePeriodPayload_(timeOff) : generatePersonioTimeOffPayload_(timeOff);
+    const result = await personio.fetchJson(timeOff.isHourly ? '/company/absence-periods' : '/company/time-offs', {
         method: 'post',
         payload: payload
     });
@@ -1210,12 +2263,15 @@ function createEventFromTimeOff_(timeOffTypeConfig, timeOff) {
     };
 
     // if we can't guess the corresponding time-off-type, prefix the event summary with its name
-    const guessedType = timeOffTypeConfig.findByKeywordMatch(newEvent.summary);
+    const guessedType = timeOffTypeConfig.findByEvent(newEvent);
     if (!guessedType || guessedType.attributes.id !== timeOff.typeId) {
         const keyword = TimeOffTypeConfig.extractKeyword(timeOff.typeName);
         newEvent.summary = `${keyword}: ${newEvent.summary}`;
     }
 
+    // mark requests pending approval
+    updateEventTimeOffStatus_(newEvent, timeOff.status);
+
     // add a link to the correct Personio absence calendar page
     updateEventPersonioDeepLink_(newEvent, timeOff);
 
@@ -1223,6 +2279,39 @@ function createEventFromTimeOff_(timeOffTypeConfig, timeOff) {
 }
 
 
+/** Get the Personio approval status of the TimeOff an event was last synchronized with (private property timeOffStatus).
+ *
+ * Events synchronized before the status was recorded are assumed to be approved.
+ */
+function getEventTimeOffStatus_(event) {
+    return event.extendedProperties?.private?.timeOffStatus || 'approved';
+}
+
+
+/** Reflect the Personio approval status of the synchronized TimeOff in an event.
+ *
+ * Requests pending approval are tentative and their summary is prefixed with PENDING_EVENT_SUMMARY_PREFIX, so colleagues
+ * don't rely on unapproved leave. Passing no status removes the marks (for example if the event is unlinked).
+ *
+ * @param {Object} event The Google Calendar event to update (in place).
+ * @param {string} status The Personio status ('approved', 'pending' or 'rejected'), or undefined.
+ */
+function updateEventTimeOffStatus_(event, status) {
+    setEventPrivateProperty_(event, 'timeOffStatus', status);
+
+    const summary = (event.summary || '').replace(PENDING_EVENT_SUMMARY_PREFIX, '');
+    if (status === 'pending') {
+        event.status = 'tentative';
+        event.summary = PENDING_EVENT_SUMMARY_PREFIX + summary;
+    } else {
+        if (event.status === 'tentative') {
+            event.status = 'confirmed';
+        }
+        event.summary = summary;
+    }
+}
+
+
 /** Generate and add a link to the Personio Absence Calendar page for the specified TimeOffPeriod to this event. */
 function updateEventPersonioDeepLink_(event, timeOff) {
 
@@ -1231,11 +2320,7 @@ function updateEventPersonioDeepLink_(event, timeOff) {
         return;
     }
 
-    const employeeIdSafe = (+timeOff.employeeId).toFixed(0);
-    const timeOffTypeId = (+timeOff.typeId).toFixed(0);
-    const year = (+timeOff.startAt.year).toFixed(0);
-    const month = (+timeOff.startAt.month).toFixed(0);
-    const deepLink = `https://giant-swarm.personio.de/time-off/employee/${employeeIdSafe}/monthly?absenceTypeId=${timeOffTypeId}&month=${month}&year=${year}`;
+    const deepLink = getPersonioDeepLink_(timeOff);
     const deepLinkHtml = `<a href="${deepLink}">Show in Personio</a>`;
     if (!event.description) {
         event.description = deepLinkHtml;
@@ -1250,6 +2335,49 @@ function updateEventPersonioDeepLink_(event, timeOff) {
 }
 
 
+/** Get the URL of the Personio absence calendar showing the month and type of a TimeOff. */
+function getPersonioDeepLink_(timeOff) {
+    const employeeIdSafe = (+timeOff.employeeId).toFixed(0);
+    const timeOffTypeId = (+timeOff.typeId).toFixed(0);
+    const year = (+timeOff.startAt.year).toFixed(0);
+    const month = (+timeOff.startAt.month).toFixed(0);
+    return `https://giant-swarm.personio.de/time-off/employee/${employeeIdSafe}/monthly?absenceTypeId=${timeOffTypeId}&month=${month}&year=${year}`;
+}
+
+
+/** Extract the error message returned by Personio (falls back to the error message). */
+function getPersonioErrorMessage_(error) {
+    try {
+        const document = JSON.parse(error?.response?.getContentText() || 'null');
+        if (document?.error?.message) {
+            return document.error.message;
+        }
+    } catch (e) {
+        // not a Personio JSON error response
+    }
+    return String(error?.message || error);
+}
+
+
+/** Format the Slack message notifying an employee about a failed synchronization of an event. */
+function formatSyncFailureMessage_(event, timeOff, error) {
+    const summary = (event?.summary || timeOff?.comment || '').replace(/ ?⇵$/, '');
+    const start = event?.start?.dateTime || event?.start?.date || String(timeOff?.startAt);
+    const links = [];
+    if (timeOff?.employeeId && timeOff?.typeId && timeOff?.startAt) {
+        links.push(`<${getPersonioDeepLink_(timeOff)}|Show in Personio>`);
+    }
+    if (event?.htmlLink) {
+        links.push(`<${event.htmlLink}|Open event>`);
+    }
+
+    return `:warning: Your calendar event *${summary}* (${start}) could not be synchronized to Personio:\n`
+        + `>${getPersonioErrorMessage_(error)}\n`
+        + 'Please fix the event (for example overlaps with other absences) or enter the absence in Personio directly.'
+        + (links.length ? '\n' + links.join(' | ') : '');
+}
+
+
 /** Set a private property on an event. */
 function setEventPrivateProperty_(event, key, value) {
     const props = event.extendedProperties ? event.extendedProperties : event.extendedProperties = {};
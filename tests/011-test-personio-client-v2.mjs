@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+
+const {createServer} = await import('http');
+const {PersonioClientV2, PersonioAuthV2} = (await import('../lib-output/lib.js')).default;
+
+const persons = [{id: '1', email: 'a@example.com'}, {id: '2', email: 'b@example.com'}, {id: '3', email: 'c@example.com'}];
+
+const mockServer = createServer((request, response) => {
+    console.log("request: ", (request.method || '').toUpperCase(), request.url);
+    let status = 200;
+    let content = '';
+    const url = new URL(request.url, 'http://127.0.0.1');
+    if (url.pathname === '/auth/token') {
+        content = JSON.stringify({access_token: '123bla', token_type: 'Bearer', expires_in: 86400});
+    } else if (url.pathname === '/persons') {
+        if (request.headers?.authorization?.includes('123bla')) {
+            // two persons per page, cursor is the index of the next element
+            const start = +(url.searchParams.get('cursor') || 0);
+            const next = start + 2 < persons.length ? {href: `/v2/persons?cursor=${start + 2}&limit=2`} : undefined;
+            content = JSON.stringify({_data: persons.slice(start, start + 2), _meta: {links: {next: next}}});
+        } else {
+            status = 401;
+        }
+    } else {
+        status = 404;
+    }
+    response.writeHead(status, {'Content-Type': 'application/json'});
+    response.end(content, 'utf-8');
+});
+
+try {
+    const baseUrl = await new Promise(resolve => mockServer.listen({
+        host: '127.0.0.1',
+        port: 0
+    }, () => resolve('http://127.0.0.1:' + mockServer.address().port)));
+
+    const personioAuth = new PersonioAuthV2("blablaClient", "bluSecret", baseUrl);
+    const personio = new PersonioClientV2(personioAuth, baseUrl);
+
+    const result = await personio.listPersons();
+
+    assert(Array.isArray(result), 'result is not an array');
+    assert.deepEqual(result.map(person => person.id), ['1', '2', '3'], 'expected all persons from all pages');
+
+    const firstPage = await personio.getPersonioJson('/persons?cursor=0');
+    assert.equal(firstPage.length, 2, 'explicit cursor should only fetch a single page');
+} finally {
+    mockServer.close();
+}
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+
+const {createServer} = await import('http');
+const {UrlFetchJsonClient} = (await import('../lib-output/lib.js')).default;
+
+// number of failures left per path, before the mock server responds with success
+const failuresLeft = {
+    '/rate-limited': 2,
+    '/unavailable': 1,
+    '/post-unavailable': 1,
+    '/always-unavailable': 100,
+    '/retry-much-later': 1
+};
+const requestCounts = {};
+
+const mockServer = createServer((request, response) => {
+    console.log("request: ", (request.method || '').toUpperCase(), request.url);
+    const path = new URL(request.url, 'http://127.0.0.1').pathname;
+    requestCounts[path] = (requestCounts[path] || 0) + 1;
+
+    if (!(path in failuresLeft)) {
+        response.writeHead(404, {'Content-Type': 'application/json'});
+        response.end('{}', 'utf-8');
+    } else if (failuresLeft[path] > 0) {
+        failuresLeft[path]--;
+        if (path === '/rate-limited') {
+            response.writeHead(429, {'Content-Type': 'application/json', 'Retry-After': '0'});
+        } else if (path === '/retry-much-later') {
+            response.writeHead(503, {'Content-Type': 'application/json', 'Retry-After': '3600'});
+        } else {
+            response.writeHead(503, {'Content-Type': 'application/json'});
+        }
+        response.end('{"error": "try again"}', 'utf-8');
+    } else {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify({path: path}), 'utf-8');
+    }
+});
+
+try {
+    const baseUrl = await new Promise(resolve => mockServer.listen({
+        host: '127.0.0.1',
+        port: 0
+    }, () => resolve('http://127.0.0.1:' + mockServer.address().port)));
+
+    const client = new UrlFetchJsonClient().setRetryOptions({initialDelay: 10, maxDelay: 100});
+
+    // 429 is retried, honouring Retry-After
+    assert.deepEqual(await client.getJson(baseUrl + '/rate-limited'), {path: '/rate-limited'});
+    assert.equal(requestCounts['/rate-limited'], 3, 'expected two retries for rate limited request');
+
+    // 503 is retried for GET
+    assert.deepEqual(await client.getJson(baseUrl + '/unavailable'), {path: '/unavailable'});
+    assert.equal(requestCounts['/unavailable'], 2, 'expected one retry for unavailable service');
+
+    // 503 is not retried for POST (not idempotent)
+    await assert.rejects(client.postJson(baseUrl + '/post-unavailable', {}), /failed with code 503/);
+    assert.equal(requestCounts['/post-unavailable'], 1, 'POST must not be retried after server error');
+
+    // give up after maxRetries
+    await assert.rejects(client.getJson(baseUrl + '/always-unavailable'), e => e.retries === 3 && /after 3 retries/.test(e.message));
+    assert.equal(requestCounts['/always-unavailable'], 4, 'expected initial attempt and three retries');
+
+    // Retry-After beyond maxDelay fails immediately
+    await assert.rejects(client.getJson(baseUrl + '/retry-much-later'), /failed with code 503/);
+    assert.equal(requestCounts['/retry-much-later'], 1, 'expected no retry if Retry-After exceeds maxDelay');
+
+    // other errors are not retried
+    await assert.rejects(client.getJson(baseUrl + '/unknown'), /failed with code 404/);
+    assert.equal(requestCounts['/unknown'], 1, '404 must not be retried');
+
+    // retries can be disabled per client
+    failuresLeft['/unavailable'] = 1;
+    requestCounts['/unavailable'] = 0;
+    const noRetryClient = new UrlFetchJsonClient().setRetryOptions({maxRetries: 0});
+    await assert.rejects(noRetryClient.getJson(baseUrl + '/unavailable'), /failed with code 503/);
+    assert.equal(requestCounts['/unavailable'], 1, 'expected no retry if disabled');
+} finally {
+    mockServer.close();
+}
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+
+const {createServer} = await import('http');
+const {CalendarClient, CalendarListClient, UrlFetchApp} = (await import('../lib-output/lib.js')).default;
+
+const batchRequests = [];
+
+// minimal Google API batch endpoint: answers each part in reverse order, items with unknown IDs fail with 404, items with
+// misnumbered IDs are answered with an unexpected Content-ID
+const mockServer = createServer((request, response) => {
+    console.log("request: ", (request.method || '').toUpperCase(), request.url);
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        if (request.url !== '/batch/calendar/v3' || request.method !== 'POST') {
+            response.writeHead(404, {'Content-Type': 'application/json'});
+            response.end('{}', 'utf-8');
+            return;
+        }
+
+        const boundary = request.headers['content-type'].match(/boundary=(\S+)/)[1];
+        const parts = Buffer.concat(chunks).toString('utf-8').split('--' + boundary)
+            .filter(part => part.trim() !== '' && part.trim() !== '--');
+        batchRequests.push(parts.length);
+
+        const responseParts = parts.map(part => {
+            const [partHeaders, httpHead, body] = part.trim().split('\r\n\r\n');
+            const [method, path] = httpHead.split('\r\n')[0].split(' ');
+            const payload = body ? JSON.parse(body) : undefined;
+            const contentId = (payload?.id || '').startsWith('misnumbered') ? 'item99' : partHeaders.match(/Content-ID: <(.*)>/)[1];
+
+            let status = '200 OK';
+            let result = {method: method, path: path, ...payload};
+            if ((payload?.id || '').startsWith('unknown')) {
+                status = '404 Not Found';
+                result = {error: {code: 404, message: 'Not Found'}};
+            }
+            return `Content-Type: application/http\r\nContent-ID: <response-${contentId}>\r\n\r\n`
+                + `HTTP/1.1 ${status}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(result)}\r\n`;
+        }).reverse();
+
+        response.writeHead(200, {'Content-Type': 'multipart/mixed; boundary=batch_response'});
+        response.end(responseParts.map(part => '--batch_response\r\n' + part).join('') + '--batch_response--\r\n', 'utf-8');
+    });
+});
+
+try {
+    const baseUrl = await new Promise(resolve => mockServer.listen({
+        host: '127.0.0.1',
+        port: 0
+    }, () => resolve('http://127.0.0.1:' + mockServer.address().port)));
+    UrlFetchApp.addUrlRewrite('https://www.googleapis.com', baseUrl);
+
+    const calendarList = new CalendarListClient();
+    const insertResults = await calendarList.batchInsert([{id: 'a@example.com'}, {id: 'unknown@example.com'}, {id: 'b@example.com'}]);
+
+    assert.equal(insertResults.length, 3, 'expected one result per request');
+    assert.equal(insertResults[0].result.id, 'a@example.com', 'results not in order of requests');
+    assert.equal(insertResults[0].result.method, 'POST');
+    assert.equal(insertResults[0].result.path, '/calendar/v3/users/me/calendarList');
+    assert.equal(insertResults[1].code, 404, 'expected per-item error code');
+    assert(insertResults[1].error instanceof Error, 'expected per-item error');
+    assert.equal(insertResults[2].result.id, 'b@example.com', 'results not in order of requests');
+    assert(!insertResults[2].error, 'successful item must not have an error');
+
+    // parts with unexpected IDs are ignored, the other items still succeed
+    const misnumberedResults = await calendarList.batchInsert([{id: 'a@example.com'}, {id: 'misnumbered@example.com'}]);
+    assert.equal(misnumberedResults[0].result.id, 'a@example.com', 'item failed due to unexpected part');
+    assert.match(misnumberedResults[1].error.message, /is missing in batch response/, 'expected unanswered item to fail');
+
+    // more than 100 calls are split into multiple HTTP requests
+    const calendar = new CalendarClient();
+    const events = Array.from({length: 150}, (_, i) => ({id: 'event' + i, summary: 'Event ' + i}));
+    const updateResults = await calendar.batchUpdate('primary', events);
+
+    assert.deepEqual(batchRequests, [3, 2, 100, 50], 'expected batches of up to 100 calls');
+    assert.deepEqual(updateResults.map(result => result.result.summary), events.map(event => event.summary), 'results not in order of requests');
+    assert.equal(updateResults[149].result.path, '/calendar/v3/calendars/primary/events/event149');
+    assert.equal(updateResults[149].result.method, 'PUT');
+
+    assert.deepEqual(await calendar.batch([]), [], 'empty batch must not fail');
+} finally {
+    UrlFetchApp.clearUrlRewrites();
+    mockServer.close();
+}
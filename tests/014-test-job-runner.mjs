@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+
+const {JobRunner, PropertiesService} = (await import('../lib-output/lib.js')).default;
+
+const cursorKey = 'Test.jobCursor';
+const items = ['d', 'b', 'e', 'a', 'c'].map(name => ({name: name}));
+const getKey = item => item.name;
+
+// first execution stops while processing the third item
+let visited = [];
+let job = new JobRunner(cursorKey);
+assert.equal(await job.run(items, getKey, async item => {
+    visited.push(item.name);
+    return visited.length < 3;
+}), false, 'expected job to be stopped early');
+assert.deepEqual(visited, ['a', 'b', 'c'], 'expected items in order of keys');
+assert.deepEqual(job.getCursor(), {key: 'b'}, 'cursor must point to the last completed item');
+
+// next execution resumes with the incomplete item and wraps around
+visited = [];
+job = new JobRunner(cursorKey);
+assert.equal(await job.run(items, getKey, async item => {
+    visited.push(item.name);
+    return true;
+}), true, 'expected all items to be processed');
+assert.deepEqual(visited, ['c', 'd', 'e', 'a', 'b'], 'expected to resume after last completed item');
+assert.deepEqual(job.getCursor(), {key: 'b'});
+
+// checkpoints resume partially processed items
+visited = [];
+job = new JobRunner(cursorKey);
+await job.run(items, getKey, async (item, state) => {
+    visited.push(item.name);
+    if (item.name === 'd') {
+        job.checkpoint({page: 2});
+        return false;
+    }
+    return true;
+});
+assert.deepEqual(visited, ['c', 'd']);
+assert.deepEqual(job.getCursor(), {key: 'd', state: {page: 2}}, 'expected checkpoint state in cursor');
+
+const states = {};
+job = new JobRunner(cursorKey);
+await job.run(items, getKey, async (item, state) => {
+    states[item.name] = state;
+    return true;
+});
+assert.deepEqual(states.d, {page: 2}, 'resumed item must receive its checkpoint state');
+assert.equal(states.e, undefined, 'other items must not receive a checkpoint state');
+assert.deepEqual(job.getCursor(), {key: 'c'}, 'expected one full round, starting at the resumed item');
+
+// items removed in the meantime don't break resuming
+job = new JobRunner(cursorKey);
+visited = [];
+await job.run(items.filter(item => item.name !== 'd'), getKey, async item => {
+    visited.push(item.name);
+    return true;
+});
+assert.deepEqual(visited, ['e', 'a', 'b', 'c']);
+
+// runtime limit
+let isCalled = false;
+job = new JobRunner(cursorKey, 0);
+assert.equal(await job.run(items, getKey, async () => isCalled = true), false, 'expected job to stop at deadline');
+assert(!isCalled, 'no item must be started after the deadline');
+
+// reset
+job.reset();
+assert.equal(PropertiesService.getScriptProperties().getProperty(cursorKey), undefined, 'cursor not removed');
+visited = [];
+await new JobRunner(cursorKey).run(items, getKey, async item => visited.push(item.name));
+assert.equal(visited[0], 'a', 'expected to start at first item after reset');
+
+// without cursor key nothing is persisted
+visited = [];
+await new JobRunner(undefined).run(items, getKey, async item => visited.push(item.name) < 2);
+assert.deepEqual(visited, ['a', 'b']);
+assert.equal(new JobRunner(undefined).getCursor(), null);
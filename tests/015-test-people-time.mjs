@@ -15,3 +15,13 @@ assert(t1.isFirstHalfDay(), 't1 is at 00:00 which means lies in the first half o
 assert(!t2.isFirstHalfDay(), 't2 is at 20:00 which means the second half of the day already started');
 assert(t2.normalizeHalfDay(true, true), 't2 not normalized to 2016-05-16T12:00:00 at end of event with half-days');
 assert(t2.normalizeHalfDay(false, false), 't2 not normalized to 2016-05-16T00:00:00 at start of event without half-days');
+
+const t3 = PeopleTime.fromISO8601('2016-05-16T10:45:00+02:00');
+assert.equal(t3.toISOString(), '2016-05-16T10:45:00+02:00', 'minutes not preserved');
+assert.equal(t3.getTime(), Date.parse('2016-05-16T10:45:00+02:00'), 'getTime() does not take minutes or tzOffset into account');
+assert(!t3.equals(PeopleTime.fromISO8601('2016-05-16T10:00:00+02:00')), 'PeopleTime.equals() ignores minutes');
+assert.equal(PeopleTime.fromISO8601('2016-05-16T23:30:00Z').switchHour0ToHour24().toString(), '2016-05-16T23:30:00', 'only hour 0 must be switched');
+assert.equal(t3.normalizeHalfDay(false, true).toString(), '2016-05-16T00:00:00', 'start before midday not normalized to start of day');
+assert.equal(t3.normalizeHalfDay(true, true, 10.5).toString(), '2016-05-16T24:00:00', 'end after custom midday not normalized to end of day');
+assert.equal(t3.normalizeHalfDay(false, true, 10.5).toString(), '2016-05-16T12:00:00', 'start after custom midday not normalized to half-day');
+assert.throws(() => PeopleTime.fromISO8601('2016-05-16T24:30:00Z'), 'accepted time after 24:00');
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const {createServer} = await import('http');
+const lib = (await import('../lib-output/lib.js')).default;
+const {LlmClient, GeminiRestClient, AnthropicRestClient, OpenAiRestClient, UrlFetchApp} = lib;
+
+// canned provider responses, by request path
+const responses = {
+    '/gemini/v1beta/models/gemini-test:generateContent': {
+        candidates: [{content: {parts: [{text: 'gemini summary'}]}}],
+        usageMetadata: {promptTokenCount: 120, cachedContentTokenCount: 20, candidatesTokenCount: 30, thoughtsTokenCount: 5}
+    },
+    '/gemini/v1beta/models/gemini-json:generateContent': {
+        candidates: [{content: {parts: [{text: '```json\n{"actionItems": []}\n```'}]}}]
+    },
+    '/anthropic/v1/messages': {
+        content: [{type: 'thinking', thinking: '...'}, {type: 'text', text: 'anthropic '}, {type: 'text', text: 'summary'}],
+        usage: {input_tokens: 100, output_tokens: 40, cache_read_input_tokens: 10}
+    },
+    '/openai/v1/chat/completions': {
+        choices: [{message: {role: 'assistant', content: 'openai summary'}}],
+        usage: {prompt_tokens: 90, completion_tokens: 25, prompt_tokens_details: {cached_tokens: 15}}
+    }
+};
+const requests = [];
+
+const mockServer = createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const url = new URL(request.url, 'http://127.0.0.1');
+        requests.push({path: url.pathname, query: url.searchParams, headers: request.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf-8'))});
+        const content = responses[url.pathname];
+        response.writeHead(content ? 200 : 400, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(content || {error: {message: 'unknown model'}}), 'utf-8');
+    });
+});
+
+try {
+    const baseUrl = await new Promise(resolve => mockServer.listen({
+        host: '127.0.0.1',
+        port: 0
+    }, () => resolve('http://127.0.0.1:' + mockServer.address().port)));
+
+    UrlFetchApp.addUrlRewrite('https://generativelanguage.googleapis.com', baseUrl + '/gemini');
+    UrlFetchApp.addUrlRewrite('https://api.anthropic.com', baseUrl + '/anthropic');
+    UrlFetchApp.addUrlRewrite('https://api.openai.com', baseUrl + '/openai');
+
+    // Gemini
+    const gemini = LlmClient.create('gemini', 'gemini-key', 'gemini-test');
+    assert(gemini instanceof GeminiRestClient);
+    assert.equal(await gemini.summarizeText('notes', 'Summarize'), 'gemini summary');
+    assert.equal(requests.at(-1).query.get('key'), 'gemini-key');
+    assert.equal(requests.at(-1).body.contents[0].parts[0].text, 'Summarize\n\nDocument content:\nnotes');
+    assert.deepEqual(gemini.getUsage(), {provider: 'gemini', model: 'gemini-test', inputTokens: 100, outputTokens: 35, cacheReadTokens: 20, requests: 1},
+        'cached tokens must be excluded from input tokens, thinking tokens are output');
+
+    // Anthropic
+    const anthropic = LlmClient.create('Anthropic', 'anthropic-key');
+    assert(anthropic instanceof AnthropicRestClient);
+    assert.equal(anthropic.getModel(), AnthropicRestClient.DEFAULT_MODEL);
+    assert.equal(await anthropic.summarizeText('notes', 'Summarize'), 'anthropic summary', 'expected text blocks only');
+    assert.equal(await anthropic.summarizeText('more notes', 'Summarize'), 'anthropic summary');
+    assert.equal(requests.at(-1).headers['x-api-key'], 'anthropic-key');
+    assert.equal(requests.at(-1).body.model, AnthropicRestClient.DEFAULT_MODEL);
+    assert.deepEqual(anthropic.getUsage(), {provider: 'anthropic', model: AnthropicRestClient.DEFAULT_MODEL, inputTokens: 200, outputTokens: 80,
+        cacheReadTokens: 20, requests: 2}, 'usage must be accumulated over requests');
+
+    // OpenAI
+    const openai = LlmClient.create('openai', 'openai-key', 'gpt-test');
+    assert(openai instanceof OpenAiRestClient);
+    assert.equal(await openai.summarizeText('notes', 'Summarize'), 'openai summary');
+    assert.equal(requests.at(-1).headers.authorization, 'Bearer openai-key');
+    assert.deepEqual(requests.at(-1).body.messages, [{role: 'user', content: 'Summarize\n\nDocument content:\nnotes'}]);
+    assert.deepEqual(openai.getUsage(), {provider: 'openai', model: 'gpt-test', inputTokens: 75, outputTokens: 25, cacheReadTokens: 15, requests: 1});
+
+    // JSON extraction
+    const extractor = LlmClient.create('gemini', 'gemini-key', 'gemini-json');
+    assert.deepEqual(await extractor.extractJson('notes', 'Extract'), {actionItems: []}, 'expected JSON without code block');
+    assert.match(requests.at(-1).body.contents[0].parts[0].text, /^Extract\n\nRespond with JSON only\./);
+    await assert.rejects(gemini.extractJson('notes', 'Extract'), /gemini response is not valid JSON/);
+
+    // errors
+    await assert.rejects(LlmClient.create('gemini', 'gemini-key', 'unknown').summarizeText('notes', 'Summarize'), /gemini API request failed with code 400/);
+    assert.throws(() => LlmClient.create('mistral', 'key'), /Unsupported LLM provider "mistral"/);
+
+    // provider selection by script properties
+    const {getLlmClient_} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url), ['getLlmClient_']);
+    const properties = lib.PropertiesService.getScriptProperties();
+    assert.equal(getLlmClient_(), null, 'expected no client without API key');
+
+    properties.setProperty('Meetings.geminiApiKey', 'gemini-key');
+    assert(getLlmClient_() instanceof GeminiRestClient, 'expected Gemini by default');
+
+    properties.setProperty('Meetings.llmProvider', 'openai');
+    assert.equal(getLlmClient_(), null, 'Gemini API key must not be used for other providers');
+
+    properties.setProperty('Meetings.llmApiKey', 'openai-key');
+    properties.setProperty('Meetings.llmModel', 'gpt-test');
+    const configured = getLlmClient_();
+    assert(configured instanceof OpenAiRestClient);
+    assert.equal(configured.getModel(), 'gpt-test');
+} finally {
+    UrlFetchApp.clearUrlRewrites();
+    mockServer.close();
+}
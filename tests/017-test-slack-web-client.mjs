@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import {FakeCalendar, FakePersonio, FakeSlack, startFakeApis} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+const {SlackWebClient, SlackApiError, SlackRateLimitError} = lib;
+
+const slack = new FakeSlack({'alice@example.com': {id: 'U1', name: 'alice'}}, [{id: 'C1', name: 'general'}, {id: 'C2', name: 'random'}]);
+const fakeApis = await startFakeApis(lib, new FakePersonio(), new FakeCalendar(), slack);
+
+try {
+    const client = new SlackWebClient('xoxb-test').setRetryOptions({initialDelay: 10, maxDelay: 100});
+
+    assert.deepEqual((await client.getUserChannels()).map(channel => channel.id), ['C1', 'C2']);
+    assert.equal((await client.lookupByEmail('alice@example.com')).id, 'U1');
+    assert.equal(await client.lookupByEmail('bob@example.com'), null, 'unknown users must not be an error');
+
+    // messages, threads and updates
+    const posted = await client.postMessage('C1', 'Hello', [{type: 'section', text: {type: 'mrkdwn', text: '*Hello*'}}]);
+    assert.equal(slack.messages[0].blocks[0].text.text, '*Hello*', 'blocks not posted');
+    await client.postMessage('C1', 'Reply', undefined, posted.ts);
+    assert.equal(slack.messages[1].thread_ts, posted.ts, 'reply not posted in thread');
+    assert.equal('thread_ts' in slack.messages[0], false, 'unset arguments must be omitted');
+    await client.updateMessage('C1', posted.ts, 'Hello again');
+    assert.equal(slack.messages[0].text, 'Hello again');
+    assert(slack.messages[0].edited, 'message not updated');
+
+    await client.postEphemeral('C1', 'U1', 'Only for you');
+    assert.deepEqual(slack.ephemeralMessages, [{channel: 'C1', user: 'U1', text: 'Only for you'}]);
+
+    // direct messages
+    await client.postDirectMessage('U1', 'Hi Alice');
+    assert.equal(slack.messages.at(-1).channel, 'D-U1', 'direct message not posted to conversation');
+    assert.equal(await client.openConversation(['U1', 'U2']), 'D-U1,U2');
+
+    // file uploads
+    const file = await client.uploadFile('C2', 'report.csv', 'name,value\nÄrger,1\n', {initialComment: 'Weekly report', threadTs: posted.ts});
+    assert.equal(file.title, 'report.csv', 'title must default to the file name');
+    assert.equal(slack.files[0].content, 'name,value\nÄrger,1\n', 'file content not uploaded');
+    assert.equal(slack.files[0].length, 20, 'expected length in bytes');
+    assert.deepEqual([file.channel, file.initialComment, file.threadTs], ['C2', 'Weekly report', posted.ts]);
+
+    // rate limits are retried, honouring Retry-After
+    slack.calls.length = 0;
+    slack.rateLimited = 2;
+    await client.postMessage('C2', 'Eventually');
+    assert.deepEqual(slack.calls, ['chat.postMessage', 'chat.postMessage', 'chat.postMessage']);
+
+    slack.rateLimited = 10;
+    await assert.rejects(client.postMessage('C2', 'Never'),
+        e => e instanceof SlackRateLimitError && e instanceof SlackApiError && e.retryAfter === 0 && e.method === 'chat.postMessage');
+    slack.rateLimited = 0;
+
+    // typed errors
+    await assert.rejects(client.updateMessage('C2', '1.0', 'Unknown'), e => e instanceof SlackApiError && e.error === 'message_not_found');
+    await assert.rejects(client.call('admin.unknown'), /Slack API call admin\.unknown failed: unknown_method/);
+} finally {
+    fakeApis.close();
+}
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+const {PeopleTime} = lib;
+
+const {convertOutOfOfficeToTimeOff_, createEventFromTimeOff_, localizeTimeOffs_, TimeOffTypeConfig} = loadScript(lib,
+    new URL('../sync-timeoffs/SyncTimeOffs.js', import.meta.url),
+    ['convertOutOfOfficeToTimeOff_', 'createEventFromTimeOff_', 'localizeTimeOffs_', 'TimeOffTypeConfig']);
+
+const email = 'alice@example.com';
+const employee = {attributes: {id: {value: 1}, email: {value: email}}};
+const timeOffTypeConfig = new TimeOffTypeConfig([{type: 'TimeOffType', attributes: {id: 10, name: 'Vacation'}}]);
+
+/** Convert an out-of-office event (start/end as ISO8601 timestamps or dates) to a TimeOff in the home time-zone. */
+function convert(start, end, timeZone) {
+    const toEventTime = ts => ts.includes('T') ? {dateTime: ts} : {date: ts};
+    const event = {summary: 'Vacation', creator: {email: email}, start: toEventTime(start), end: toEventTime(end), updated: new Date().toISOString()};
+    const timeOff = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, undefined, timeZone);
+    return [timeOff.startAt.toISOString(), timeOff.endAt.toISOString()];
+}
+
+for (const [start, end, timeZone, expected, description] of [
+    ['2026-03-29', '2026-03-30', 'Europe/Berlin', ['2026-03-29T00:00:00+01:00', '2026-03-29T24:00:00+02:00'],
+        'all-day event at the start of DST'],
+    ['2026-10-24T18:00:00-04:00', '2026-10-25T19:00:00-04:00', 'Europe/Berlin', ['2026-10-25T00:00:00+02:00', '2026-10-25T24:00:00+01:00'],
+        'event created while travelling, at the end of DST'],
+    ['2026-10-24T18:00:00-04:00', '2026-10-25T19:00:00-04:00', undefined, ['2026-10-24T12:00:00-04:00', '2026-10-25T24:00:00-04:00'],
+        'event without home time-zone keeps its own offset'],
+    ['2026-01-14T01:00:00-10:00', '2026-01-15T01:00:00-10:00', 'Pacific/Auckland', ['2026-01-15T00:00:00+13:00', '2026-01-15T24:00:00+13:00'],
+        'event created east of the date line for a home west of it'],
+    ['2026-06-01T01:00:00+14:00', '2026-06-02T01:00:00+14:00', 'Pacific/Pago_Pago', ['2026-05-31T00:00:00-11:00', '2026-05-31T24:00:00-11:00'],
+        'event created west of the date line for a home east of it'],
+    ['2026-06-01T18:30:00Z', '2026-06-02T18:30:00Z', 'Asia/Kolkata', ['2026-06-02T00:00:00+05:30', '2026-06-02T24:00:00+05:30'],
+        'home time-zone with half-hour offset'],
+    ['2026-11-01T02:30:00Z', '2026-11-02T03:30:00Z', 'America/St_Johns', ['2026-11-01T00:00:00-02:30', '2026-11-01T24:00:00-03:30'],
+        'negative half-hour offset at the end of DST']
+]) {
+    assert.deepEqual(convert(start, end, timeZone), expected, `wrong conversion of ${description}`);
+}
+
+// Personio time-offs are moved to the home time-zone, events are created at the local midnight
+const timeOffs = {
+    100: {id: 100, employeeId: 1, startAt: PeopleTime.fromISO8601('2026-03-29T00:00:00+00:00', 0), endAt: PeopleTime.fromISO8601('2026-03-29T00:00:00+00:00', 24),
+        typeId: 10, typeName: 'Vacation', comment: 'Vacation', status: 'approved'},
+    101: {id: 101, employeeId: 2, startAt: PeopleTime.fromISO8601('2026-03-29T00:00:00+00:00', 0), endAt: PeopleTime.fromISO8601('2026-03-29T00:00:00+00:00', 24),
+        typeId: 10, typeName: 'Vacation', comment: 'Vacation', status: 'approved'}
+};
+const localizedTimeOffs = localizeTimeOffs_(timeOffs, 1, 'Europe/Berlin');
+assert.equal(localizedTimeOffs[101], timeOffs[101], 'time-offs of other employees must not be changed');
+assert.equal(timeOffs[100].startAt.toISOString(), '2026-03-29T00:00:00Z', 'original time-offs must not be changed');
+
+const event = createEventFromTimeOff_(timeOffTypeConfig, localizedTimeOffs[100]);
+assert.deepEqual([event.start.dateTime, event.end.dateTime], ['2026-03-29T00:00:00+01:00', '2026-03-30T00:00:00+02:00'],
+    'event not at local midnight of the home time-zone');
+
+const roundTrip = convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, {...event, creator: {email: email}, updated: new Date().toISOString()},
+    localizedTimeOffs[100], 'Europe/Berlin');
+assert(roundTrip.startAt.equals(timeOffs[100].startAt) && roundTrip.endAt.equals(timeOffs[100].endAt), 'event does not convert back to its time-off');
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const {convertOutOfOfficeToTimeOff_, TimeOffTypeConfig} = loadScript(lib, new URL('../sync-timeoffs/SyncTimeOffs.js', import.meta.url),
+    ['convertOutOfOfficeToTimeOff_', 'TimeOffTypeConfig']);
+
+const timeOffTypes = [[10, 'Vacation'], [11, 'Out of Office'], [12, 'Sick leave'], [13, 'Training']]
+    .map(([id, name]) => ({type: 'TimeOffType', attributes: {id: id, name: name}}));
+
+const mapping = {
+    rules: [
+        {summary: '\\bprivate\\b', skip: true},
+        {summary: '^(sick|ill)\\b', typeId: 12},
+        {colorId: '11', typeId: 13},
+        {eventType: 'outOfOffice', summary: 'holiday', typeId: 10}
+    ],
+    defaultTypeId: 11
+};
+
+const email = 'alice@example.com';
+const employee = {attributes: {id: {value: 1}, email: {value: email}}};
+
+/** Get the TimeOffType ID an event is mapped to (undefined if not synchronized). */
+function mapEvent(timeOffTypeConfig, eventProperties, existingTimeOff) {
+    const event = {summary: '', creator: {email: email}, start: {dateTime: '2026-05-04T00:00:00Z'}, end: {dateTime: '2026-05-05T00:00:00Z'},
+        updated: new Date().toISOString(), ...eventProperties};
+    return convertOutOfOfficeToTimeOff_(timeOffTypeConfig, employee, event, existingTimeOff, 'UTC')?.typeId;
+}
+
+const config = new TimeOffTypeConfig(timeOffTypes, [], mapping);
+assert.equal(mapEvent(config, {summary: 'Ill at home'}), 12, 'summary rule not applied');
+assert.equal(mapEvent(config, {summary: 'ILL at home'}), 12, 'summary rules must be case-insensitive');
+assert.equal(mapEvent(config, {summary: 'Conference', colorId: '11'}), 13, 'color rule not applied');
+assert.equal(mapEvent(config, {summary: 'Company holiday', eventType: 'outOfOffice'}), 10, 'event type rule not applied');
+assert.equal(mapEvent(config, {summary: 'Company holiday'}), undefined, 'all conditions of a rule must match');
+assert.equal(mapEvent(config, {summary: 'Away', eventType: 'outOfOffice'}), 11, 'default type not applied to out-of-office events');
+assert.equal(mapEvent(config, {summary: 'Vacation'}), undefined, 'keywords must not be matched if a mapping is configured');
+assert.equal(mapEvent(config, {summary: 'Beach ⇵'}, {typeId: 10}), 10, 'synchronized events must keep their type if no rule matches');
+assert.equal(mapEvent(config, {summary: 'Sick (private)', eventType: 'outOfOffice'}), undefined, 'skip rule not applied');
+assert.equal(mapEvent(config, {summary: 'private trip ⇵'}, {typeId: 10}), undefined, 'skip rule not applied to synchronized events');
+
+// keyword matching without mapping
+const keywordConfig = new TimeOffTypeConfig(timeOffTypes, []);
+assert.equal(mapEvent(keywordConfig, {summary: 'Vacation'}), 10, 'keyword not matched without mapping');
+assert.equal(mapEvent(keywordConfig, {summary: 'Away', eventType: 'outOfOffice'}), 11, 'out-of-office events not mapped to "Out" type');
+
+// validation against the Personio time-off types
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: [{summary: 'x', typeId: 99}]}), /typeId of rule 1 99 is not a Personio time-off type/);
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: [], defaultTypeId: 99}), /defaultTypeId 99 is not a Personio time-off type/);
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: [{summary: '(', typeId: 10}]}), /summary of rule 1 is not a valid RegExp/);
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: [{typeId: 10}]}), /rule 1 has no condition/);
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: [{summary: 'x', typeId: 10, skip: true}]}), /rule 1 must either specify typeId or skip/);
+assert.throws(() => new TimeOffTypeConfig(timeOffTypes, [], {rules: {summary: 'x'}}), /rules must be an array/);
@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import {FakePersonio, FakeCalendar, FakeSlack, startFakeApis, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+/** ISO8601 date (without time) relative to today. */
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+const email = 'alice@example.com';
+const alice = FakePersonio.employee(1, email, {
+    first_name: {label: 'First name', value: 'Alice'},
+    last_name: {label: 'Last name', value: 'Example'},
+    department: {label: 'Department', value: {type: 'Department', attributes: {id: 5, name: 'Engineering'}}}
+});
+const teamCalendarId = 'engineering-absences@group.calendar.google.com';
+const vacation = FakePersonio.timeOffType(10, 'Vacation');
+const doctor = FakePersonio.timeOffType(12, 'Doctor appointment', 'hour');
+const personio = new FakePersonio({employees: [alice], timeOffTypes: [vacation, FakePersonio.timeOffType(11, 'Out of Office'), doctor]});
+const calendar = new FakeCalendar();
+calendar.timeZonesByEmail[email] = 'UTC';
+const slack = new FakeSlack({[email]: {id: 'U123', name: 'alice'}});
+
+// Personio time-off without calendar event -> event is inserted
+personio.timeOffs.push(personio.timeOff({id: 100, employee: alice, timeOffType: vacation, startDate: isoDate(10), endDate: isoDate(10), comment: 'Beach', updatedAt: dayAgo}));
+
+// calendar event without time-off -> time-off is inserted
+const newEvent = calendar.event(email, {summary: 'Vacation trip', start: isoDate(20) + 'T00:00:00+00:00', end: isoDate(21) + 'T00:00:00+00:00', updated: dayAgo});
+
+// synced event whose time-off was deleted in Personio -> event is cancelled
+const orphanedEvent = calendar.event(email, {summary: 'Vacation old ⇵', start: isoDate(30) + 'T00:00:00+00:00', end: isoDate(31) + 'T00:00:00+00:00', updated: dayAgo,
+    extendedProperties: {private: {timeOffId: '999'}}});
+
+// synced event cancelled in Google Calendar -> time-off is deleted
+personio.timeOffs.push(personio.timeOff({id: 101, employee: alice, timeOffType: vacation, startDate: isoDate(40), endDate: isoDate(40), comment: 'Vacation hike', updatedAt: dayAgo}));
+const cancelledEvent = calendar.event(email, {summary: 'Vacation hike ⇵', start: isoDate(40) + 'T00:00:00+00:00', end: isoDate(41) + 'T00:00:00+00:00', updated: dayAgo,
+    status: 'cancelled', extendedProperties: {private: {timeOffId: '101'}}});
+
+// calendar event overlapping an existing time-off -> Personio rejects it, employee is notified once
+const conflictingEvent = calendar.event(email, {summary: 'Vacation conflict', start: isoDate(10) + 'T00:00:00+00:00', end: isoDate(11) + 'T00:00:00+00:00', updated: dayAgo});
+
+// time-off pending approval -> tentative event, marked as pending
+personio.timeOffs.push(personio.timeOff({id: 102, employee: alice, timeOffType: vacation, startDate: isoDate(50), endDate: isoDate(50), comment: 'Vacation maybe', status: 'pending', updatedAt: dayAgo}));
+
+// synced time-off rejected in Personio -> event is cancelled, time-off is kept
+personio.timeOffs.push(personio.timeOff({id: 103, employee: alice, timeOffType: vacation, startDate: isoDate(60), endDate: isoDate(60), comment: 'Vacation denied', status: 'rejected', updatedAt: dayAgo}));
+const rejectedEvent = calendar.event(email, {summary: 'Vacation denied ⇵', start: isoDate(60) + 'T00:00:00Z', end: isoDate(61) + 'T00:00:00Z', updated: dayAgo,
+    extendedProperties: {private: {timeOffId: '103'}}});
+
+// synced time-off approved in Personio -> pending marks are removed
+personio.timeOffs.push(personio.timeOff({id: 104, employee: alice, timeOffType: vacation, startDate: isoDate(70), endDate: isoDate(70), comment: 'Vacation approved', updatedAt: dayAgo}));
+const approvedEvent = calendar.event(email, {summary: '[pending] Vacation approved ⇵', start: isoDate(70) + 'T00:00:00Z', end: isoDate(71) + 'T00:00:00Z', updated: dayAgo,
+    status: 'tentative', extendedProperties: {private: {timeOffId: '104', timeOffStatus: 'pending'}}});
+
+// calendar event of an hourly time-off type -> hourly absence with exact times is inserted
+const doctorEvent = calendar.event(email, {summary: 'Doctor visit', start: isoDate(80) + 'T10:30:00+02:00', end: isoDate(80) + 'T12:15:00+02:00', updated: dayAgo});
+
+// Personio hourly absence without calendar event -> event with exact times is inserted
+personio.absencePeriods.push(personio.absencePeriod({id: 'absence-1', employee: alice, timeOffType: doctor, start: isoDate(90) + 'T14:00:00+00:00',
+    end: isoDate(90) + 'T15:30:00+00:00', comment: 'Doctor checkup', updatedAt: dayAgo}));
+
+// partial-day events are mapped according to the working hours (09:00-17:00)
+const eveningEvent = calendar.event(email, {summary: 'Vacation evening', start: isoDate(100) + 'T18:00:00Z', end: isoDate(101) + 'T08:00:00Z', updated: dayAgo});
+const afternoonEvent = calendar.event(email, {summary: 'Vacation afternoon', start: isoDate(110) + 'T14:00:00Z', end: isoDate(110) + 'T18:00:00Z', updated: dayAgo});
+const longAfternoonEvent = calendar.event(email, {summary: 'Vacation long afternoon', start: isoDate(120) + 'T12:30:00Z', end: isoDate(120) + 'T17:00:00Z', updated: dayAgo});
+
+calendar.getEvents(email).push(newEvent, orphanedEvent, cancelledEvent, conflictingEvent, rejectedEvent, approvedEvent,
+    doctorEvent, eveningEvent, afternoonEvent, longAfternoonEvent);
+
+// team calendar event of a time-off that no longer exists -> cancelled
+const staleTeamEvent = {...calendar.event(teamCalendarId, {summary: 'Alice Example: Vacation', updated: dayAgo, extendedProperties: {private: {timeOffId: '999'}}}),
+    start: {date: isoDate(30)}, end: {date: isoDate(31)}};
+calendar.getEvents(teamCalendarId).push(staleTeamEvent);
+
+lib.PropertiesService.getScriptProperties().setProperties({
+    'SyncTimeOffs.personioToken': 'clientId|clientSecret',
+    'SyncTimeOffs.serviceAccountCredentials': '{}',
+    'SyncTimeOffs.allowedDomains': 'example.com',
+    'SyncTimeOffs.slackBotToken': 'xoxb-test',
+    'SyncTimeOffs.teamCalendars': JSON.stringify({Engineering: teamCalendarId}),
+    'SyncTimeOffs.teamCalendarsOwner': 'calendar-admin@example.com',
+    'SyncTimeOffs.workingHours': '09:00-17:00'
+}, false);
+
+const fakeApis = await startFakeApis(lib, personio, calendar, slack);
+try {
+    const {syncTimeOffs} = loadScript(lib, new URL('../sync-timeoffs/SyncTimeOffs.js', import.meta.url), ['syncTimeOffs']);
+
+    assert.equal(await syncTimeOffs(), true, 'synchronization did not complete');
+
+    const events = calendar.getEvents(email);
+
+    const insertedEvent = events.find(event => +event.extendedProperties?.private?.timeOffId === 100);
+    assert(insertedEvent, 'no event inserted for Personio time-off');
+    assert.equal(insertedEvent.start.dateTime, isoDate(10) + 'T00:00:00Z', 'inserted event starts at wrong time');
+    assert.equal(insertedEvent.end.dateTime, isoDate(11) + 'T00:00:00Z', 'inserted event ends at wrong time');
+
+    const createdTimeOff = personio.timeOffs.find(timeOff => timeOff.attributes.comment === 'Vacation trip');
+    assert(createdTimeOff, 'no time-off inserted for calendar event');
+    assert.equal(createdTimeOff.attributes.start_date.split('T')[0], isoDate(20), 'inserted time-off starts at wrong date');
+    assert.equal(createdTimeOff.attributes.end_date.split('T')[0], isoDate(20), 'inserted time-off ends at wrong date');
+    assert.equal(createdTimeOff.attributes.time_off_type.attributes.id, vacation.attributes.id, 'inserted time-off has wrong type');
+    const linkedEvent = events.find(event => event.id === newEvent.id);
+    assert.equal(+linkedEvent.extendedProperties.private.timeOffId, createdTimeOff.attributes.id, 'calendar event not linked to inserted time-off');
+    assert.equal(linkedEvent.summary, 'Vacation trip ⇵', 'calendar event not marked as synced');
+
+    assert.equal(events.find(event => event.id === orphanedEvent.id).status, 'cancelled', 'orphaned event not cancelled');
+
+    assert(!personio.findTimeOff(101), 'time-off of cancelled event not deleted');
+    assert(personio.findTimeOff(100), 'unrelated time-off deleted');
+
+    const pendingEvent = events.find(event => +event.extendedProperties?.private?.timeOffId === 102);
+    assert(pendingEvent, 'no event inserted for pending time-off');
+    assert.equal(pendingEvent.status, 'tentative', 'event of pending time-off is not tentative');
+    assert.equal(pendingEvent.summary, '[pending] Vacation maybe ⇵', 'event of pending time-off is not marked');
+    assert.equal(pendingEvent.extendedProperties.private.timeOffStatus, 'pending', 'time-off status not stored in event');
+
+    assert.equal(events.find(event => event.id === rejectedEvent.id).status, 'cancelled', 'event of rejected time-off not cancelled');
+
+    const updatedApprovedEvent = events.find(event => event.id === approvedEvent.id);
+    assert.equal(updatedApprovedEvent.status, 'confirmed', 'event of approved time-off is still tentative');
+    assert.equal(updatedApprovedEvent.summary, 'Vacation approved ⇵', 'event of approved time-off is still marked');
+    assert.equal(updatedApprovedEvent.extendedProperties.private.timeOffStatus, 'approved', 'time-off status not updated in event');
+
+    assert.equal(personio.absencePeriods.length, 2, 'expected one hourly absence to be inserted');
+    const createdAbsence = personio.absencePeriods.find(absencePeriod => absencePeriod.attributes.comment === 'Doctor visit');
+    assert(createdAbsence, 'no hourly absence inserted for calendar event of hourly type');
+    assert.deepEqual([createdAbsence.attributes.start, createdAbsence.attributes.end], [isoDate(80) + 'T08:30:00Z', isoDate(80) + 'T10:15:00Z'],
+        'hourly absence does not match exact event times (in the home time-zone)');
+    assert.equal(events.find(event => event.id === doctorEvent.id).extendedProperties.private.timeOffId, createdAbsence.attributes.id,
+        'calendar event not linked to inserted hourly absence');
+
+    const checkupEvent = events.find(event => event.extendedProperties?.private?.timeOffId === 'absence-1');
+    assert(checkupEvent, 'no event inserted for Personio hourly absence');
+    assert.deepEqual([checkupEvent.start.dateTime, checkupEvent.end.dateTime], [isoDate(90) + 'T14:00:00Z', isoDate(90) + 'T15:30:00Z'],
+        'event does not match exact times of hourly absence');
+
+    assert(!personio.timeOffs.some(timeOff => timeOff.attributes.comment === 'Vacation evening'), 'time-off inserted for event outside working hours');
+    const afternoonTimeOff = personio.timeOffs.find(timeOff => timeOff.attributes.comment === 'Vacation afternoon');
+    assert.deepEqual([afternoonTimeOff?.attributes.half_day_start, afternoonTimeOff?.attributes.half_day_end], [0, 1], 'afternoon not mapped to half day');
+    const longAfternoonTimeOff = personio.timeOffs.find(timeOff => timeOff.attributes.comment === 'Vacation long afternoon');
+    assert.deepEqual([longAfternoonTimeOff?.attributes.half_day_start, longAfternoonTimeOff?.attributes.half_day_end], [0, 0],
+        'event covering most of the working hours not mapped to whole day');
+
+    assert.equal(slack.messages.length, 1, 'expected one notification about the conflicting event');
+    assert.equal(slack.messages[0].channel, 'D-U123', 'notification not sent to a direct message of the affected employee');
+    assert.match(slack.messages[0].text, /Vacation conflict/, 'notification does not mention the event');
+    assert.match(slack.messages[0].text, /overlaps with an existing absence/, 'notification does not include the Personio error');
+    assert.match(slack.messages[0].text, /personio\.de\/time-off\/employee\/1\//, 'notification does not include a deep link');
+
+    // the same failure is not reported again, even when retried
+    const failedSyncsKey = 'SyncTimeOffs.failedSyncs.' + email;
+    const failedSyncs = JSON.parse(lib.PropertiesService.getScriptProperties().getProperty(failedSyncsKey));
+    assert(failedSyncs['e' + conflictingEvent.id].notified, 'failure not marked as notified');
+    failedSyncs['e' + conflictingEvent.id].failedAt = 0;
+    lib.PropertiesService.getScriptProperties().setProperty(failedSyncsKey, JSON.stringify(failedSyncs));
+
+    // move the cancelled event of the rejected time-off out of the dead zone
+    calendar.getEvents(email).find(event => event.id === rejectedEvent.id).updated = dayAgo.toISOString();
+
+    assert.equal(await syncTimeOffs(), true, 'second synchronization did not complete');
+    const retriedFailure = JSON.parse(lib.PropertiesService.getScriptProperties().getProperty(failedSyncsKey))['e' + conflictingEvent.id];
+    assert.equal(retriedFailure.retries, 2, 'conflicting event not retried');
+    assert.equal(slack.messages.length, 1, 'failure reported more than once');
+    const teamEvents = calendar.getEvents(teamCalendarId);
+    const activeTeamEvents = teamEvents.filter(event => event.status !== 'cancelled');
+    assert.deepEqual(activeTeamEvents.map(event => event.extendedProperties.private.timeOffId).sort(),
+        [100, 102, 104, createdTimeOff.attributes.id, afternoonTimeOff.attributes.id, longAfternoonTimeOff.attributes.id, 'absence-1', createdAbsence.attributes.id]
+            .map(id => '' + id).sort(), 'team calendar does not contain the expected absences');
+    assert.equal(activeTeamEvents.find(event => event.extendedProperties.private.timeOffId === 'absence-1').start.dateTime, isoDate(90) + 'T14:00:00Z',
+        'hourly absence not shown with exact times in team calendar');
+    const teamEvent = activeTeamEvents.find(event => +event.extendedProperties.private.timeOffId === 100);
+    assert.equal(teamEvent.summary, 'Alice Example: Vacation', 'team event does not show name and type');
+    assert.deepEqual([teamEvent.start.date, teamEvent.end.date], [isoDate(10), isoDate(11)], 'team event is not an all-day event of the absence');
+    assert.match(activeTeamEvents.find(event => +event.extendedProperties.private.timeOffId === 102).summary, /^\[pending\] /, 'pending absence not marked in team calendar');
+    assert.equal(teamEvents.find(event => event.id === staleTeamEvent.id).status, 'cancelled', 'stale team event not cancelled');
+    assert.equal(teamEvents.find(event => event.extendedProperties.private.timeOffId === '101').status, 'cancelled', 'team event of deleted time-off not cancelled');
+
+    assert(personio.findTimeOff(103), 'rejected time-off must not be deleted in Personio');
+    assert.equal(personio.absencePeriods.length, 2, 'hourly absences changed without changes to their events');
+    assert.equal(calendar.getEvents(email).filter(event => +event.extendedProperties?.private?.timeOffId === 103).length, 1, 'event for rejected time-off re-inserted');
+
+    // invalid working hours are reported once, before any account is synchronized
+    lib.PropertiesService.getScriptProperties().setProperty('SyncTimeOffs.workingHours', '{"default": "09:00-17:00", "alice@example.com": "17:00-09:00"}');
+    const requestCount = fakeApis.requests.length;
+    await assert.rejects(syncTimeOffs(), /Invalid working hours "17:00-09:00"/);
+    assert.equal(fakeApis.requests.length, requestCount, 'accounts synchronized despite invalid working hours');
+} finally {
+    fakeApis.close();
+}
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import {FakePersonio, FakeCalendar, startFakeApis, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+/** Minimal in-memory replacement of a Google Sheet (values only). */
+class FakeSheet {
+
+    constructor() {
+        this.values = [];
+    }
+
+    getLastRow() {
+        return this.values.length;
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        const sheet = this;
+        return {
+            setValues: values => values.forEach((rowValues, i) => {
+                const target = sheet.values[row - 1 + i] = sheet.values[row - 1 + i] || [];
+                rowValues.forEach((value, j) => target[column - 1 + j] = value);
+            })
+        };
+    }
+}
+
+/** ISO8601 date (without time) relative to today. */
+const isoDate = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+const email = 'alice@example.com';
+const alice = FakePersonio.employee(1, email);
+const vacation = FakePersonio.timeOffType(10, 'Vacation');
+const personio = new FakePersonio({employees: [alice], timeOffTypes: [vacation]});
+const calendar = new FakeCalendar();
+calendar.timeZonesByEmail[email] = 'UTC';
+
+// Personio time-off without calendar event -> event would be inserted
+personio.timeOffs.push(personio.timeOff({id: 100, employee: alice, timeOffType: vacation, startDate: isoDate(10), endDate: isoDate(10), comment: 'Beach', updatedAt: dayAgo}));
+
+// calendar event without time-off -> time-off would be inserted
+calendar.getEvents(email).push(calendar.event(email, {summary: 'Vacation trip', start: isoDate(20) + 'T00:00:00+00:00', end: isoDate(21) + 'T00:00:00+00:00', updated: dayAgo}));
+
+// synced event whose time-off was deleted in Personio -> event would be cancelled
+calendar.getEvents(email).push(calendar.event(email, {summary: 'Vacation old ⇵', start: isoDate(30) + 'T00:00:00+00:00', end: isoDate(31) + 'T00:00:00+00:00', updated: dayAgo,
+    extendedProperties: {private: {timeOffId: '999'}}}));
+
+lib.PropertiesService.getScriptProperties().setProperties({
+    'SyncTimeOffs.personioToken': 'clientId|clientSecret',
+    'SyncTimeOffs.serviceAccountCredentials': '{}',
+    'SyncTimeOffs.allowedDomains': 'example.com',
+    'SyncTimeOffs.planSheet': 'plan-sheet-id'
+}, false);
+
+// failure of an event that no longer exists, dropped by a real run only
+const failedSyncs = JSON.stringify({eVanished: {updatedAt: 1, retries: 1, failedAt: Date.now(), error: 'Conflict'}});
+lib.PropertiesService.getScriptProperties().setProperty('SyncTimeOffs.failedSyncs.' + email, failedSyncs);
+
+const snapshot = () => JSON.stringify([personio.timeOffs, personio.absencePeriods, calendar.getEvents(email),
+    lib.PropertiesService.getScriptProperties().getProperty('SyncTimeOffs.failedSyncs.' + email)]);
+const initialState = snapshot();
+
+const sheet = new FakeSheet();
+const fakeApis = await startFakeApis(lib, personio, calendar);
+try {
+    const {planTimeOffs, syncTimeOffs} = loadScript(lib, new URL('../sync-timeoffs/SyncTimeOffs.js', import.meta.url), ['planTimeOffs', 'syncTimeOffs'], {
+        SpreadsheetApp: {openById: id => id === 'plan-sheet-id' ? {} : assert.fail('unexpected spreadsheet ' + id)},
+        SheetUtil: {ensureSheet: (target, name) => name === 'SyncPlan' ? sheet : assert.fail('unexpected sheet ' + name)}
+    });
+
+    assert.equal(await planTimeOffs(), true, 'plan run did not complete');
+
+    const writes = () => fakeApis.requests.filter(request => !request.startsWith('GET ') && !request.startsWith('POST /personio/auth'));
+    assert.deepEqual(writes(), [], 'plan run sent write requests');
+    assert.equal(snapshot(), initialState, 'plan run changed Personio or Google Calendar');
+
+    const [header, ...rows] = sheet.values;
+    assert.deepEqual(header, ['Planned At', 'Email', 'Action', 'Event ID', 'Summary', 'Time-Off ID', 'Type',
+        'Before Start', 'Before End', 'After Start', 'After End', 'Run', 'Coverage'], 'unexpected plan sheet header');
+    const column = name => header.indexOf(name);
+    assert.deepEqual(rows.map(row => row[column('Action')]).sort(), ['deleteEvent', 'insertEvent', 'insertTimeOff'], 'unexpected planned actions');
+    assert(rows.every(row => row[column('Email')] === email), 'planned actions not recorded for the employee');
+    const insertEventRow = rows.find(row => row[column('Action')] === 'insertEvent');
+    assert.equal(insertEventRow[column('Time-Off ID')], 100, 'planned event insert not linked to the time-off');
+    assert.equal(insertEventRow[column('After Start')].split('T')[0], isoDate(10), 'planned event insert has wrong start');
+    assert(rows.every(row => row[column('Coverage')] === '1 of 1 accounts'), 'coverage of the run not recorded');
+
+    // the periodic trigger plans as well if plan mode is enabled, appending the rows of its run
+    lib.PropertiesService.getScriptProperties().setProperty('SyncTimeOffs.planMode', 'true');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await syncTimeOffs(), true, 'plan mode run did not complete');
+
+    assert.deepEqual(writes(), [], 'plan mode run sent write requests');
+    assert.equal(snapshot(), initialState, 'plan mode run changed Personio or Google Calendar');
+    assert.equal(sheet.values.length, 1 + 2 * rows.length, 'rows of the previous run not kept');
+    assert.equal(new Set(sheet.values.slice(1).map(row => row[column('Run')])).size, 2, 'rows of the runs cannot be told apart');
+} finally {
+    fakeApis.close();
+}
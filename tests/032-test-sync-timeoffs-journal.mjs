@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import {FakePersonio, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+/** Team calendar (of the impersonated owner) rejecting all inserts. */
+const teamCalendar = {
+    inserted: [],
+    list: async () => [],
+    batchInsert: async (calendarId, events) => {
+        teamCalendar.inserted.push(...events);
+        return events.map(() => ({error: new Error('Forbidden')}));
+    },
+    batchUpdate: async (calendarId, events) => events.map(event => ({result: event}))
+};
+
+const {SyncJournal, syncTimeOffs_, syncTeamCalendars_, normalizePersonioTimeOffPeriod_} = loadScript(lib,
+    new URL('../sync-timeoffs/SyncTimeOffs.js', import.meta.url), ['SyncJournal', 'syncTimeOffs_', 'syncTeamCalendars_', 'normalizePersonioTimeOffPeriod_'], {
+        CalendarClient: {withImpersonatingService: async () => teamCalendar}
+    });
+
+const email = 'alice@example.com';
+const failedSyncsKey = 'SyncTimeOffs.failedSyncs.' + email;
+const properties = lib.PropertiesService.getScriptProperties();
+const failure = (updatedAt) => ({updatedAt: updatedAt, retries: 3, failedAt: Date.now(), error: 'Conflict', notified: true});
+const getFailedSyncs = () => JSON.parse(properties.getProperty(failedSyncsKey) || '{}');
+
+// failures of events/time-offs not seen in a complete pass over the account are dropped
+properties.setProperty(failedSyncsKey, JSON.stringify({e1: failure(1), e2: failure(2), t3: failure(3)}));
+let journal = new SyncJournal(3, undefined);
+journal.load(email);
+assert.equal(journal.isSkipped(email, 'e1', 1), true, 'failure exceeding the retries not skipped');
+journal.isSkipped(email, 't3', 3);
+await journal.save(email, false);
+assert.deepEqual(Object.keys(getFailedSyncs()).sort(), ['e1', 'e2', 't3'], 'failures dropped although the account was not fully visited');
+await journal.save(email, true);
+assert.deepEqual(Object.keys(getFailedSyncs()).sort(), ['e1', 't3'], 'failure of a vanished event not dropped');
+
+// the property is removed once no failures remain
+journal.load(email);
+await journal.save(email, true);
+assert.equal(properties.getProperty(failedSyncsKey), undefined, 'failures of an account without events/time-offs not dropped');
+
+/** Journal remembering its save calls. */
+class SpyJournal extends SyncJournal {
+    constructor() {
+        super(3, undefined);
+        this.saves = [];
+    }
+
+    async save(primaryEmail, isFullyVisited) {
+        this.saves.push([primaryEmail, isFullyVisited]);
+        return await super.save(primaryEmail, isFullyVisited);
+    }
+}
+
+const employee = FakePersonio.employee(1, email);
+const now = new Date();
+const fetchTimeMin = new Date(+now - 30 * 24 * 60 * 60 * 1000);
+const fetchTimeMax = new Date(+now + 30 * 24 * 60 * 60 * 1000);
+const sync = (calendar, journal) => syncTimeOffs_(undefined, calendar, employee, now, undefined, fetchTimeMin, fetchTimeMax, 3, 60 * 1000, {}, undefined, journal);
+
+// a complete synchronization of the account drops the failures of events/time-offs that no longer exist
+properties.setProperty(failedSyncsKey, JSON.stringify({e1: failure(1)}));
+journal = new SpyJournal();
+assert.equal(await sync({getSetting: async () => ({value: 'UTC'}), list: async () => []}, journal), true, 'synchronization did not complete');
+assert.deepEqual(journal.saves, [[email, true]]);
+assert.equal(properties.getProperty(failedSyncsKey), undefined, 'failure of deleted event not dropped');
+
+// the journal is saved (without dropping failures) even if the synchronization fails after loading it
+properties.setProperty(failedSyncsKey, JSON.stringify({e1: failure(1)}));
+journal = new SpyJournal();
+await assert.rejects(sync({getSetting: async () => ({value: 'UTC'}), list: async () => { throw new Error('Calendar unavailable'); }}, journal),
+    /Calendar unavailable/);
+assert.deepEqual(journal.saves, [[email, false]], 'journal not saved after a failed synchronization');
+assert.deepEqual(Object.keys(getFailedSyncs()), ['e1'], 'failures dropped after a failed synchronization');
+
+// failed changes of team calendars are remembered per calendar and retried like the ones of personal calendars
+const teamCalendarId = 'engineering@group.calendar.google.com';
+const teamFailedSyncsKey = 'SyncTimeOffs.failedSyncs.' + teamCalendarId;
+properties.setProperties({'SyncTimeOffs.serviceAccountCredentials': '{}', 'SyncTimeOffs.teamCalendarsOwner': 'calendar-admin@example.com'}, false);
+const engineer = FakePersonio.employee(2, 'bob@example.com', {department: {label: 'Department', value: {type: 'Department', attributes: {id: 5, name: 'Engineering'}}}});
+const personio = new FakePersonio({employees: [engineer]});
+const timeOff = normalizePersonioTimeOffPeriod_(personio.timeOff({id: 100, employee: engineer, timeOffType: FakePersonio.timeOffType(10, 'Vacation'),
+    startDate: '2026-05-04', endDate: '2026-05-04', updatedAt: new Date(+now - 24 * 60 * 60 * 1000)}));
+const syncTeam = (timeOffs, deadlineTs = Infinity) => syncTeamCalendars_([engineer], timeOffs, {Engineering: teamCalendarId}, fetchTimeMin, fetchTimeMax,
+    deadlineTs, undefined, new SyncJournal(3, undefined));
+
+await syncTeam({100: timeOff});
+assert.equal(teamCalendar.inserted.length, 1, 'team event not inserted');
+assert.equal(JSON.parse(properties.getProperty(teamFailedSyncsKey))['t100']?.retries, 1, 'failed team event insert not remembered');
+
+await syncTeam({100: timeOff});
+assert.equal(teamCalendar.inserted.length, 1, 'failed team event insert retried right away');
+
+await syncTeam({100: timeOff}, Date.now() - 1);
+assert.equal(teamCalendar.inserted.length, 1, 'team calendars synced after the deadline');
+assert(properties.getProperty(teamFailedSyncsKey), 'failures dropped although the team calendar was not synced');
+
+await syncTeam({});
+assert.equal(properties.getProperty(teamFailedSyncsKey), undefined, 'failure of a deleted time-off not dropped from the team calendar');
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import {FakePersonio, FakeCalendar, startFakeApis, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const {computeSeriesHealth_} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url), ['computeSeriesHealth_']);
+
+const now = new Date('2026-05-01T00:00:00Z');
+const attendees = (...declined) => ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com', 'room@resource.calendar.google.com']
+    .map(email => ({email: email, resource: email.includes('resource') || undefined, responseStatus: declined.includes(email) ? 'declined' : 'accepted'}));
+const instance = (id, start, properties = {}) => ({id: id, status: 'confirmed', start: {dateTime: start}, attendees: attendees(), ...properties});
+const series = {summary: 'Team Sync', organizer: {email: 'a@example.com'}, recurrence: ['RRULE:FREQ=WEEKLY'], attendees: attendees()};
+
+// healthy series
+let health = computeSeriesHealth_(series, [
+    instance('i1', '2026-04-09T10:00:00Z'),
+    instance('i2', '2026-04-16T10:00:00Z', {attendees: attendees('b@example.com')}),
+    instance('i3', '2026-04-23T10:00:00Z'),
+    instance('i4', '2026-05-07T10:00:00Z') // future instance is ignored
+], {i2: new Set(['a@example.com', 'c@example.com', 'd@example.com']), i3: new Set(['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com'])}, now);
+
+assert.equal(health.invitees, 4, 'resources must not count as invitees');
+assert.equal(health.instances, 3, 'future instances must be ignored');
+assert.equal(health.cancelled, 0);
+assert.equal(health.cancellationRate, 0);
+assert.equal(health.declineRate, 1 / 12, 'expected one of four invitees declining one of three instances');
+assert.equal(health.attendanceRate, (3 / 4 + 1) / 2, 'expected average attendance of the checked instances');
+assert.equal(health.lastHeld, '2026-04-23T10:00:00Z');
+assert.deepEqual(health.flags, []);
+
+// abandoned series
+health = computeSeriesHealth_(series, [
+    instance('i1', '2026-04-09T10:00:00Z', {attendees: attendees('b@example.com', 'c@example.com', 'd@example.com')}),
+    {id: 'i2', status: 'cancelled', originalStartTime: {dateTime: '2026-04-16T10:00:00Z'}},
+    {id: 'i3', status: 'cancelled', originalStartTime: {dateTime: '2026-04-23T10:00:00Z'}}
+], {i1: new Set(['a@example.com'])}, now);
+
+assert.equal(health.cancelled, 2, 'cancelled instances without start not counted');
+assert.equal(health.cancellationRate, 2 / 3);
+assert.equal(health.attendanceRate, 1 / 4);
+assert.deepEqual(health.flags, ['mostly cancelled', 'mostly declined', 'low attendance']);
+
+// no instance held at all, unknown attendance
+health = computeSeriesHealth_(series, [{id: 'i1', status: 'cancelled', start: {dateTime: '2026-04-09T10:00:00Z'}}], {}, now);
+assert.equal(health.attendanceRate, null, 'attendance must be unknown without Meet data');
+assert.equal(health.lastHeld, undefined);
+assert.deepEqual(health.flags, ['no instance held']);
+
+// the report is resumed across runs, keeping the series analyzed before until all accounts were visited
+class FakeSheet {
+
+    constructor(values = []) {
+        this.values = values;
+    }
+
+    getLastRow() {
+        return this.values.length;
+    }
+
+    getMaxRows() {
+        return Math.max(this.values.length, 1);
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        const sheet = this;
+        return {
+            getValues: () => sheet.values.slice(row - 1, row - 1 + numRows).map(values => values.slice(column - 1, column - 1 + numColumns)),
+            clearContent: () => sheet.values.splice(row - 1, numRows),
+            setValues: values => values.forEach((rowValues, i) => {
+                const target = sheet.values[row - 1 + i] = sheet.values[row - 1 + i] || [];
+                rowValues.forEach((value, j) => target[column - 1 + j] = value);
+            })
+        };
+    }
+}
+
+const personio = new FakePersonio({employees: [FakePersonio.employee(1, 'alice@example.com'), FakePersonio.employee(2, 'bob@example.com')]});
+const calendar = new FakeCalendar();
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const invitees = [{email: 'alice@example.com', responseStatus: 'accepted'}, {email: 'bob@example.com', responseStatus: 'accepted'}];
+const weekly = calendar.event('alice@example.com', {summary: 'Weekly', start: daysAgo(30), end: daysAgo(30), recurrence: ['RRULE:FREQ=WEEKLY'], attendees: invitees});
+const retro = calendar.event('bob@example.com', {summary: 'Retro', start: daysAgo(30), end: daysAgo(30), recurrence: ['RRULE:FREQ=WEEKLY'], attendees: invitees,
+    organizer: {email: 'bob@example.com'}});
+calendar.getEvents('alice@example.com').push(weekly,
+    calendar.event('alice@example.com', {summary: 'Weekly', start: daysAgo(14), end: daysAgo(14), recurringEventId: weekly.id, attendees: invitees}),
+    calendar.event('alice@example.com', {summary: 'Weekly', start: daysAgo(7), end: daysAgo(7), recurringEventId: weekly.id, attendees: invitees}));
+calendar.getEvents('bob@example.com').push(retro,
+    calendar.event('bob@example.com', {summary: 'Retro', start: daysAgo(7), end: daysAgo(7), recurringEventId: retro.id, attendees: invitees, status: 'cancelled'}));
+
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperties({
+    'Meetings.personioToken': 'clientId|clientSecret',
+    'Meetings.serviceAccountCredentials': '{}',
+    'Meetings.allowedDomains': 'example.com',
+    'Meetings.reportSheet': 'report-sheet-id',
+    // a previous run stopped after the account of alice
+    'Meetings.meetingHealthCursor': JSON.stringify({key: 'alice@example.com'})
+}, false);
+
+const header = ['Series ID', 'Summary', 'Organizer', 'Invitees', 'Instances', 'Cancelled', 'Cancellation Rate', 'Decline Rate',
+    'Meet Attendance Rate', 'Last Held', 'Abandoned', 'Flags'];
+const sheet = new FakeSheet([header,
+    ['old@google.com', 'Gone', 'carol@example.com', 2, 4, 0, 0, 0, '', daysAgo(20), false, ''],
+    [weekly.iCalUID, 'Weekly (before)', 'alice@example.com', 2, 2, 0, 0, 0, '', daysAgo(7), false, '']
+]);
+
+const fakeApis = await startFakeApis(lib, personio, calendar);
+try {
+    const {listMeetingHealth} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url), ['listMeetingHealth'], {
+        SpreadsheetApp: {openById: id => id === 'report-sheet-id' ? {} : assert.fail('unexpected spreadsheet ' + id)},
+        SheetUtil: {ensureSheet: (target, name) => name === 'Meeting_Health' ? sheet : assert.fail('unexpected sheet ' + name)}
+    });
+
+    await listMeetingHealth();
+    assert.deepEqual(sheet.values.map(row => [row[0], row[1], row[11]]), [
+        ['Series ID', 'Summary', 'Flags'],
+        [retro.iCalUID, 'Retro', 'no instance held'],
+        ['old@google.com', 'Gone', ''],
+        [weekly.iCalUID, 'Weekly (before)', '']
+    ], 'series of the previous runs not kept or analyzed again');
+    assert(!properties.getProperty('Meetings.meetingHealthCursor'), 'cursor not reset after visiting all accounts');
+
+    // the next run starts a new pass
+    await listMeetingHealth();
+    assert.deepEqual(sheet.values.map(row => [row[0], row[1], row[4], row[11]]), [
+        ['Series ID', 'Summary', 'Instances', 'Flags'],
+        [retro.iCalUID, 'Retro', 1, 'no instance held'],
+        [weekly.iCalUID, 'Weekly', 2, '']
+    ], 'new pass does not start with an empty sheet');
+} finally {
+    fakeApis.close();
+}
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const fetchedUrls = [];
+const {getSlackChannelRouting_, getSlackChannelsForEvent_, resolveSlackChannelIds_, shareTeamMeetingArtifacts} = loadScript(lib,
+    new URL('../meetings/Meetings.js', import.meta.url), ['getSlackChannelRouting_', 'getSlackChannelsForEvent_', 'resolveSlackChannelIds_', 'shareTeamMeetingArtifacts'], {
+        UrlFetchApp: {fetch: url => fetchedUrls.push(url) && assert.fail('unexpected fetch of ' + url)}
+    });
+
+const properties = lib.PropertiesService.getScriptProperties();
+assert.equal(getSlackChannelRouting_(), undefined, 'expected no routing if not configured');
+
+properties.setProperty('Meetings.slackChannelRouting', JSON.stringify({
+    routes: [
+        {attendee: 'sig-security', channel: '#sig-security'},
+        {attendee: 'sig-*@example.com', summary: 'monthly', channel: 'sig-monthly'},
+        {summary: '^chapter ', channel: 'C0CHAPTER'},
+        {organizer: 'team-meetings@group.calendar.google.com', summary: 'demo', channel: '#demos'}
+    ],
+    fallbackChannel: '#general'
+}));
+const routing = getSlackChannelRouting_();
+
+const event = (summary, attendees, organizer = 'alice@example.com') => ({
+    summary: summary,
+    organizer: {email: organizer},
+    attendees: attendees.map(email => ({email: email}))
+});
+
+assert.deepEqual(getSlackChannelsForEvent_(event('SIG Security weekly', ['alice@example.com', 'sig-security@example.com']), routing),
+    ['#sig-security'], 'SIG meeting not routed to its own channel');
+assert.deepEqual(getSlackChannelsForEvent_(event('SIG Security Monthly', ['SIG-Security@example.com']), routing),
+    ['#sig-security', 'sig-monthly'], 'expected channels of all matching routes');
+assert.deepEqual(getSlackChannelsForEvent_(event('SIG Monthly', ['sig-product@other.com']), routing),
+    ['#general'], 'attendee patterns with domain must match the whole email');
+assert.deepEqual(getSlackChannelsForEvent_(event('Chapter Engineering', []), routing), ['C0CHAPTER'], 'summary route not applied');
+assert.deepEqual(getSlackChannelsForEvent_(event('Product demo', [], 'team-meetings@group.calendar.google.com'), routing), ['#demos'],
+    'organizer route not applied');
+assert.deepEqual(getSlackChannelsForEvent_(event('Product demo', []), routing), ['#general'], 'all conditions of a route must match');
+
+assert.deepEqual(getSlackChannelsForEvent_(event('Weekly', []), {routes: routing.routes}), [], 'expected no channel without fallback');
+
+const channels = [{id: 'C0SECURITY', name: 'sig-security'}, {id: 'C0GENERAL', name: 'general'}, {id: 'C0CHAPTER', name: 'chapter-engineering'}];
+assert.deepEqual(resolveSlackChannelIds_(['#sig-security', 'general', 'C0CHAPTER', '#unknown', 'sig-security'], channels),
+    ['C0SECURITY', 'C0GENERAL', 'C0CHAPTER'], 'channel names not resolved to IDs');
+
+properties.setProperty('Meetings.slackChannelRouting', JSON.stringify({routes: [{channel: '#general'}]}));
+assert.throws(() => getSlackChannelRouting_(), /Route 1 .* needs a channel and at least one condition/);
+
+// an invalid routing skips sharing before any meeting is summarized
+properties.setProperty('Meetings.shareDomain', 'example.com');
+await shareTeamMeetingArtifacts();
+assert.deepEqual(fetchedUrls, [], 'meetings processed despite invalid routing');
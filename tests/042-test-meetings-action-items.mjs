@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+/** Minimal in-memory replacement of a Google Sheet (values only). */
+class FakeSheet {
+
+    constructor() {
+        this.values = [];
+    }
+
+    getLastRow() {
+        return this.values.length;
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        const sheet = this;
+        return {
+            getValues: () => sheet.values.slice(row - 1, row - 1 + numRows).map(values => values.slice(column - 1, column - 1 + numColumns)),
+            setValues: values => values.forEach((rowValues, i) => {
+                const target = sheet.values[row - 1 + i] = sheet.values[row - 1 + i] || [];
+                rowValues.forEach((value, j) => target[column - 1 + j] = value);
+            }),
+            setValue: value => sheet.values[row - 1][column - 1] = value
+        };
+    }
+}
+
+const sheet = new FakeSheet();
+const spreadsheet = {getSpreadsheetTimeZone: () => 'UTC'};
+const {trackActionItems_, normalizeActionItems_} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url),
+    ['trackActionItems_', 'normalizeActionItems_'], {
+        SpreadsheetApp: {openById: () => spreadsheet},
+        SheetUtil: {ensureSheet: (target, name) => name === 'ActionItems' ? sheet : assert.fail('unexpected sheet ' + name)}
+    });
+
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperty('Meetings.reportSheet', 'report-sheet-id');
+
+const employee = (first, last, email) => ({attributes: {first_name: {value: first}, last_name: {value: last}, email: {value: email}}});
+const employees = [employee('Alice', 'Doe', 'alice@example.com'), employee('Bob', 'Roe', 'bob@example.com')];
+
+// fakes for the LLM and Slack clients
+const extractions = [];
+const llm = {
+    extractJson: async (content, prompt) => {
+        extractions.push({content, prompt});
+        return {
+            actionItems: [
+                {owner: 'Alice@example.com', description: ' Draft the migration plan ', dueDate: '2026-05-31'},
+                {owner: 'mallory@example.com', description: 'Review the budget', dueDate: 'next week'},
+                {owner: 'bob@example.com', description: ''}
+            ]
+        };
+    }
+};
+const messages = [];
+const slack = {
+    lookupByEmail: async email => ({id: 'U-' + email}),
+    postDirectMessage: async (userId, text) => messages.push({userId, text})
+};
+
+// first occurrence: items are recorded
+const event = (id, date) => ({id: 'series_' + id, recurringEventId: 'series', summary: 'SIG Architecture', start: {dateTime: date + 'T10:00:00Z'}});
+await trackActionItems_(llm, slack, event('20260504', '2026-05-04'), '2026-05-04', 'notes', employees);
+
+assert.deepEqual(sheet.values, [
+    ['Series ID', 'Event ID', 'Meeting', 'Date', 'Owner', 'Description', 'Due Date', 'Status', 'Reminded At'],
+    ['series', 'series_20260504', 'SIG Architecture', '2026-05-04', 'alice@example.com', 'Draft the migration plan', '2026-05-31', 'open', ''],
+    ['series', 'series_20260504', 'SIG Architecture', '2026-05-04', '', 'Review the budget', '', 'open', '']
+]);
+assert.match(extractions[0].prompt, /Alice Doe -> alice@example\.com/, 'expected owner lookup table in prompt');
+assert.match(extractions[0].prompt, /meeting date 2026-05-04/);
+assert.equal(messages.length, 0, 'no reminders expected for the first occurrence');
+
+// processing the same event again does not duplicate items
+await trackActionItems_(llm, slack, event('20260504', '2026-05-04'), '2026-05-04', 'notes', employees);
+assert.equal(sheet.values.length, 3, 'action items recorded twice');
+assert.equal(extractions.length, 1, 'action items extracted twice');
+
+// next occurrence: owners of open items are reminded once
+await trackActionItems_(llm, slack, event('20260511', '2026-05-11'), '2026-05-11', 'notes', employees);
+assert.equal(messages.length, 1, 'expected one reminder for the single owner');
+assert.equal(messages[0].userId, 'U-alice@example.com');
+assert.match(messages[0].text, /SIG Architecture.*\n• Draft the migration plan \(2026-05-04, due 2026-05-31\)/);
+assert(sheet.values[1][8], 'reminder not recorded');
+assert.equal(sheet.values.length, 5, 'action items of next occurrence not recorded');
+
+// items marked as done are not reminded
+sheet.values[3][7] = 'Done';
+await trackActionItems_(llm, slack, event('20260518', '2026-05-18'), '2026-05-18', 'notes', employees);
+assert.equal(messages.length, 1, 'reminders must be sent once and only for open items');
+
+// other series are not affected
+await trackActionItems_(llm, slack, {id: 'single', summary: 'Chapter Sync'}, '2026-05-25', 'notes', employees);
+assert.equal(messages.length, 1, 'items of other meetings must not be reminded');
+assert.equal(sheet.values.at(-1)[0], 'single', 'expected event ID as series ID of single events');
+
+assert.deepEqual(normalizeActionItems_({actionItems: 'none'}, employees), []);
+assert.deepEqual(normalizeActionItems_(undefined, employees), []);
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import {loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+// fakes for Drive, Slack and the LLM
+const drive = {
+    modifiedTime: '2026-05-04T11:00:00.000Z',
+    shared: [],
+    getFileCount: 0,
+    resolveFileId: async fileId => fileId,
+    getFile: async (fileId, fields) => (drive.getFileCount++, {modifiedTime: drive.modifiedTime}),
+    shareWith: async (fileId, type, value) => drive.shared.push(fileId)
+};
+
+const slackCalls = [];
+class FakeSlackWebClient {
+    async getUserChannels() {
+        return [{id: 'C1', name: 'general'}, {id: 'C2', name: 'engineering'}];
+    }
+
+    async postMessage(channelId, text, blocks, threadTs) {
+        slackCalls.push({method: 'postMessage', channelId, text, blocks, threadTs});
+        return {ok: true, ts: 'ts-' + channelId};
+    }
+
+    async updateMessage(channelId, ts, text, blocks) {
+        slackCalls.push({method: 'updateMessage', channelId, ts, text, blocks});
+        return {ok: true, ts: ts};
+    }
+}
+
+let summary = 'first summary';
+let summaryCount = 0;
+const llm = {
+    summarizeText: async () => (summaryCount++, summary),
+    extractJson: async () => ({actionItems: []}),
+    getUsage: () => ({requests: 1})
+};
+
+const {shareEventArtifacts_, updateEventArtifacts_, getArtifactsPublication_} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url),
+    ['shareEventArtifacts_', 'updateEventArtifacts_', 'getArtifactsPublication_'], {
+        DriveClientV1: {withImpersonatingService: async () => drive, extractFileId: () => null},
+        SlackWebClient: FakeSlackWebClient,
+        LlmClient: {create: () => llm, readGoogleDoc: async () => 'notes'},
+        Session: {getScriptTimeZone: () => 'UTC'},
+        Utilities: {formatDate: date => date.toISOString().substring(0, 10)}
+    });
+
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperty('Meetings.geminiApiKey', 'gemini-key');
+properties.setProperty('Meetings.slackBotToken', 'slack-token');
+properties.setProperty('Meetings.serviceAccountCredentials', '{}');
+
+const updatedEvents = [];
+const calendar = {update: async (calendarId, eventId, event) => updatedEvents.push(JSON.parse(JSON.stringify(event)))};
+
+const notes = {fileId: 'notes-id', fileUrl: 'https://docs.google.com/document/d/notes-id', mimeType: 'application/vnd.google-apps.document', title: 'SIG Sync - Notes by Gemini'};
+const recording = {fileId: 'recording-id', fileUrl: 'https://drive.google.com/file/d/recording-id', mimeType: 'video/mp4', title: 'SIG Sync - Recording'};
+const event = {
+    id: 'event-1', summary: 'SIG Sync', creator: {email: 'alice@example.com'},
+    start: {dateTime: '2026-05-04T10:00:00Z'}, end: {dateTime: '2026-05-04T11:00:00Z'},
+    attachments: [notes],
+    // publication of an earlier instance of the recurring event
+    extendedProperties: {private: {attachmentsPublishedAt: '' + Date.parse('2026-04-27T12:00:00Z'), slackMessages: '{"C1": "old"}'}}
+};
+
+const share = (target, routing) => shareEventArtifacts_(target, 'alice@example.com', 'primary', calendar, [], 'example.com', '', '', routing);
+const update = target => updateEventArtifacts_(target, 'alice@example.com', 'primary', calendar, [], 'example.com', '', '',
+    getArtifactsPublication_(target));
+
+assert.equal(getArtifactsPublication_(event), null, 'publication of an earlier instance must be ignored');
+
+// notes are shared and posted without recording
+assert.deepEqual(await share(event), {found: true, published: true});
+assert.deepEqual(drive.shared, ['notes-id']);
+assert.deepEqual(slackCalls.map(call => [call.method, call.channelId]), [['postMessage', 'C1'], ['postMessage', 'C2']]);
+assert.doesNotMatch(JSON.stringify(slackCalls[0].blocks), /Recording/, 'recording link without recording');
+
+let publication = getArtifactsPublication_(updatedEvents.at(-1));
+assert.deepEqual(publication.slackMessages, {C1: 'ts-C1', C2: 'ts-C2'}, 'Slack messages not remembered');
+assert.equal(publication.notesModifiedTime, '2026-05-04T11:00:00.000Z');
+assert.equal(publication.recordingPublishedAt, 0);
+
+// nothing changed
+slackCalls.length = 0;
+const published = updatedEvents.at(-1);
+assert.equal(await update(published), false);
+assert.equal(slackCalls.length, 0);
+
+// late recording is shared and announced in the threads
+published.attachments = [notes, recording];
+assert.equal(await update(published), true);
+assert.deepEqual(drive.shared, ['notes-id', 'recording-id']);
+assert.deepEqual(slackCalls.map(call => [call.method, call.channelId, call.threadTs]), [['postMessage', 'C1', 'ts-C1'], ['postMessage', 'C2', 'ts-C2']]);
+assert.match(slackCalls[0].text, /recording-id\|Recording> of SIG Sync is now available/);
+assert(getArtifactsPublication_(updatedEvents.at(-1)).recordingPublishedAt, 'shared recording not remembered');
+assert.equal(await update(updatedEvents.at(-1)), false, 'recording must be announced once');
+
+// notes still being edited are not summarized again
+slackCalls.length = 0;
+summary = 'updated summary';
+drive.modifiedTime = new Date(Date.now() - 60 * 1000).toISOString();
+assert.equal(await update(updatedEvents.at(-1)), false, 'notes summarized again while still being edited');
+assert.equal(slackCalls.length, 0);
+
+// changed notes update the original posts
+drive.modifiedTime = '2026-05-05T09:00:00.000Z';
+assert.equal(await update(updatedEvents.at(-1)), true);
+assert.deepEqual(slackCalls.map(call => [call.method, call.channelId, call.ts || call.threadTs]),
+    [['updateMessage', 'C1', 'ts-C1'], ['postMessage', 'C1', 'ts-C1'], ['updateMessage', 'C2', 'ts-C2'], ['postMessage', 'C2', 'ts-C2']]);
+assert.match(JSON.stringify(slackCalls[0].blocks), /updated summary.*recording-id\|Recording/, 'post not updated with new summary and recording');
+assert.match(slackCalls[1].text, /summary was updated as the meeting notes changed/);
+
+publication = getArtifactsPublication_(updatedEvents.at(-1));
+assert.equal(publication.notesModifiedTime, '2026-05-05T09:00:00.000Z', 'summarized notes version not remembered');
+assert.equal(await update(updatedEvents.at(-1)), false, 'unchanged notes must not be summarized again');
+
+// the summary is updated a limited number of times, the notes are no longer checked afterwards
+for (const modifiedTime of ['2026-05-06T09:00:00.000Z', '2026-05-07T09:00:00.000Z']) {
+    drive.modifiedTime = modifiedTime;
+    assert.equal(await update(updatedEvents.at(-1)), true);
+}
+assert.equal(getArtifactsPublication_(updatedEvents.at(-1)).summaryUpdates, 3);
+drive.modifiedTime = '2026-05-08T09:00:00.000Z';
+slackCalls.length = 0;
+drive.getFileCount = 0;
+assert.equal(await update(updatedEvents.at(-1)), false, 'summary updated more than the maximum number of times');
+assert.equal(slackCalls.length, 0);
+assert.equal(drive.getFileCount, 0, 'notes checked after the maximum number of updates');
+
+// meetings without routed channel are not summarized
+slackCalls.length = 0;
+summaryCount = 0;
+const unrouted = {...event, id: 'event-3', extendedProperties: {}};
+assert.deepEqual(await share(unrouted, {routes: [{summaryPattern: /^chapter /i, channel: '#general'}]}), {found: true, published: true});
+assert.equal(summaryCount, 0, 'meeting summarized without a channel to post to');
+assert.equal(slackCalls.length, 0);
+assert.deepEqual(getArtifactsPublication_(updatedEvents.at(-1)).slackMessages, {});
+
+// without Slack posts (no Slack token, LLM key or channels), a late recording is still shared
+properties.deleteProperty('Meetings.slackBotToken');
+slackCalls.length = 0;
+const unposted = {
+    ...event, id: 'event-2', attachments: [notes, {...recording, fileId: 'late-recording-id'}],
+    extendedProperties: {private: {attachmentsPublishedAt: '' + Date.parse('2026-05-04T12:00:00Z'), slackMessages: '{}', notesModifiedTime: '2026-05-04T11:00:00.000Z'}}
+};
+assert.equal(await update(unposted), true);
+assert.equal(drive.shared.at(-1), 'late-recording-id', 'late recording not shared without Slack posts');
+assert.equal(slackCalls.length, 0);
+assert(getArtifactsPublication_(updatedEvents.at(-1)).recordingPublishedAt, 'shared recording not remembered');
+assert.equal(await update(updatedEvents.at(-1)), false, 'recording must be shared once');
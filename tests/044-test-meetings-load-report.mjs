@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import {FakePersonio, FakeCalendar, startFakeApis, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const {computeMeetingLoad_, averageMeetingLoads_, createMeetingLoadRows_, isMeetingLoadEvent_, getWorkingHours_} = loadScript(lib,
+    new URL('../meetings/Meetings.js', import.meta.url),
+    ['computeMeetingLoad_', 'averageMeetingLoads_', 'createMeetingLoadRows_', 'isMeetingLoadEvent_', 'getWorkingHours_']);
+
+const meeting = (start, end) => ({start: new Date(start), end: new Date(end)});
+const weekStarts = ['2026-05-04', '2026-05-11'];
+const workingHours = {start: 9, end: 17};
+
+// times are UTC, Europe/Berlin is two hours ahead in May
+const loads = computeMeetingLoad_([
+    meeting('2026-05-04T08:00:00Z', '2026-05-04T09:00:00Z'),
+    meeting('2026-05-04T08:30:00Z', '2026-05-04T09:30:00Z'), // overlapping, 10:00-11:30 local in total
+    meeting('2026-05-04T14:00:00Z', '2026-05-04T14:30:00Z'),
+    meeting('2026-05-05T16:00:00Z', '2026-05-05T17:00:00Z'), // after working hours
+    meeting('2026-05-07T14:00:00Z', '2026-05-07T16:00:00Z'), // half after working hours
+    meeting('2026-05-08T10:00:00Z', '2026-05-08T11:00:00Z'), // splits the day into two focus blocks
+    meeting('2026-05-09T09:00:00Z', '2026-05-09T10:00:00Z'), // weekend
+    meeting('2026-05-10T22:30:00Z', '2026-05-10T23:30:00Z'), // early Monday of the next week, local
+    meeting('2026-05-20T10:00:00Z', '2026-05-20T11:00:00Z') // outside the weeks
+], weekStarts, workingHours, 'Europe/Berlin');
+
+assert.deepEqual(loads, [
+    {hours: 7, weekdayHours: [2, 1, 0, 2, 1, 1, 0], focusBlocks: 6, afterHoursHours: 3},
+    {hours: 1, weekdayHours: [1, 0, 0, 0, 0, 0, 0], focusBlocks: 5, afterHoursHours: 1}
+]);
+
+// without meetings, each workday is a single focus block
+const idle = computeMeetingLoad_([], weekStarts, workingHours, 'UTC');
+assert.deepEqual(idle[0], {hours: 0, weekdayHours: [0, 0, 0, 0, 0, 0, 0], focusBlocks: 5, afterHoursHours: 0});
+
+// department averages and trends
+const average = averageMeetingLoads_([loads, idle]);
+assert.deepEqual(average[0], {hours: 3.5, weekdayHours: [1, 0.5, 0, 1, 0.5, 0.5, 0], focusBlocks: 5.5, afterHoursHours: 1.5});
+
+assert.deepEqual(createMeetingLoadRows_(weekStarts, average), [
+    ['2026-05-04', 3.5, 1, 0.5, 0, 1, 0.5, 0.5, 0, 5.5, 1.5, '', ''],
+    ['2026-05-11', 0.5, 0.5, 0, 0, 0, 0, 0, 0, 5, 0.5, -3, -0.5]
+]);
+
+// events counting as meetings
+const attendees = (...declined) => ['a@example.com', 'b@example.com', 'room@resource.calendar.google.com']
+    .map(email => ({email: email, resource: email.includes('resource') || undefined, responseStatus: declined.includes(email) ? 'declined' : 'accepted'}));
+const event = properties => ({start: {dateTime: '2026-05-04T10:00:00Z'}, end: {dateTime: '2026-05-04T11:00:00Z'}, attendees: attendees(), ...properties});
+
+assert.equal(isMeetingLoadEvent_(event({}), 'a@example.com'), true);
+assert.equal(isMeetingLoadEvent_(event({attendees: attendees('a@example.com')}), 'a@example.com'), false, 'declined meetings must not count');
+assert.equal(isMeetingLoadEvent_(event({attendees: attendees().slice(1)}), 'b@example.com'), false, 'resources must not count as attendees');
+assert.equal(isMeetingLoadEvent_(event({eventType: 'focusTime'}), 'a@example.com'), false);
+assert.equal(isMeetingLoadEvent_(event({transparency: 'transparent'}), 'a@example.com'), false);
+assert.equal(isMeetingLoadEvent_(event({start: {date: '2026-05-04'}, end: {date: '2026-05-05'}}), 'a@example.com'), false, 'all-day events must not count');
+
+// working hours
+const properties = lib.PropertiesService.getScriptProperties();
+assert.deepEqual(getWorkingHours_(), {default: {start: 9, end: 17}}, 'expected default working hours');
+properties.setProperty('Meetings.workingHours', '{"default": "08:00-16:00", "b@example.com": "10:30-19:00"}');
+assert.deepEqual(getWorkingHours_(), {default: {start: 8, end: 16}, 'b@example.com': {start: 10.5, end: 19}});
+properties.setProperty('Meetings.workingHours', '17:00-09:00');
+assert.throws(() => getWorkingHours_(), /Invalid working hours "17:00-09:00"/);
+properties.setProperty('Meetings.workingHours', '{"default": "08:00-16:00", "c@example.com": "9-17"}');
+assert.throws(() => getWorkingHours_(), /Invalid working hours "9-17"/, 'ranges of other employees must be validated as well');
+
+// absences are no focus blocks: an all-day time-off on Monday and an out-of-office afternoon on Tuesday
+const absent = computeMeetingLoad_([], weekStarts, workingHours, 'UTC', [
+    {start: '2026-05-04', end: '2026-05-05'},
+    {start: '2026-05-05T13:00:00Z', end: '2026-05-05T17:00:00Z'}
+]);
+assert.deepEqual(absent[0], {hours: 0, weekdayHours: [0, 0, 0, 0, 0, 0, 0], focusBlocks: 4, afterHoursHours: 0}, 'absences must not count as focus blocks');
+assert.deepEqual(absent[1], idle[1], 'absences must not affect other weeks');
+properties.deleteProperty('Meetings.workingHours');
+
+// the report includes employees without meetings and lists failed calendars separately
+class FakeSheet {
+
+    constructor() {
+        this.values = [];
+    }
+
+    getMaxRows() {
+        return Math.max(this.values.length, 1);
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        const sheet = this;
+        return {
+            clearContent: () => sheet.values.splice(row - 1, numRows),
+            setValues: values => values.forEach((rowValues, i) => {
+                const target = sheet.values[row - 1 + i] = sheet.values[row - 1 + i] || [];
+                rowValues.forEach((value, j) => target[column - 1 + j] = value);
+            })
+        };
+    }
+}
+
+const department = name => ({department: {label: 'Department', value: {type: 'Department', attributes: {id: 5, name: name}}}});
+const personio = new FakePersonio({employees: [
+    FakePersonio.employee(1, 'alice@example.com', department('Engineering')),
+    FakePersonio.employee(2, 'bob@example.com', department('Engineering')),
+    FakePersonio.employee(3, 'carol@example.com', department('Sales'))
+]});
+const calendar = new FakeCalendar();
+calendar.timeZonesByEmail['alice@example.com'] = 'UTC';
+
+// a one-hour meeting on Wednesday of the last complete week, an out-of-office on its Thursday
+const lastMonday = new Date();
+lastMonday.setUTCHours(0, 0, 0, 0);
+lastMonday.setUTCDate(lastMonday.getUTCDate() - (lastMonday.getUTCDay() + 6) % 7 - 7);
+const lastWeekDay = (day, time) => new Date(+lastMonday + day * 24 * 60 * 60 * 1000).toISOString().substring(0, 10) + time;
+calendar.getEvents('alice@example.com').push(
+    calendar.event('alice@example.com', {summary: 'Planning', start: lastWeekDay(2, 'T10:00:00Z'), end: lastWeekDay(2, 'T11:00:00Z'),
+        attendees: [{email: 'alice@example.com', self: true, responseStatus: 'accepted'}, {email: 'bob@example.com', responseStatus: 'accepted'}]}),
+    calendar.event('alice@example.com', {summary: 'Out of office', start: lastWeekDay(3, 'T00:00:00Z'), end: lastWeekDay(4, 'T00:00:00Z'),
+        eventType: 'outOfOffice'}));
+
+class FailingCalendarClient extends lib.CalendarClient {
+    static async withImpersonatingService(serviceAccountCredentials, primaryEmail) {
+        if (primaryEmail === 'carol@example.com') {
+            throw new Error('Calendar access denied');
+        }
+        return new lib.CalendarClient({getAccessToken: () => 'fake-' + primaryEmail});
+    }
+}
+
+properties.setProperties({
+    'Meetings.personioToken': 'clientId|clientSecret',
+    'Meetings.serviceAccountCredentials': '{}',
+    'Meetings.allowedDomains': 'example.com',
+    'Meetings.reportSheet': 'report-sheet-id'
+}, false);
+
+const sheets = {};
+const fakeApis = await startFakeApis(lib, personio, calendar);
+try {
+    const {listMeetingLoad} = loadScript(lib, new URL('../meetings/Meetings.js', import.meta.url), ['listMeetingLoad'], {
+        CalendarClient: FailingCalendarClient,
+        Session: {getScriptTimeZone: () => 'UTC'},
+        SpreadsheetApp: {openById: id => id === 'report-sheet-id' ? {} : assert.fail('unexpected spreadsheet ' + id)},
+        SheetUtil: {ensureSheet: (target, name) => sheets[name] = sheets[name] || new FakeSheet()}
+    });
+
+    await listMeetingLoad();
+
+    const lastWeekRows = sheets.Meeting_Load.values.filter(row => row[2] === lastWeekDay(0, ''));
+    assert.deepEqual(lastWeekRows.map(row => [row[0], row[1], row[3], row[11]]), [
+        ['alice@example.com', 'Engineering', 1, 4],
+        ['bob@example.com', 'Engineering', 0, 5]
+    ], 'expected the meeting hours and focus blocks of all readable calendars, excluding the out-of-office day');
+    assert.deepEqual(sheets.Meeting_Load_Failures.values, [
+        ['Email', 'Department', 'Error'],
+        ['carol@example.com', 'Sales', 'Calendar access denied']
+    ], 'failed calendar not reported');
+    assert.deepEqual(sheets.Meeting_Load_Teams.values.filter(row => row[2] === lastWeekDay(0, '')).map(row => [row[0], row[1]]),
+        [['Engineering', 2], ['All', 2]], 'failed calendar must not be part of the averages');
+
+    // invalid working hours are reported before visiting any calendar
+    properties.setProperty('Meetings.workingHours', '{"bob@example.com": "17:00-09:00"}');
+    const requestCount = fakeApis.requests.length;
+    await assert.rejects(listMeetingLoad(), /Invalid working hours "17:00-09:00"/);
+    assert.equal(fakeApis.requests.length, requestCount, 'calendars visited despite invalid working hours');
+    properties.deleteProperty('Meetings.workingHours');
+} finally {
+    fakeApis.close();
+}
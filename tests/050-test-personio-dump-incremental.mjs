@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import {FakeSheetsService, createFakeSheetUtil, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const sheets = new FakeSheetsService();
+
+const FakeSheetUtil = createFakeSheetUtil(lib);
+
+const {diffRelationRows_, writeRelationsToSheet_} = loadScript(lib, new URL('../personio-to-sheets/PersonioDump.js', import.meta.url),
+    ['diffRelationRows_', 'writeRelationsToSheet_'], {Sheets: sheets, SheetUtil: FakeSheetUtil});
+
+const header = ['ID', 'Name', 'Hire Date'];
+const hireDate = new Date('2024-01-15T00:00:00Z');
+const hireDateSerial = lib.SheetUtil.dateToSerialDateTime(hireDate, 0);
+
+// unchanged rows, including dates and empty values
+let diff = diffRelationRows_([header, [1, 'Alice', hireDateSerial], [2, 'Bob']],
+    [header, [1, 'Alice', hireDate], [2, 'Bob', null]], 0, 0);
+assert.deepEqual(diff, {rewrite: false, changed: [], changedRowCount: 0, added: [], removed: []});
+
+// changed, added and removed rows
+diff = diffRelationRows_([header, [1, 'Alice', hireDateSerial], [2, 'Bob', ''], [3, 'Carol', ''], ['', 'stray', '']],
+    [header, [1, 'Alice', hireDate], [2, 'Robert', hireDate], [4, 'Dave', null]], 0, 0);
+assert.deepEqual(diff.changed, [{rowIndex: 2, columnIndex: 1, value: 'Robert'}, {rowIndex: 2, columnIndex: 2, value: hireDate}]);
+assert.equal(diff.changedRowCount, 1);
+assert.deepEqual(diff.added, [[4, 'Dave', null]]);
+assert.deepEqual(diff.removed, [3, 4], 'expected rows of deleted items and rows without ID to be removed');
+assert.equal(diff.rewrite, false);
+
+// changed columns and relations without ID are rewritten
+assert.equal(diffRelationRows_([['ID', 'Name'], [1, 'Alice']], [header, [1, 'Alice', hireDate]], 0, 0).rewrite, true);
+assert.equal(diffRelationRows_([header, [1, 'Alice', '']], [header, [1, 'Alice', null]], -1, 0).rewrite, true);
+
+// written to the sheet incrementally
+sheets.values.Employee = [header, [1, 'Alice', hireDateSerial], [2, 'Bob', ''], [3, 'Carol', '']];
+const changes = writeRelationsToSheet_('spreadsheet-id', {
+    version: 2,
+    Employee: {headers: {id: {t: 'ID'}, name: {t: 'Name'}, hire_date: {t: 'Hire Date'}}, rows: [header, [1, 'Alice', hireDate], [2, 'Robert', null], [4, 'Dave', null]]},
+    Department: {headers: {name: {t: 'Name'}}, rows: [['Name'], ['Engineering']]}
+});
+
+assert.deepEqual(changes, {
+    Employee: {added: 1, changed: 1, removed: 1, rewritten: false},
+    Department: {added: 1, changed: 0, removed: 0, rewritten: true}
+});
+
+const requests = sheets.batches.at(-1).requests;
+assert.deepEqual(requests.map(request => Object.keys(request)[0]), ['updateCells', 'deleteDimension', 'appendCells', 'updateCells', 'updateCells']);
+assert.deepEqual(requests[0].updateCells.start, {sheetId: 0, rowIndex: 2, columnIndex: 1});
+assert.equal(requests[0].updateCells.fields, 'userEnteredValue', 'formats of changed cells must be preserved');
+assert.deepEqual(requests[1].deleteDimension.range, {sheetId: 0, dimension: 'ROWS', startIndex: 3, endIndex: 4});
+assert.deepEqual(requests[2].appendCells.rows[0].values.map(cell => cell.userEnteredValue), [{numberValue: 4}, {stringValue: 'Dave'}, {numberValue: null}]);
+assert.equal(requests[3].updateCells.range.sheetId, 1, 'expected new sheet to be written in full');
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {FakeSheetsService, createFakeSheetUtil, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const FakeSheetUtil = createFakeSheetUtil(lib);
+
+const header = ['ID', 'Department_Department_id', 'Position', 'Hire Date'];
+const hireDate = new Date('2024-01-15T00:00:00Z');
+const sheets = new FakeSheetsService({
+    Employee: [header, [1, 10, 'Engineer', lib.SheetUtil.dateToSerialDateTime(hireDate, 0)], [2, 20, 'Designer', '']]
+});
+
+const {getTasks_, detectAttributeChanges_, writeRelationsToSheet_} = loadScript(lib, new URL('../personio-to-sheets/PersonioDump.js', import.meta.url),
+    ['getTasks_', 'detectAttributeChanges_', 'writeRelationsToSheet_'], {Sheets: sheets, SheetUtil: FakeSheetUtil});
+
+// history mode is enabled per task
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperty('PersonioDump.sheet-1', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-1.history', 'TRUE');
+properties.setProperty('PersonioDump.sheet-2', '/company/employees|id|secret');
+assert.deepEqual(getTasks_().map(task => [task.spreadsheetId, task.options.history]), [['sheet-1', true], ['sheet-2', false]],
+    'options must not be tasks');
+
+// changes are detected by ID and column title, new items and columns are no changes
+const detectedAt = new Date('2026-05-04T12:00:00Z');
+const laterHireDate = new Date('2024-02-01T00:00:00Z');
+const changes = detectAttributeChanges_('Employee', sheets.values.Employee, [
+    ['ID', 'Position', 'Department_Department_id', 'Hire Date', 'Supervisor_Employee_id'],
+    [1, 'Engineer', 30, laterHireDate, 2],
+    [2, 'Designer', 20, null, null],
+    [3, 'Manager', 10, hireDate, null]
+], 0, 0, detectedAt);
+assert.deepEqual(changes, [
+    ['Employee', 1, 'Department_Department_id', 10, 30, detectedAt],
+    ['Employee', 1, 'Hire Date', hireDate, laterHireDate, detectedAt]
+]);
+
+assert.deepEqual(detectAttributeChanges_('Employee', [], [header, [1, 10, 'Engineer', hireDate]], 0, 0, detectedAt), [],
+    'expected no changes without existing sheet');
+
+// changes of the logged relation types are appended to the change log
+writeRelationsToSheet_('sheet-1', {
+    version: 3,
+    Employee: {headers: {id: {}, department: {}, position: {}, hire_date: {}}, rows: [header, [1, 10, 'Lead Engineer', hireDate], [2, 20, 'Designer', null]]},
+    Department: {headers: {id: {}, name: {}}, rows: [['ID', 'Name'], [10, 'Engineering']]}
+}, ['Employee']);
+
+let request = sheets.batches.at(-1).requests.at(-1).appendCells;
+assert.equal(request.sheetId, Object.keys(sheets.values).indexOf('ChangeLog'), 'change log sheet not created');
+assert.deepEqual(request.rows.map(row => row.values.slice(0, 5).map(cell => Object.values(cell.userEnteredValue)[0])), [
+    ['Relation', 'ID', 'Attribute', 'Old Value', 'New Value'],
+    ['Employee', 1, 'Position', 'Engineer', 'Lead Engineer']
+]);
+assert.equal(request.rows[1].values[5].userEnteredFormat.numberFormat.type, 'DATE_TIME');
+
+// the header is written once
+sheets.values.ChangeLog = [['Relation']];
+sheets.values.Employee[1][2] = 'Lead Engineer';
+writeRelationsToSheet_('sheet-1', {
+    version: 4,
+    Employee: {headers: {id: {}, department: {}, position: {}, hire_date: {}}, rows: [header, [1, 10, 'Principal Engineer', hireDate]]}
+}, ['Employee']);
+request = sheets.batches.at(-1).requests.at(-1).appendCells;
+assert.equal(request.rows.length, 1);
+assert.equal(request.rows[0].values[4].userEnteredValue.stringValue, 'Principal Engineer');
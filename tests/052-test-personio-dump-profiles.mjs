@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import {createHash} from 'node:crypto';
+import {FakeUtilities, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const {applyProfile_, getTasks_} = loadScript(lib, new URL('../personio-to-sheets/PersonioDump.js', import.meta.url),
+    ['applyProfile_', 'getTasks_'], {Utilities: FakeUtilities});
+
+const relations = {
+    version: 2,
+    Employee: {
+        headers: {id: {t: 'ID'}, first_name: {t: 'First Name'}, email: {t: 'Email'}, fix_salary: {t: 'Salary'}, dynamic_1234: {t: 'IBAN'}},
+        rows: [
+            ['ID', 'First Name', 'Email', 'Salary', 'IBAN'],
+            [1, 'Alice', 'alice@example.com', 90000, 'DE89370400440532013000'],
+            [2, 'Bob', null, 80000, '1234']
+        ]
+    },
+    Department: {headers: {id: {t: 'ID'}, name: {t: 'Name'}}, rows: [['ID', 'Name'], [10, 'Engineering']]},
+    CostCenter: {headers: {id: {t: 'ID'}}, rows: [['ID'], [5]]}
+};
+
+assert.equal(applyProfile_(relations, null), relations, 'relations must be kept without profile');
+
+const profiled = applyProfile_(relations, {
+    hashSalt: 'salt',
+    relations: {
+        Employee: {
+            columns: ['id', 'IBAN', 'email', 'first_name', 'unknown', 'id'],
+            rename: {first_name: 'Name', IBAN: 'Bank Account'},
+            hash: ['Email'],
+            mask: ['dynamic_1234']
+        },
+        Department: {},
+        Office: {}
+    }
+});
+
+assert.deepEqual(Object.keys(profiled), ['version', 'Employee', 'Department'], 'expected relations missing in the profile or data to be dropped');
+assert.equal(profiled.version, 2);
+assert.deepEqual(Object.keys(profiled.Employee.headers), ['id', 'dynamic_1234', 'email', 'first_name'], 'expected whitelisted columns in order');
+assert.equal(profiled.Employee.headers.dynamic_1234.t, 'Bank Account');
+
+const aliceHash = createHash('sha256').update('saltalice@example.com').digest('hex');
+assert.deepEqual(profiled.Employee.rows, [
+    ['ID', 'Bank Account', 'Email', 'Name'],
+    [1, '******************3000', aliceHash, 'Alice'],
+    [2, '****', null, 'Bob']
+]);
+assert.deepEqual(profiled.Department.rows, relations.Department.rows, 'expected all columns without whitelist');
+assert.deepEqual(relations.Employee.rows[0], ['ID', 'First Name', 'Email', 'Salary', 'IBAN'], 'original relations must not be modified');
+
+// profiles are configured next to the task
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperty('PersonioDump.sheet-1', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-1.profile', '{"relations": {"Employee": {"columns": ["id"]}}}');
+properties.setProperty('PersonioDump.sheet-2', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-2.profile', '{"relations": ');
+properties.setProperty('PersonioDump.sheet-3', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-3.profile', '{"relations": {"Employee": {"hash": ["email"]}}}');
+properties.setProperty('PersonioDump.sheet-4', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-4.profile', '{"hashSalt": " ", "relations": {"Employee": {"hash": ["email"]}}}');
+assert.deepEqual(getTasks_().map(task => [task.spreadsheetId, task.options.profile]), [['sheet-1', {relations: {Employee: {columns: ['id']}}}]],
+    'tasks with invalid profile or hashing without salt must be skipped');
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import {FakeSheetsService, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+const sheets = new FakeSheetsService({Employee: []});
+const {transformPersonioDataToRelations_, loadSchema_, saveSchema_} = loadScript(lib, new URL('../personio-to-sheets/PersonioDump.js', import.meta.url),
+    ['transformPersonioDataToRelations_', 'loadSchema_', 'saveSchema_'], {Sheets: sheets});
+
+const employee = (id, attributes) => ({
+    type: 'Employee',
+    attributes: Object.fromEntries(Object.entries({id: id, ...attributes}).map(([key, value]) => [key, {label: key.toUpperCase(), value: value}]))
+});
+
+// schema stored in the legacy script property (format version 1, including empty rows)
+const properties = lib.PropertiesService.getScriptProperties();
+properties.setProperty('PersonioDump.schema.sheet-1', JSON.stringify({
+    version: 3,
+    Employee: {headers: {id: {t: 'ID', v: 3}, gender: {t: 'GENDER', v: 2}}, rows: [], ids: {}}
+}));
+
+let relations = transformPersonioDataToRelations_([employee(1, {first_name: 'Alice'})], 'sheet-1');
+assert.equal(relations.version, 4);
+assert.deepEqual(relations.Employee.rows, [['ID', 'GENDER', 'FIRST_NAME'], [1, undefined, 'Alice']], 'expected columns of migrated schema');
+assert(!properties.getProperty('PersonioDump.schema.sheet-1'), 'legacy property must be deleted after migration');
+
+const schemaSheet = sheets.getSpreadsheet('sheet-1').sheets.find(sheet => sheet.properties.title === '_PersonioDumpSchema');
+assert(schemaSheet?.properties.hidden, 'expected hidden schema sheet');
+assert.equal(sheets.values._PersonioDumpSchema[0][0], 2, 'expected format version in A1');
+assert.deepEqual(JSON.parse(sheets.values._PersonioDumpSchema[1][0]), {
+    version: 4,
+    Employee: {headers: {id: {t: 'ID', v: 4}, gender: {t: 'GENDER', v: 2}, first_name: {t: 'FIRST_NAME', v: 4}}}
+}, 'only headers must be stored');
+
+// next runs use the schema sheet
+relations = transformPersonioDataToRelations_([employee(2, {last_name: 'Roe'})], 'sheet-1');
+assert.equal(relations.version, 5);
+assert.deepEqual(relations.Employee.rows[0], ['ID', 'GENDER', 'FIRST_NAME', 'LAST_NAME']);
+
+// large schemas are split into chunks
+const headers = {};
+for (let i = 0; i < 2000; ++i) {
+    headers['dynamic_' + i] = {t: 'Custom Attribute With A Long Name ' + i, v: 1};
+}
+saveSchema_('sheet-1', {version: 1, Employee: {headers: headers}});
+assert(sheets.values._PersonioDumpSchema.length > 2, 'expected schema in multiple chunks');
+assert(sheets.values._PersonioDumpSchema.every(row => ('' + row[0]).length <= 40000));
+assert.deepEqual(loadSchema_('sheet-1'), {version: 1, Employee: {headers: headers}});
+
+// unknown storage formats are not overwritten
+sheets.values._PersonioDumpSchema[0][0] = 3;
+assert.throws(() => loadSchema_('sheet-1'), /Unsupported schema format version 3/);
+
+sheets.values._PersonioDumpSchema = [];
+assert.equal(loadSchema_('sheet-1'), null, 'expected no schema without sheet values and legacy property');
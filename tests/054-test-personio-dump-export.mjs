@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import {createHash} from 'node:crypto';
+import {FakeSheetsService, FakeUtilities, loadScript} from './harness/fake-apis.mjs';
+
+const lib = (await import('../lib-output/lib.js')).default;
+
+/** Fake DriveApp folder, holding file contents by name. */
+const folder = {
+    files: {},
+    getFilesByName: name => {
+        const names = name in folder.files ? [name] : [];
+        return {
+            hasNext: () => names.length > 0,
+            next: () => ({setContent: content => folder.files[names.shift()] = {content: content, updated: true}})
+        };
+    },
+    createFile: (name, content, mimeType) => folder.files[name] = {content: content, mimeType: mimeType}
+};
+const DriveApp = {getFolderById: id => id === 'folder-id' ? folder : assert.fail('unexpected folder ' + id)};
+
+const {transformPersonioDataToRelations_, applyProfile_, exportRelationsToDrive_, getTasks_} = loadScript(lib,
+    new URL('../personio-to-sheets/PersonioDump.js', import.meta.url),
+    ['transformPersonioDataToRelations_', 'applyProfile_', 'exportRelationsToDrive_', 'getTasks_'], {DriveApp: DriveApp, Sheets: new FakeSheetsService(), Utilities: FakeUtilities});
+
+const employee = (id, firstName, hireDate, salary, department) => ({
+    type: 'Employee',
+    attributes: {
+        id: {label: 'ID', value: id, type: 'integer', universal_id: 'id'},
+        first_name: {label: 'First Name', value: firstName, type: 'standard', universal_id: 'first_name'},
+        hire_date: {label: 'Hire Date', value: hireDate, type: 'date', universal_id: 'hire_date'},
+        fix_salary: {label: 'Salary', value: salary, type: 'decimal', universal_id: 'fix_salary'},
+        department: {label: 'Department', value: {type: 'Department', attributes: {id: department, name: 'Engineering'}}, type: 'standard', universal_id: 'department'},
+        dynamic_99: {label: 'Note', value: 'says "hi", twice', type: 'standard'}
+    }
+});
+
+const properties = lib.PropertiesService.getScriptProperties();
+const relations = transformPersonioDataToRelations_([
+    employee(2, 'Bob', '2024-02-01T00:00:00+00:00', null, 10),
+    employee(1, 'Alice', '2024-01-15T00:00:00+00:00', 90000.5, 10)
+], 'sheet-1');
+
+exportRelationsToDrive_(relations, {folderId: 'folder-id'});
+
+assert.deepEqual(JSON.parse(folder.files['Employee.schema.json'].content), [
+    {name: 'id', type: 'INTEGER', mode: 'NULLABLE', description: 'ID'},
+    {name: 'first_name', type: 'STRING', mode: 'NULLABLE', description: 'First Name'},
+    {name: 'hire_date', type: 'TIMESTAMP', mode: 'NULLABLE', description: 'Hire Date'},
+    {name: 'department_id', type: 'STRING', mode: 'NULLABLE', description: 'Department_Department_id'},
+    {name: 'dynamic_99', type: 'STRING', mode: 'NULLABLE', description: 'Note'},
+    // columns without values are scanned with the first value
+    {name: 'fix_salary', type: 'FLOAT', mode: 'NULLABLE', description: 'Salary'}
+]);
+assert.equal(folder.files['Employee.ndjson'].mimeType, 'application/x-ndjson');
+assert.deepEqual(folder.files['Employee.ndjson'].content.split('\n'), [
+    '{"id":1,"first_name":"Alice","hire_date":"2024-01-15T00:00:00.000Z","department_id":"10","dynamic_99":"says \\"hi\\", twice","fix_salary":90000.5}',
+    '{"id":2,"first_name":"Bob","hire_date":"2024-02-01T00:00:00.000Z","department_id":"10","dynamic_99":"says \\"hi\\", twice","fix_salary":null}',
+    ''
+]);
+assert.equal(folder.files['Department.ndjson'].content, '{"id":"10","name":"Engineering"}\n');
+
+// CSV, of profiled relations, replacing existing files
+const profiled = applyProfile_(relations, {relations: {Employee: {columns: ['id', 'fix_salary', 'dynamic_99'], mask: ['fix_salary']}}});
+exportRelationsToDrive_(profiled, {folderId: 'folder-id', format: 'CSV'});
+
+assert.equal(folder.files['Employee.csv'].content, 'id,fix_salary,dynamic_99\r\n1,****,"says ""hi"", twice"\r\n2,,"says ""hi"", twice"\r\n');
+assert.equal(JSON.parse(folder.files['Employee.schema.json'].content)[1].type, 'STRING', 'masked values must be exported as text');
+assert(folder.files['Employee.schema.json'].updated, 'schema file must be replaced');
+
+assert.throws(() => exportRelationsToDrive_(relations, {folderId: 'folder-id', format: 'parquet'}), /Unsupported export format "parquet"/);
+
+// references to related items are exported with the type of their ID, unless hashed or masked by the profile
+const supervisor = {label: 'Supervisor', value: {type: 'Employee', attributes: {id: {label: 'ID', value: 1, type: 'integer', universal_id: 'id'}}},
+    type: 'standard', universal_id: 'supervisor'};
+const teamRelations = transformPersonioDataToRelations_([
+    {type: 'Employee', attributes: {id: {label: 'ID', value: 1, type: 'integer', universal_id: 'id'}}},
+    {type: 'Employee', attributes: {id: {label: 'ID', value: 2, type: 'integer', universal_id: 'id'}, supervisor: supervisor}}
+], 'sheet-2');
+exportRelationsToDrive_(teamRelations, {folderId: 'folder-id'});
+const findColumn = name => JSON.parse(folder.files['Employee.schema.json'].content).find(column => column.name === name);
+const findRow = id => folder.files['Employee.ndjson'].content.split('\n').filter(line => line).map(line => JSON.parse(line)).find(row => row.id === id);
+assert.deepEqual(findColumn('supervisor_id'), {name: 'supervisor_id', type: 'INTEGER', mode: 'NULLABLE', description: 'Supervisor_Employee_id'});
+assert.equal(findRow(2).supervisor_id, 1);
+
+exportRelationsToDrive_(applyProfile_(teamRelations, {hashSalt: 'salt', relations: {Employee: {hash: ['supervisor']}}}), {folderId: 'folder-id'});
+assert.equal(findColumn('supervisor')?.type, 'STRING', 'hashed references must be exported as text');
+assert.equal(findRow(2).supervisor, createHash('sha256').update('salt1').digest('hex'), 'hashed reference lost on export');
+
+// export is configured next to the task
+properties.setProperty('PersonioDump.sheet-1', '/company/employees|id|secret');
+properties.setProperty('PersonioDump.sheet-1.export', '{"folderId": "folder-id", "format": "csv"}');
+assert.deepEqual(getTasks_()[0].options.export, {folderId: 'folder-id', format: 'csv'});
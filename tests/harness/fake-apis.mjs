@@ -0,0 +1,595 @@
+/** In-memory fakes of the Personio API v1, the Google Calendar API v3 and the Slack Web API, served from a local HTTP server.
+ *
+ * Requests of the library clients are redirected to the fakes using UrlFetchApp.addUrlRewrite() (see lib/Header.js).
+ */
+import fs from 'fs';
+import {createHash} from 'node:crypto';
+import {createServer} from 'http';
+
+/** Base URLs redirected to the fakes. */
+const PERSONIO_BASE_URL = 'https://api.personio.de/v1';
+const CALENDAR_BASE_URL = 'https://www.googleapis.com/calendar/v3';
+const CALENDAR_BATCH_URL = 'https://www.googleapis.com/batch/calendar/v3';
+const SLACK_BASE_URL = 'https://slack.com/api';
+const SLACK_FILES_URL = 'https://files.slack.com/upload/v1';
+
+/** Access tokens of the fake impersonation service are "fake-" followed by the impersonated email. */
+const FAKE_TOKEN_PREFIX = 'fake-';
+
+
+/** Fake Personio API v1 (employees, time-off types, time-offs and hourly absence periods). */
+export class FakePersonio {
+
+    constructor({employees = [], timeOffTypes = [], timeOffs = [], absencePeriods = []} = {}) {
+        this.employees = employees;
+        this.timeOffTypes = timeOffTypes;
+        this.timeOffs = timeOffs;
+        this.absencePeriods = absencePeriods;
+        this.nextId = 1000;
+    }
+
+    /** Build an Employee object in Personio API format. */
+    static employee(id, email, extraAttributes = {}) {
+        return {
+            type: 'Employee',
+            attributes: {
+                id: {label: 'ID', value: id},
+                email: {label: 'Email', value: email},
+                status: {label: 'Status', value: 'active'},
+                ...extraAttributes
+            }
+        };
+    }
+
+    /** Build a TimeOffType object in Personio API format (unit is 'day' or 'hour'). */
+    static timeOffType(id, name, unit = 'day') {
+        return {type: 'TimeOffType', attributes: {id: id, name: name, unit: unit}};
+    }
+
+    /** Build a TimeOffPeriod object in Personio API format. */
+    timeOff({id, employee, timeOffType, startDate, endDate, halfDayStart = false, halfDayEnd = false, comment = '', status = 'approved', updatedAt}) {
+        const timestamp = (updatedAt || new Date()).toISOString();
+        return {
+            type: 'TimeOffPeriod',
+            attributes: {
+                id: id != null ? id : this.nextId++,
+                status: status,
+                comment: comment,
+                start_date: startDate + 'T00:00:00+00:00',
+                end_date: endDate + 'T00:00:00+00:00',
+                days_count: 1,
+                half_day_start: halfDayStart ? 1 : 0,
+                half_day_end: halfDayEnd ? 1 : 0,
+                time_off_type: timeOffType,
+                employee: employee,
+                created_by: 'API',
+                created_at: timestamp,
+                updated_at: timestamp
+            }
+        };
+    }
+
+    /** Build an (hourly) AbsencePeriod object in Personio API format, start/end are ISO8601 timestamps. */
+    absencePeriod({id, employee, timeOffType, start, end, comment = '', updatedAt}) {
+        const timestamp = (updatedAt || new Date()).toISOString();
+        return {
+            type: 'AbsencePeriod',
+            attributes: {
+                id: id != null ? id : 'absence-' + this.nextId++,
+                measurement_unit: 'hours',
+                comment: comment,
+                start: start,
+                end: end,
+                absence_type: timeOffType,
+                employee: employee,
+                created_by: 'API',
+                created_at: timestamp,
+                updated_at: timestamp
+            }
+        };
+    }
+
+    /** Find an absence period by ID. */
+    findAbsencePeriod(id) {
+        return this.absencePeriods.find(absencePeriod => absencePeriod.attributes.id === id);
+    }
+
+    /** Find a time-off by ID. */
+    findTimeOff(id) {
+        return this.timeOffs.find(timeOff => timeOff.attributes.id === +id);
+    }
+
+    handle(method, path, query, body) {
+        if (method === 'POST' && path === '/auth') {
+            return [200, {success: true, data: {token: 'personio-token'}}];
+        }
+
+        if (method === 'GET' && path === '/company/employees') {
+            return [200, {success: true, data: this.employees}];
+        }
+
+        if (method === 'GET' && path === '/company/time-off-types') {
+            return [200, {success: true, data: this.timeOffTypes}];
+        }
+
+        if (method === 'GET' && path === '/company/time-offs') {
+            const employeeIds = query.getAll('employees[]').map(id => +id);
+            const timeOffs = this.timeOffs.filter(timeOff => !employeeIds.length
+                || employeeIds.includes(timeOff.attributes.employee.attributes.id.value));
+            return [200, {success: true, data: timeOffs}];
+        }
+
+        if (method === 'POST' && path === '/company/time-offs') {
+            const form = new URLSearchParams(body);
+            const employee = this.employees.find(e => e.attributes.id.value === +form.get('employee_id'));
+            const timeOffType = this.timeOffTypes.find(t => t.attributes.id === +form.get('time_off_type_id'));
+            if (!employee || !timeOffType) {
+                return [400, {success: false, error: {message: 'Unknown employee or time-off type'}}];
+            }
+
+            const isOverlapping = this.timeOffs.some(timeOff => timeOff.attributes.employee === employee
+                && timeOff.attributes.start_date.split('T')[0] <= form.get('end_date')
+                && timeOff.attributes.end_date.split('T')[0] >= form.get('start_date'));
+            if (isOverlapping) {
+                return [400, {success: false, error: {code: 0, message: 'The absence overlaps with an existing absence'}}];
+            }
+
+            const timeOff = this.timeOff({
+                employee: employee,
+                timeOffType: timeOffType,
+                startDate: form.get('start_date'),
+                endDate: form.get('end_date'),
+                halfDayStart: form.get('half_day_start') === '1',
+                halfDayEnd: form.get('half_day_end') === '1',
+                comment: form.get('comment') || '',
+                status: form.get('skip_approval') === '1' ? 'approved' : 'pending'
+            });
+            this.timeOffs.push(timeOff);
+            return [200, {success: true, data: timeOff}];
+        }
+
+        const timeOffMatch = path.match(/^\/company\/time-offs\/(\d+)$/);
+        if (method === 'DELETE' && timeOffMatch) {
+            const timeOff = this.findTimeOff(timeOffMatch[1]);
+            if (!timeOff) {
+                return [404, {success: false, error: {message: 'Not found'}}];
+            }
+            this.timeOffs.splice(this.timeOffs.indexOf(timeOff), 1);
+            return [200, {success: true, data: {message: 'The absence period was deleted.'}}];
+        }
+
+        if (method === 'GET' && path === '/company/absence-periods') {
+            const employeeIds = query.getAll('employees[]').map(id => +id);
+            const absencePeriods = this.absencePeriods.filter(absencePeriod => !employeeIds.length
+                || employeeIds.includes(absencePeriod.attributes.employee.attributes.id.value));
+            return [200, {success: true, data: absencePeriods}];
+        }
+
+        if (method === 'POST' && path === '/company/absence-periods') {
+            const form = new URLSearchParams(body);
+            const employee = this.employees.find(e => e.attributes.id.value === +form.get('employee_id'));
+            const timeOffType = this.timeOffTypes.find(t => t.attributes.id === +form.get('time_off_type_id'));
+            if (!employee || !timeOffType || timeOffType.attributes.unit !== 'hour') {
+                return [400, {success: false, error: {message: 'Unknown employee or hourly time-off type'}}];
+            }
+
+            const absencePeriod = this.absencePeriod({
+                employee: employee,
+                timeOffType: timeOffType,
+                start: form.get('start'),
+                end: form.get('end'),
+                comment: form.get('comment') || ''
+            });
+            this.absencePeriods.push(absencePeriod);
+            return [200, {success: true, data: absencePeriod}];
+        }
+
+        const absencePeriodMatch = path.match(/^\/company\/absence-periods\/([\w-]+)$/);
+        if (method === 'DELETE' && absencePeriodMatch) {
+            const absencePeriod = this.findAbsencePeriod(absencePeriodMatch[1]);
+            if (!absencePeriod) {
+                return [404, {success: false, error: {message: 'Not found'}}];
+            }
+            this.absencePeriods.splice(this.absencePeriods.indexOf(absencePeriod), 1);
+            return [200, {success: true, data: {message: 'The absence period was deleted.'}}];
+        }
+
+        return [404, {success: false, error: {message: 'Unknown endpoint ' + method + ' ' + path}}];
+    }
+}
+
+
+/** Fake Google Calendar API v3 (events of each user's primary calendar and the users' time-zone settings).
+ *
+ * Instances of recurring events are the events with a matching recurringEventId.
+ */
+export class FakeCalendar {
+
+    constructor(eventsByEmail = {}) {
+        this.eventsByEmail = eventsByEmail;
+        this.timeZonesByEmail = {};
+        this.nextId = 1;
+    }
+
+    /** Get the events of a user's primary calendar. */
+    getEvents(email) {
+        return this.eventsByEmail[email] || (this.eventsByEmail[email] = []);
+    }
+
+    /** Build an event with sensible defaults, created by and for the specified user. */
+    event(email, {summary, start, end, updated, ...rest}) {
+        const id = 'event' + this.nextId++;
+        return {
+            kind: 'calendar#event',
+            id: id,
+            iCalUID: id + '@google.com',
+            status: 'confirmed',
+            summary: summary,
+            creator: {email: email},
+            organizer: {email: email},
+            start: {dateTime: start},
+            end: {dateTime: end},
+            updated: (updated || new Date()).toISOString(),
+            ...rest
+        };
+    }
+
+    handle(method, path, query, body, email) {
+        if (method === 'GET' && path === '/users/me/settings/timezone' && this.timeZonesByEmail[email]) {
+            return [200, {kind: 'calendar#setting', id: 'timezone', value: this.timeZonesByEmail[email]}];
+        }
+
+        const match = path.match(/^\/calendars\/([^/]+)\/events(?:\/([^/]+))?(\/instances)?$/);
+        if (!match || !email) {
+            return [404, {error: {code: 404, message: 'Not Found'}}];
+        }
+
+        const calendarId = decodeURIComponent(match[1]);
+        const events = this.getEvents(calendarId === 'primary' ? email : calendarId);
+        const eventId = match[2] ? decodeURIComponent(match[2]) : undefined;
+        const showDeleted = query.get('showDeleted') === 'true';
+
+        if (method === 'GET' && !eventId) {
+            return [200, {kind: 'calendar#events', items: events.filter(event => showDeleted || event.status !== 'cancelled')}];
+        }
+
+        if (method === 'GET' && match[3]) {
+            return [200, {kind: 'calendar#events', items: events.filter(event => event.recurringEventId === eventId && (showDeleted || event.status !== 'cancelled'))}];
+        }
+
+        if (method === 'POST' && !eventId) {
+            const event = JSON.parse(body);
+            event.id = event.id || 'event' + this.nextId++;
+            event.iCalUID = event.iCalUID || event.id + '@google.com';
+            event.status = event.status || 'confirmed';
+            event.creator = event.creator || {email: email};
+            event.organizer = event.organizer || {email: email};
+            event.updated = new Date().toISOString();
+            events.push(event);
+            return [200, event];
+        }
+
+        const index = events.findIndex(event => event.id === eventId);
+        if (index < 0) {
+            return [404, {error: {code: 404, message: 'Not Found'}}];
+        }
+
+        if (method === 'GET') {
+            return [200, events[index]];
+        }
+
+        if (method === 'PUT') {
+            const event = {...JSON.parse(body), id: eventId, updated: new Date().toISOString()};
+            events[index] = event;
+            return [200, event];
+        }
+
+        return [405, {error: {code: 405, message: 'Method Not Allowed'}}];
+    }
+}
+
+
+/** Handle a Google API multipart/mixed batch request by passing each part to a fake.
+ *
+ * @param {function(string, string, URLSearchParams, string): Array} handle Handles a single request (method, path, query, body).
+ * @param {string} contentType The Content-Type header of the batch request (with boundary).
+ * @param {string} body The batch request body.
+ * @param {string} pathPrefix The API path prefix to strip from the part's paths, like '/calendar/v3'.
+ * @return {Array} Status, content type and body of the batch response.
+ */
+function handleBatch(handle, contentType, body, pathPrefix) {
+    const boundary = contentType.match(/boundary=(\S+)/)[1];
+    const parts = body.split('--' + boundary).filter(part => part.trim() !== '' && part.trim() !== '--');
+
+    const responseParts = parts.map(part => {
+        const [partHeaders, httpHead, ...partBody] = part.trim().split('\r\n\r\n');
+        const contentId = partHeaders.match(/Content-ID: <(.*)>/)[1];
+        const [method, path] = httpHead.split('\r\n')[0].split(' ');
+        const url = new URL(path, 'http://127.0.0.1');
+
+        const [status, content] = handle(method, url.pathname.substring(pathPrefix.length), url.searchParams, partBody.join('\r\n\r\n'));
+        return `--batch_fake\r\nContent-Type: application/http\r\nContent-ID: <response-${contentId}>\r\n\r\n`
+            + `HTTP/1.1 ${status} Fake\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(content)}\r\n`;
+    });
+
+    return [200, 'multipart/mixed; boundary=batch_fake', responseParts.join('') + '--batch_fake--\r\n'];
+}
+
+
+/** Fake Slack Web API (users, channels, messages, direct messages and file uploads).
+ *
+ * Set rateLimited to the number of following calls to reject with 429 (Retry-After: 0).
+ */
+export class FakeSlack {
+
+    constructor(usersByEmail = {}, channels = []) {
+        this.usersByEmail = usersByEmail;
+        this.channels = channels;
+        this.messages = [];
+        this.ephemeralMessages = [];
+        this.files = [];
+        this.rateLimited = 0;
+        this.calls = [];
+    }
+
+    handle(method, path, query, body) {
+        // arguments are sent as JSON or form encoded
+        const args = Object.fromEntries(query);
+        Object.assign(args, body.startsWith('{') ? JSON.parse(body) : Object.fromEntries(new URLSearchParams(body)));
+        this.calls.push(path.substring(1));
+
+        if (this.rateLimited > 0) {
+            this.rateLimited--;
+            return [429, {ok: false, error: 'ratelimited'}, {'Retry-After': '0'}];
+        }
+
+        switch (path) {
+            case '/users.lookupByEmail': {
+                const user = this.usersByEmail[args.email];
+                return [200, user ? {ok: true, user: user} : {ok: false, error: 'users_not_found'}];
+            }
+            case '/users.conversations':
+                return [200, {ok: true, channels: this.channels, response_metadata: {next_cursor: ''}}];
+            case '/conversations.open':
+                return [200, {ok: true, channel: {id: 'D-' + args.users}}];
+            case '/chat.postMessage': {
+                const message = {...args, ts: '' + (1000 + this.messages.length)};
+                this.messages.push(message);
+                return [200, {ok: true, channel: message.channel, ts: message.ts}];
+            }
+            case '/chat.update': {
+                const message = this.messages.find(m => m.channel === args.channel && m.ts === args.ts);
+                if (!message) {
+                    return [200, {ok: false, error: 'message_not_found'}];
+                }
+                Object.assign(message, args, {edited: true});
+                return [200, {ok: true, channel: message.channel, ts: message.ts}];
+            }
+            case '/chat.postEphemeral':
+                this.ephemeralMessages.push(args);
+                return [200, {ok: true, message_ts: '' + (2000 + this.ephemeralMessages.length)}];
+            case '/files.getUploadURLExternal': {
+                const file = {id: 'F' + this.files.length, name: args.filename, length: +args.length};
+                this.files.push(file);
+                return [200, {ok: true, file_id: file.id, upload_url: SLACK_FILES_URL + '/' + file.id}];
+            }
+            case '/files.completeUploadExternal': {
+                const files = args.files.map(({id, title}) => Object.assign(this.files.find(file => file.id === id), {title: title, channel: args.channel_id,
+                    initialComment: args.initial_comment, threadTs: args.thread_ts}));
+                return [200, {ok: true, files: files}];
+            }
+        }
+
+        return [200, {ok: false, error: 'unknown_method'}];
+    }
+
+    /** Receive the content of a file uploaded to the URL returned by files.getUploadURLExternal. */
+    handleUpload(method, path, body) {
+        const file = this.files.find(file => '/' + file.id === path);
+        if (!file || method !== 'POST') {
+            return [404, 'not found'];
+        }
+        file.content = body;
+        return [200, 'OK - ' + body.length];
+    }
+}
+
+
+/** Create a SheetUtil (global SheetUtil) whose time-zones are all UTC, for stable serial date-times.
+ *
+ * @param lib The library module (lib-output/lib.js).
+ * @return {Function} The SheetUtil class.
+ */
+export function createFakeSheetUtil(lib) {
+    return class FakeSheetUtil extends lib.SheetUtil {
+        static getTimeZoneOffset(timeZone) {
+            return 0;
+        }
+    };
+}
+
+
+/** Fake Utilities (global Utilities) computing SHA-256 digests, as signed bytes like Apps Script. */
+export const FakeUtilities = {
+    DigestAlgorithm: {SHA_256: 'SHA_256'},
+    Charset: {UTF_8: 'UTF_8'},
+    computeDigest: (algorithm, value, charset) => [...createHash('sha256').update(value, 'utf8').digest()].map(byte => byte > 127 ? byte - 256 : byte)
+};
+
+
+/** Fake Advanced Sheets Service (global Sheets) of a single spreadsheet, holding the unformatted values by sheet title.
+ *
+ * Sheets are added by addSheet requests and values written by updateCells requests, other batch update requests are
+ * only recorded (in batches), not applied.
+ */
+export class FakeSheetsService {
+
+    constructor(values = {}, timeZone = 'UTC') {
+        this.values = values;
+        this.timeZone = timeZone;
+        this.batches = [];
+
+        const fake = this;
+        this.Spreadsheets = {
+            get: id => fake.getSpreadsheet(id),
+            batchUpdate: (batch, id) => fake.batchUpdate(batch, id),
+            Values: {
+                get: (id, range) => fake.getValues(range)
+            }
+        };
+    }
+
+    getSheetProperties(title) {
+        return {sheetId: Object.keys(this.values).indexOf(title), title: title, hidden: this.hidden?.includes(title), gridProperties: {rowCount: 1000, columnCount: 26}};
+    }
+
+    getSpreadsheet(id) {
+        return {
+            spreadsheetId: id,
+            properties: {timeZone: this.timeZone},
+            sheets: Object.keys(this.values).map(title => ({properties: this.getSheetProperties(title)}))
+        };
+    }
+
+    batchUpdate(batch, id) {
+        this.batches.push(batch);
+        return {
+            replies: batch.requests.map(request => {
+                if (request.addSheet) {
+                    const properties = request.addSheet.properties;
+                    this.values[properties.title] = [];
+                    this.hidden = (this.hidden || []).concat(properties.hidden ? [properties.title] : []);
+                    return {addSheet: {properties: this.getSheetProperties(properties.title)}};
+                } else if (request.updateCells) {
+                    this.updateCells(request.updateCells);
+                }
+                return {};
+            })
+        };
+    }
+
+    updateCells(request) {
+        const sheetId = request.start?.sheetId ?? request.range.sheetId;
+        const values = this.values[Object.keys(this.values)[sheetId]];
+        if (!request.rows) {
+            // clear the whole sheet
+            values.length = 0;
+            return;
+        }
+
+        const rowIndex = request.start?.rowIndex ?? request.range.startRowIndex ?? 0;
+        const columnIndex = request.start?.columnIndex ?? request.range.startColumnIndex ?? 0;
+        request.rows.forEach((row, i) => {
+            const target = values[rowIndex + i] = values[rowIndex + i] || [];
+            row.values.forEach((cell, j) => target[columnIndex + j] = Object.values(cell.userEnteredValue)[0] ?? '');
+        });
+    }
+
+    getValues(range) {
+        // only whole sheets and ranges starting at A1, like 'Employee' or 'Employee'!A1:A1
+        const [, title, rowCount] = range.match(/^'(.*)'(?:!A1:[A-Z]+(\d+))?$/);
+        const values = this.values[title.replaceAll("''", "'")];
+        if (!values) {
+            // like the Sheets API (400)
+            throw new Error(`Unable to parse range: ${range}`);
+        }
+        return {values: rowCount ? values.slice(0, +rowCount) : values};
+    }
+}
+
+
+/** Start a local server for the fakes and redirect library requests to it.
+ *
+ * @param lib The library module (lib-output/lib.js).
+ * @param {FakePersonio} personio The Personio fake.
+ * @param {FakeCalendar} calendar The Google Calendar fake.
+ * @param {FakeSlack} slack The Slack fake (optional).
+ * @return {Promise<{baseUrl: string, requests: Array<string>, close: function}>} The running server.
+ */
+export async function startFakeApis(lib, personio, calendar, slack = new FakeSlack()) {
+    const requests = [];
+    const server = createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const url = new URL(request.url, 'http://127.0.0.1');
+            const body = Buffer.concat(chunks).toString('utf-8');
+            const auth = request.headers.authorization || '';
+            requests.push(request.method + ' ' + request.url);
+
+            let status = 404;
+            let content = {};
+            let contentType = 'application/json';
+            let headers = {};
+            try {
+                if (url.pathname === '/calendar-batch') {
+                    const email = auth.startsWith('Bearer ' + FAKE_TOKEN_PREFIX) ? auth.substring(('Bearer ' + FAKE_TOKEN_PREFIX).length) : undefined;
+                    [status, contentType, content] = handleBatch((method, path, query, partBody) => calendar.handle(method, path, query, partBody, email),
+                        request.headers['content-type'], body, '/calendar/v3');
+                } else if (url.pathname.startsWith('/personio')) {
+                    [status, content] = personio.handle(request.method, url.pathname.substring('/personio'.length), url.searchParams, body);
+                } else if (url.pathname.startsWith('/calendar')) {
+                    const email = auth.startsWith('Bearer ' + FAKE_TOKEN_PREFIX) ? auth.substring(('Bearer ' + FAKE_TOKEN_PREFIX).length) : undefined;
+                    [status, content] = calendar.handle(request.method, url.pathname.substring('/calendar'.length), url.searchParams, body, email);
+                } else if (url.pathname.startsWith('/slack-files')) {
+                    [status, content] = slack.handleUpload(request.method, url.pathname.substring('/slack-files'.length), body);
+                    contentType = 'text/plain';
+                } else if (url.pathname.startsWith('/slack')) {
+                    [status, content, headers = {}] = slack.handle(request.method, url.pathname.substring('/slack'.length), url.searchParams, body);
+                }
+            } catch (e) {
+                status = 500;
+                contentType = 'application/json';
+                content = {error: {message: String(e)}};
+            }
+
+            response.writeHead(status, {'Content-Type': contentType, ...headers});
+            response.end(typeof content === 'string' ? content : JSON.stringify(content), 'utf-8');
+        });
+    });
+
+    const baseUrl = await new Promise(resolve => server.listen({
+        host: '127.0.0.1',
+        port: 0
+    }, () => resolve('http://127.0.0.1:' + server.address().port)));
+
+    lib.UrlFetchApp.addUrlRewrite(PERSONIO_BASE_URL, baseUrl + '/personio');
+    lib.UrlFetchApp.addUrlRewrite(CALENDAR_BATCH_URL, baseUrl + '/calendar-batch');
+    lib.UrlFetchApp.addUrlRewrite(CALENDAR_BASE_URL, baseUrl + '/calendar');
+    lib.UrlFetchApp.addUrlRewrite(SLACK_BASE_URL, baseUrl + '/slack');
+    lib.UrlFetchApp.addUrlRewrite(SLACK_FILES_URL, baseUrl + '/slack-files');
+
+    return {
+        baseUrl: baseUrl,
+        requests: requests,
+        close: () => {
+            lib.UrlFetchApp.clearUrlRewrites();
+            server.close();
+        }
+    };
+}
+
+
+/** Load an Apps Script file, with the library and the specified overrides available as globals.
+ *
+ * Impersonating clients are replaced by clients authenticated for the fakes (no service account required).
+ *
+ * @param lib The library module (lib-output/lib.js).
+ * @param {URL|string} fileName The script file to load.
+ * @param {Array<string>} functionNames The functions to return from the script.
+ * @param {Object} overrides Additional globals, overriding library members.
+ * @return {Object} The requested script functions, by name.
+ */
+export function loadScript(lib, fileName, functionNames, overrides = {}) {
+
+    class FakeCalendarClient extends lib.CalendarClient {
+        static async withImpersonatingService(serviceAccountCredentials, primaryEmail) {
+            return new lib.CalendarClient({getAccessToken: () => FAKE_TOKEN_PREFIX + primaryEmail});
+        }
+    }
+
+    const globals = {...lib, CalendarClient: FakeCalendarClient, ...overrides};
+    const source = fs.readFileSync(fileName, 'utf-8');
+    const factory = Function(...Object.keys(globals), `"use strict"; ${source}; return {${functionNames.join(', ')}};`);
+    return factory(...Object.values(globals));
+}